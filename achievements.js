@@ -0,0 +1,128 @@
+/* ------------------------------
+   Achievements
+   Badges unlocked by rules over a round's summary and the player's
+   history (rounds played, days in a row, villages built). Unlocks and
+   the daily play streak are saved in localStorage.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleAchievements = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.achievements';
+  const SCHEMA_VERSION = 1;
+
+  /*
+    Each badge:
+      id, icon, name, description   // English text; messages.js can override name/description
+      reward                         // Ripple Coins paid once on unlock (0 for none)
+      live                           // also checked during a round, so it can unlock mid-play
+      test(round, history)           // round: engine summary plus ended; history: see evaluate()
+  */
+  const freePlay = (r) => !r.level && !r.preset;
+  const badges = [
+    { id: 'score-50', icon: '🌊', reward: 0, live: true, name: 'Making ripples', description: 'Score 50 points in one round.',
+      test: (r) => r.score >= 50 },
+    { id: 'score-100', icon: '💧', reward: 1, live: true, name: 'Rising tide', description: 'Score 100 points in one round.',
+      test: (r) => r.score >= 100 },
+    { id: 'score-150', icon: '🌧️', reward: 2, live: true, name: 'Downpour', description: 'Score 150 points in one round.',
+      test: (r) => r.score >= 150 },
+    { id: 'streak-20', icon: '🔥', reward: 1, live: true, name: 'On a roll', description: 'Collect 20 clean drops in a row.',
+      test: (r) => r.bestStreak >= 20 },
+    { id: 'first-well', icon: '🚰', reward: 1, name: 'First well', description: 'Build a well.',
+      test: (r) => r.ended && r.wellBuilt },
+    { id: 'hard-well', icon: '⛰️', reward: 3, name: 'Against the odds', description: 'Build a well on Hard.',
+      test: (r) => r.ended && r.wellBuilt && r.difficulty === 'hard' && freePlay(r) },
+    { id: 'clean-hands', icon: '✨', reward: 2, name: 'Clean hands', description: 'Finish a round with 50 points or more without touching a polluted drop.',
+      test: (r) => r.ended && r.pollutedTaps === 0 && r.score >= 50 },
+    { id: 'catch-well', icon: '🪣', reward: 1, name: 'Steady hands', description: 'Build a well in Catch mode.',
+      test: (r) => r.ended && r.wellBuilt && r.mode === 'catch' },
+    { id: 'keys-round', icon: '⌨️', reward: 1, name: 'By ear', description: 'Score 50 points in Keys mode.',
+      test: (r) => r.ended && r.mode === 'lanes' && r.score >= 50 },
+    { id: 'all-villages', icon: '🗺️', reward: 5, name: 'Map maker', description: 'Build the well in every village.',
+      test: (r, h) => r.ended && !!h.campaignComplete },
+    { id: 'rounds-25', icon: '🎮', reward: 2, name: 'Regular', description: 'Play 25 rounds.',
+      test: (r, h) => r.ended && h.roundsPlayed >= 25 },
+    { id: 'week-streak', icon: '📅', reward: 5, name: 'Every day counts', description: 'Play 7 days in a row.',
+      test: (r, h) => r.ended && h.dayStreak >= 7 }
+  ];
+  function getBadge(id){ return badges.find(b => b.id === id) || null; }
+
+  // Local calendar day, so a streak follows the player's own midnight
+  function dayKey(date){
+    const pad = (n) => String(n).padStart(2, '0');
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+  }
+
+  function defaultData(){
+    return { version: SCHEMA_VERSION, unlocked: {}, days: { last: null, streak: 0, best: 0 } };
+  }
+
+  function createAchievementStore(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    const now = options.now || Date.now;
+    let data = load();
+
+    function load(){
+      if(!storage) return defaultData();
+      try{
+        const saved = JSON.parse(storage.getItem(key) || 'null');
+        if(!saved || typeof saved !== 'object' || !saved.unlocked || typeof saved.unlocked !== 'object') return defaultData();
+        const out = defaultData();
+        Object.keys(saved.unlocked).forEach(id => { if(getBadge(id) && Number.isFinite(saved.unlocked[id])) out.unlocked[id] = saved.unlocked[id]; });
+        if(saved.days && typeof saved.days === 'object') Object.assign(out.days, saved.days);
+        return out;
+      } catch(e){
+        console.warn('Could not read achievements, starting fresh:', e);
+        return defaultData();
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify(data)); }
+      catch(e){ console.warn('Could not save achievements:', e); }
+    }
+
+    // Call once per finished round; returns the current run of consecutive days played
+    function recordPlay(){
+      const today = new Date(now());
+      const todayKey = dayKey(today);
+      const days = data.days;
+      if(days.last !== todayKey){
+        const yesterday = dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1));
+        days.streak = days.last === yesterday ? days.streak + 1 : 1;
+        days.best = Math.max(days.best, days.streak);
+        days.last = todayKey;
+        save();
+      }
+      return days.streak;
+    }
+
+    // round: an engine summary with ended: false while the round is running, true at the end.
+    // history: { roundsPlayed, dayStreak, campaignComplete }. Returns the badges this call unlocked.
+    function evaluate(round, history = {}){
+      const unlocked = [];
+      for(const badge of badges){
+        if(data.unlocked[badge.id] || (!round.ended && !badge.live)) continue;
+        let passed = false;
+        try{ passed = !!badge.test(round, history); }
+        catch(e){ console.error('Achievement rule error (' + badge.id + '):', e); }
+        if(passed){ data.unlocked[badge.id] = now(); unlocked.push(badge); }
+      }
+      if(unlocked.length) save();
+      return unlocked;
+    }
+
+    function list(){ return badges.map(badge => ({ badge, unlockedAt: data.unlocked[badge.id] || null })); }
+
+    return {
+      list, evaluate, recordPlay,
+      isUnlocked: (id) => !!data.unlocked[id],
+      dayStreak: () => data.days.streak,
+      bestDayStreak: () => data.days.best
+    };
+  }
+
+  return { createAchievementStore, badges, getBadge, dayKey, defaultData };
+});
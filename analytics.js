@@ -0,0 +1,228 @@
+/* ------------------------------
+   Gameplay analytics
+   Typed events (rounds, taps, misses, claims, shares) handed to
+   pluggable sinks: the console, a queue in localStorage, and batched
+   HTTP POSTs that wait out being offline. Nothing is recorded until the
+   player consents; withdrawing consent drops whatever is still queued.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleAnalytics = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.analytics';
+  const QUEUE_KEY = 'rippleEffect.analyticsQueue';
+  const OUTBOX_KEY = 'rippleEffect.analyticsOutbox';
+  const SCHEMA_VERSION = 1;
+  const SAVE_DELAY = 2000;   // ms a sink waits before writing its list back to storage
+
+  /*
+    Every event type and the fields it may carry. track() keeps only these,
+    of these types, so nothing else (names, claim codes) can slip into a payload.
+    time is seconds into the round.
+  */
+  const EVENTS = {
+    round_start:     { difficulty: 'string', mode: 'string', level: 'string', preset: 'boolean', daily: 'boolean', tournament: 'boolean' },
+    drop_tapped:     { drop: 'string', caught: 'boolean', streak: 'number', time: 'number' },
+    drop_missed:     { drop: 'string', polluted: 'boolean', time: 'number' },
+    polluted_hit:    { drop: 'string', caught: 'boolean', lives: 'number', time: 'number' },
+    milestone:       { badge: 'string', live: 'boolean' },
+    round_end:       { reason: 'string', completed: 'boolean', score: 'number', water: 'number', lives: 'number', wellBuilt: 'boolean', bestStreak: 'number', misses: 'number', pollutedTaps: 'number', time: 'number' },
+    claim_generated: { source: 'string', coins: 'number' },
+    share_clicked:   { method: 'string', score: 'number' }
+  };
+
+  function clean(type, data){
+    const fields = EVENTS[type];
+    const out = {};
+    Object.keys(fields).forEach(key => {
+      const value = data ? data[key] : undefined;
+      if(typeof value === fields[key] && (fields[key] !== 'number' || Number.isFinite(value))) out[key] = value;
+    });
+    return out;
+  }
+
+  const loadList = (storage, key, what) => {
+    if(!storage) return [];
+    try{
+      const data = JSON.parse(storage.getItem(key) || 'null');
+      return data && Array.isArray(data.events) ? data.events : [];
+    } catch(e){
+      console.warn('Could not read the ' + what + ':', e);
+      return [];
+    }
+  };
+  const saveList = (storage, key, what, events) => {
+    if(!storage) return;
+    try{
+      if(events.length) storage.setItem(key, JSON.stringify({ version: SCHEMA_VERSION, events }));
+      else storage.removeItem(key);
+    } catch(e){ console.warn('Could not save the ' + what + ':', e); }
+  };
+  // Events are tracked from the game loop, a tap at a time, so sinks don't serialize their
+  // whole list on every one: later() writes it once SAVE_DELAY has passed, now() at once
+  const listSaver = (storage, key, what, list, delay) => {
+    let timer = null;
+    function now(){
+      if(timer){ clearTimeout(timer); timer = null; }
+      saveList(storage, key, what, list());
+    }
+    return { later(){ if(!timer && storage) timer = setTimeout(now, delay); }, now };
+  };
+  const defaultStorage = () => typeof localStorage !== 'undefined' ? localStorage : null;
+
+  /*
+    Sinks are objects with send(event) and, optionally:
+      flush()   send or store anything buffered now (called when the page is hidden)
+      clear()   drop anything buffered (called when consent is withdrawn)
+  */
+  function consoleSink(){
+    return { send(event){ console.info('[analytics]', event.type, event.data); } };
+  }
+
+  // Keeps the newest events on the device, e.g. for a booth laptop without a network
+  function queueSink(options = {}){
+    const storage = options.storage !== undefined ? options.storage : defaultStorage();
+    const key = options.key || QUEUE_KEY;
+    const limit = options.limit || 500;
+    let events = loadList(storage, key, 'analytics queue');
+    const saver = listSaver(storage, key, 'analytics queue', () => events, options.saveDelay || SAVE_DELAY);
+    return {
+      send(event){
+        events.push(event);
+        if(events.length > limit) events = events.slice(-limit);
+        saver.later();
+      },
+      flush(){ saver.now(); return Promise.resolve(); },
+      events: () => events.slice(),
+      clear(){ events = []; saver.now(); }
+    };
+  }
+
+  // POSTs { events: [...] } as JSON in batches. Unsent events are kept in localStorage,
+  // so they survive going offline or a reload, and failed batches retry with backoff.
+  function httpSink(options){
+    const endpoint = options.endpoint;
+    const storage = options.storage !== undefined ? options.storage : defaultStorage();
+    const key = options.key || OUTBOX_KEY;
+    const batchSize = options.batchSize || 25;
+    const delay = options.delay || 10000;          // longest an event waits for its batch to fill
+    const maxPending = options.maxPending || 2000;
+    const fetchFn = options.fetch || (typeof fetch !== 'undefined' ? (url, init) => fetch(url, init) : null);
+    const isOnline = options.isOnline || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+    const RETRY_MIN = 5000, RETRY_MAX = 300000;
+    let pending = loadList(storage, key, 'analytics outbox');
+    let timer = null, inFlight = false, retryDelay = RETRY_MIN;
+    const saver = listSaver(storage, key, 'analytics outbox', () => pending, options.saveDelay || SAVE_DELAY);
+
+    function schedule(ms){
+      if(timer) return;
+      timer = setTimeout(()=>{ timer = null; flush(); }, ms);
+    }
+    function flush(){
+      saver.now();
+      if(inFlight || !pending.length || !fetchFn) return Promise.resolve();
+      // Offline: the 'online' listener below picks it up again
+      if(!isOnline()) return Promise.resolve();
+      if(timer){ clearTimeout(timer); timer = null; }
+      const batch = pending.slice(0, batchSize);
+      inFlight = true;
+      return fetchFn(endpoint, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events: batch }), keepalive: true
+      }).then(res => {
+        // The server refused this batch (as opposed to being unavailable): retrying would not help
+        const rejected = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+        if(!res.ok && !rejected) throw new Error('HTTP ' + res.status);
+        if(rejected) console.warn('Analytics endpoint rejected ' + batch.length + ' events (HTTP ' + res.status + ')');
+        inFlight = false; retryDelay = RETRY_MIN;
+        pending = pending.filter(e => !batch.includes(e));
+        saver.now();
+        if(pending.length >= batchSize) return flush();
+        if(pending.length) schedule(delay);
+      }).catch(e => {
+        inFlight = false;
+        console.warn('Could not send analytics, retrying in ' + Math.round(retryDelay / 1000) + 's:', e);
+        schedule(retryDelay);
+        retryDelay = Math.min(RETRY_MAX, retryDelay * 2);
+      });
+    }
+    if(typeof addEventListener === 'function') addEventListener('online', ()=>{ retryDelay = RETRY_MIN; flush(); });
+    if(pending.length) schedule(delay);
+
+    return {
+      send(event){
+        pending.push(event);
+        if(pending.length > maxPending) pending = pending.slice(-maxPending);
+        if(pending.length >= batchSize) flush();
+        else { saver.later(); schedule(delay); }
+      },
+      flush,
+      pending: () => pending.length,
+      clear(){
+        pending = [];
+        if(timer){ clearTimeout(timer); timer = null; }
+        saver.now();
+      }
+    };
+  }
+
+  // The event bus. options: { storage, key, now, sinks }
+  function createAnalytics(options = {}){
+    const storage = options.storage !== undefined ? options.storage : defaultStorage();
+    const key = options.key || STORAGE_KEY;
+    const now = options.now || Date.now;
+    const sinks = (options.sinks || []).slice();
+    const listeners = [];
+    // A fresh id per page load groups one visit's events without following the player between visits
+    const session = Math.random().toString(36).slice(2, 10);
+    let seq = 0;
+    let consent = load();
+
+    function load(){
+      if(!storage) return false;
+      try{
+        const data = JSON.parse(storage.getItem(key) || 'null');
+        return !!(data && data.consent === true);
+      } catch(e){
+        console.warn('Could not read the analytics consent:', e);
+        return false;
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify({ version: SCHEMA_VERSION, consent, decidedAt: now() })); }
+      catch(e){ console.warn('Could not save the analytics consent:', e); }
+    }
+
+    // Returns the event, or null when it was not recorded
+    function track(type, data){
+      if(!EVENTS[type]){ console.warn('Unknown analytics event:', type); return null; }
+      if(!consent) return null;
+      const event = { type, at: now(), session, seq: seq++, data: clean(type, data) };
+      sinks.forEach(sink => {
+        try{ sink.send(event); } catch(e){ console.error('Analytics sink error:', e); }
+      });
+      return event;
+    }
+    function setConsent(value){
+      consent = !!value;
+      save();
+      if(!consent) sinks.forEach(sink => { if(sink.clear) sink.clear(); });
+      listeners.forEach(fn => { try{ fn(consent); } catch(e){ console.error(e); } });
+    }
+    function flush(){
+      return Promise.all(sinks.map(sink => sink.flush ? sink.flush() : null));
+    }
+
+    return {
+      track, setConsent, flush,
+      hasConsent: () => consent,
+      onConsentChange(fn){ listeners.push(fn); },
+      addSink(sink){ sinks.push(sink); return sink; },
+      removeSink(sink){ const i = sinks.indexOf(sink); if(i >= 0) sinks.splice(i, 1); }
+    };
+  }
+
+  return { createAnalytics, consoleSink, queueSink, httpSink, EVENTS };
+});
@@ -0,0 +1,67 @@
+/* Analytics tests: node --test */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RippleAnalytics = require('./analytics.js');
+
+function memoryStorage(data = {}){
+  return { data, getItem: k => k in data ? data[k] : null, setItem: (k, v)=>{ data[k] = String(v); }, removeItem: (k)=>{ delete data[k]; } };
+}
+// A sink that only remembers what it was sent
+function listSink(){
+  const events = [];
+  return { events, send: e => events.push(e), clear(){ events.length = 0; } };
+}
+
+test('nothing is recorded before the player consents', ()=>{
+  const sink = listSink();
+  const analytics = RippleAnalytics.createAnalytics({ storage: memoryStorage(), sinks: [sink] });
+  assert.equal(analytics.hasConsent(), false);
+  assert.equal(analytics.track('round_start', { difficulty: 'easy' }), null);
+  assert.equal(sink.events.length, 0);
+});
+
+test('consent is saved, and withdrawing it clears the sinks', ()=>{
+  const storage = memoryStorage();
+  const sink = listSink();
+  const analytics = RippleAnalytics.createAnalytics({ storage, sinks: [sink] });
+  const seen = [];
+  analytics.onConsentChange(v => seen.push(v));
+  analytics.setConsent(true);
+  assert.equal(RippleAnalytics.createAnalytics({ storage }).hasConsent(), true);
+  analytics.track('share_clicked', { method: 'copy', score: 40 });
+  assert.equal(sink.events.length, 1);
+  analytics.setConsent(false);
+  assert.equal(sink.events.length, 0);
+  assert.equal(analytics.track('share_clicked', { method: 'copy', score: 40 }), null);
+  assert.equal(RippleAnalytics.createAnalytics({ storage }).hasConsent(), false);
+  assert.deepEqual(seen, [true, false]);
+});
+
+test('track keeps only the whitelisted fields of the right type', ()=>{
+  const analytics = RippleAnalytics.createAnalytics({ storage: memoryStorage(), now: () => 7 });
+  analytics.setConsent(true);
+  const event = analytics.track('claim_generated', { source: 'round', coins: 3, code: 'ABCD-EFGH', nickname: 'Ana' });
+  assert.deepEqual(event.data, { source: 'round', coins: 3 });
+  assert.equal(event.at, 7);
+  assert.deepEqual(analytics.track('round_end', { score: '90', water: NaN, lives: 2 }).data, { lives: 2 });
+});
+
+test('unknown event types are refused', ()=>{
+  const warn = console.warn;
+  console.warn = () => {};
+  try{
+    const analytics = RippleAnalytics.createAnalytics({ storage: memoryStorage() });
+    analytics.setConsent(true);
+    assert.equal(analytics.track('player_name', { name: 'Ana' }), null);
+  } finally{ console.warn = warn; }
+});
+
+test('the queue sink keeps the newest events on the device', ()=>{
+  const storage = memoryStorage();
+  const queue = RippleAnalytics.queueSink({ storage, limit: 2 });
+  const analytics = RippleAnalytics.createAnalytics({ storage, sinks: [queue] });
+  analytics.setConsent(true);
+  [10, 20, 30].forEach(score => analytics.track('share_clicked', { method: 'copy', score }));
+  queue.flush();
+  assert.deepEqual(RippleAnalytics.queueSink({ storage }).events().map(e => e.data.score), [20, 30]);
+});
@@ -0,0 +1,184 @@
+/* ------------------------------
+   Sound
+   Web Audio cues synthesized on the fly (no audio files), a short
+   background music loop, and master / effects / music volumes plus
+   a mute switch saved in localStorage.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleAudio = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.audio';
+  const SCHEMA_VERSION = 1;
+
+  // Collect blips climb a semitone every PITCH_STEP points, up to PITCH_MAX semitones
+  const PITCH_STEP = 50;
+  const PITCH_MAX = 19;
+
+  // Music: a C major pentatonic loop, one entry per eighth note (null = rest)
+  const TEMPO = 104;
+  const MELODY = [72, null, 76, 79, 81, null, 79, 76, 74, null, 76, 72, 69, null, 72, null];
+  const BASS = [48, null, null, null, 45, null, null, null, 41, null, null, null, 43, null, null, null];
+  const LOOKAHEAD = 0.2;   // seconds of music scheduled ahead of the clock
+
+  function defaultSettings(){
+    return { version: SCHEMA_VERSION, muted: false, master: 0.8, effects: 0.8, music: 0.4 };
+  }
+  const midiToHz = (n) => 440 * Math.pow(2, (n - 69) / 12);
+  const clamp01 = (v) => Math.max(0, Math.min(1, Number(v) || 0));
+
+  function createAudio(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    const AudioCtor = options.AudioContext || (typeof window !== 'undefined' ? (window.AudioContext || window.webkitAudioContext) : null);
+    const settings = load();
+    let ctx = null, master = null, effects = null, music = null;
+    let musicTimer = null, nextNoteTime = 0, step = 0;
+
+    function load(){
+      if(!storage) return defaultSettings();
+      try{
+        const data = JSON.parse(storage.getItem(key) || 'null');
+        if(!data || typeof data !== 'object') return defaultSettings();
+        const out = defaultSettings();
+        out.muted = !!data.muted;
+        ['master', 'effects', 'music'].forEach(k => { if(typeof data[k] === 'number') out[k] = clamp01(data[k]); });
+        return out;
+      } catch(e){
+        console.warn('Could not read sound settings:', e);
+        return defaultSettings();
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify(settings)); }
+      catch(e){ console.warn('Could not save sound settings:', e); }
+    }
+
+    // Browsers only allow audio after a user gesture; call this from one
+    function unlock(){
+      if(!AudioCtor) return false;
+      try{
+        if(!ctx){
+          ctx = new AudioCtor();
+          master = ctx.createGain(); master.connect(ctx.destination);
+          effects = ctx.createGain(); effects.connect(master);
+          music = ctx.createGain(); music.connect(master);
+          applyVolumes();
+        }
+        if(ctx.state === 'suspended') ctx.resume();
+        return true;
+      } catch(e){
+        console.warn('Web Audio is not available:', e);
+        ctx = null;
+        return false;
+      }
+    }
+    const ready = () => !!ctx && ctx.state !== 'closed';
+
+    function applyVolumes(){
+      if(!ctx) return;
+      const now = ctx.currentTime;
+      master.gain.setTargetAtTime(settings.muted ? 0 : settings.master, now, 0.02);
+      effects.gain.setTargetAtTime(settings.effects, now, 0.02);
+      music.gain.setTargetAtTime(settings.music * 0.5, now, 0.02);
+    }
+    function setVolume(channel, value){
+      if(!(channel in settings) || channel === 'muted' || channel === 'version') return;
+      settings[channel] = clamp01(value);
+      applyVolumes(); save();
+    }
+    function setMuted(muted){
+      settings.muted = !!muted;
+      applyVolumes(); save();
+      return settings.muted;
+    }
+
+    // One enveloped oscillator note. freqEnd glides the pitch over the note.
+    function tone({ type = 'sine', freq, freqEnd, start = 0, duration = 0.15, volume = 0.3, filter, out }){
+      const t0 = ctx.currentTime + start;
+      const osc = ctx.createOscillator();
+      const env = ctx.createGain();
+      osc.type = type;
+      osc.frequency.setValueAtTime(freq, t0);
+      if(freqEnd) osc.frequency.exponentialRampToValueAtTime(freqEnd, t0 + duration);
+      env.gain.setValueAtTime(0.0001, t0);
+      env.gain.exponentialRampToValueAtTime(volume, t0 + 0.01);
+      env.gain.exponentialRampToValueAtTime(0.0001, t0 + duration);
+      let node = osc;
+      if(filter){
+        const lp = ctx.createBiquadFilter();
+        lp.type = 'lowpass'; lp.frequency.value = filter;
+        osc.connect(lp); node = lp;
+      }
+      node.connect(env); env.connect(out || effects);
+      osc.start(t0); osc.stop(t0 + duration + 0.05);
+    }
+    function play(fn){
+      if(!ready() || settings.muted) return;
+      try{ fn(); } catch(e){ console.warn('Sound error:', e); }
+    }
+
+    // Cues
+    function collect(score = 0){
+      play(() => {
+        const semis = Math.min(PITCH_MAX, Math.floor(Math.max(0, score) / PITCH_STEP));
+        const base = midiToHz(72 + semis);
+        tone({ type: 'triangle', freq: base, duration: 0.09, volume: 0.25 });
+        tone({ type: 'sine', freq: base * 1.5, start: 0.05, duration: 0.12, volume: 0.18 });
+      });
+    }
+    function pollute(){
+      play(() => {
+        tone({ type: 'sawtooth', freq: 220, freqEnd: 90, duration: 0.35, volume: 0.22, filter: 900 });
+        tone({ type: 'square', freq: 110, freqEnd: 70, start: 0.02, duration: 0.3, volume: 0.1, filter: 500 });
+      });
+    }
+    function powerup(){
+      play(() => [67, 71, 74, 79].forEach((n, i) => tone({ type: 'triangle', freq: midiToHz(n), start: i * 0.05, duration: 0.12, volume: 0.2 })));
+    }
+    function milestone(){
+      play(() => [72, 76, 79, 84].forEach((n, i) => tone({ type: 'square', freq: midiToHz(n), start: i * 0.09, duration: i === 3 ? 0.4 : 0.12, volume: 0.12, filter: 3000 })));
+    }
+    // A rising fanfare when the well was built, a falling phrase otherwise
+    function gameOver(won){
+      play(() => {
+        const notes = won ? [72, 76, 79, 84] : [67, 63, 60, 55];
+        notes.forEach((n, i) => tone({ type: 'triangle', freq: midiToHz(n), start: i * 0.16, duration: i === 3 ? 0.7 : 0.2, volume: 0.22 }));
+      });
+    }
+
+    // Music loop, scheduled a little ahead on the audio clock so timer jitter can't be heard
+    function scheduleMusic(){
+      const eighth = 60 / TEMPO / 2;
+      while(nextNoteTime < ctx.currentTime + LOOKAHEAD){
+        const at = nextNoteTime - ctx.currentTime;
+        const lead = MELODY[step % MELODY.length], bass = BASS[step % BASS.length];
+        if(lead !== null) tone({ type: 'triangle', freq: midiToHz(lead), start: at, duration: eighth * 0.9, volume: 0.12, out: music });
+        if(bass !== null) tone({ type: 'sine', freq: midiToHz(bass), start: at, duration: eighth * 3.5, volume: 0.2, out: music });
+        nextNoteTime += eighth; step += 1;
+      }
+    }
+    function startMusic(){
+      if(!ready() || musicTimer) return;
+      step = 0; nextNoteTime = ctx.currentTime + 0.05;
+      const tick = () => { try{ scheduleMusic(); } catch(e){ console.warn('Music error:', e); stopMusic(); } };
+      tick();
+      musicTimer = setInterval(tick, 50);
+    }
+    function stopMusic(){
+      if(musicTimer){ clearInterval(musicTimer); musicTimer = null; }
+    }
+
+    return {
+      unlock, setVolume, setMuted,
+      isMuted: () => settings.muted,
+      volume: (channel) => settings[channel],
+      collect, pollute, powerup, milestone, gameOver,
+      startMusic, stopMusic
+    };
+  }
+
+  return { createAudio, defaultSettings, PITCH_STEP, PITCH_MAX };
+});
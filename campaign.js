@@ -0,0 +1,98 @@
+/* ------------------------------
+   Village campaign
+   Each village is a level with its own spawn curve, polluted ratio,
+   wind and target fill. Building a village's well unlocks the next;
+   progress is saved in localStorage.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleCampaign = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.campaign';
+  const SCHEMA_VERSION = 1;
+
+  // settings override the level's base difficulty (see engine.js for what each key does)
+  const villages = [
+    { id: 'riverbend', name: 'Riverbend', difficulty: 'easy',
+      blurb: 'A gentle start: slow drops, little pollution, still air.',
+      settings: { roundTime: 40, targetFill: 60, pollutedBase: 0, pollutedRamp: 0.003, pollutedMax: 0.12, wind: 2 } },
+    { id: 'dry-creek', name: 'Dry Creek', difficulty: 'easy',
+      blurb: 'The creek runs dry in summer. Fill the can before the heat wins.',
+      settings: { roundTime: 40, targetFill: 75, pollutedBase: 0.04, pollutedRamp: 0.004, pollutedMax: 0.18, wind: 4 } },
+    { id: 'hilltop', name: 'Hilltop', difficulty: 'normal',
+      blurb: 'Gusts on the ridge push drops sideways.',
+      settings: { roundTime: 35, targetFill: 80, pollutedBase: 0.06, pollutedRamp: 0.005, pollutedMax: 0.22, wind: 14 } },
+    { id: 'sandy-ford', name: 'Sandy Ford', difficulty: 'normal',
+      blurb: 'Runoff from the fields muddies more of the water.',
+      settings: { roundTime: 35, targetFill: 90, pollutedBase: 0.12, pollutedRamp: 0.008, pollutedMax: 0.35, wind: 6 } },
+    { id: 'dust-valley', name: 'Dust Valley', difficulty: 'hard',
+      blurb: 'Fast rain and swirling wind. Every clean drop counts.',
+      settings: { roundTime: 30, lives: 3, targetFill: 95, pollutedBase: 0.1, pollutedRamp: 0.008, pollutedMax: 0.32, wind: 18 } },
+    { id: 'highland', name: 'Highland', difficulty: 'hard',
+      blurb: 'The last village on the map. Build a full well.',
+      settings: { roundTime: 30, targetFill: 100, spawnMin: 200, pollutedBase: 0.14, pollutedRamp: 0.01, pollutedMax: 0.4, wind: 12 } }
+  ];
+
+  function defaultProgress(){
+    return { version: SCHEMA_VERSION, built: {} };  // built[id] = { bestScore, bestFill, builtAt }
+  }
+
+  function createProgressStore(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    const now = options.now || Date.now;
+    let progress = load();
+
+    function load(){
+      if(!storage) return defaultProgress();
+      try{
+        const data = JSON.parse(storage.getItem(key) || 'null');
+        if(!data || typeof data !== 'object' || !data.built || typeof data.built !== 'object') return defaultProgress();
+        return Object.assign(defaultProgress(), data, { version: SCHEMA_VERSION });
+      } catch(e){
+        console.warn('Could not read campaign progress, starting fresh:', e);
+        return defaultProgress();
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify(progress)); }
+      catch(e){ console.warn('Could not save campaign progress:', e); }
+    }
+
+    function isBuilt(id){ return !!progress.built[id]; }
+    function isUnlocked(id){
+      const i = villages.findIndex(v => v.id === id);
+      return i === 0 || (i > 0 && isBuilt(villages[i - 1].id));
+    }
+    // 'built', 'open' or 'locked' for each village, in map order
+    function statuses(){
+      return villages.map(v => ({ village: v, status: isBuilt(v.id) ? 'built' : (isUnlocked(v.id) ? 'open' : 'locked'), record: progress.built[v.id] || null }));
+    }
+
+    // Call at the end of every campaign round. Returns { built, firstBuild, unlocked } where
+    // unlocked is the village the round opened up, if any.
+    function recordRound(id, summary){
+      const village = villages.find(v => v.id === id);
+      if(!village || !summary.wellBuilt) return { built: false, firstBuild: false, unlocked: null };
+      const previous = progress.built[id];
+      progress.built[id] = {
+        bestScore: Math.max(summary.score, previous ? previous.bestScore : 0),
+        bestFill: Math.max(Math.round(summary.waterPercent), previous ? previous.bestFill : 0),
+        builtAt: previous ? previous.builtAt : now()
+      };
+      save();
+      const next = villages[villages.indexOf(village) + 1] || null;
+      return { built: true, firstBuild: !previous, unlocked: !previous && next ? next : null };
+    }
+
+    function reset(){ progress = defaultProgress(); save(); }
+
+    return { isBuilt, isUnlocked, statuses, recordRound, reset };
+  }
+
+  function getVillage(id){ return villages.find(v => v.id === id) || null; }
+
+  return { villages, getVillage, createProgressStore };
+});
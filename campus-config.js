@@ -0,0 +1,30 @@
+/* ------------------------------
+   Campus settings
+   Shared by the game (index.html) and the kiosk verifier (verify.html).
+   Everything here is readable by every player, so no secrets: the claim
+   secret lives on the claim server (claim-server.js) and the kiosk.
+   -------------------------------*/
+window.RippleCampusConfig = {
+  campus: 'Student Center',
+  // The claim server that signs reward codes (claim-server.js). Empty: no codes are issued.
+  claimEndpoint: '',
+  // Most coins one code can carry; the kiosk rejects codes above it
+  claimMaxCoins: 500,
+  // Days a claim code stays redeemable after the day it was issued
+  claimValidDays: 14,
+  // Gameplay analytics (analytics.js) only run after the player ticks the consent box.
+  // Events are queued on the device; set an endpoint to have them POSTed in batches.
+  analyticsEndpoint: '',
+  // Log every event to the browser console, for checking what gets sent
+  analyticsConsole: false,
+  // Pages allowed to control the game when they embed it in an iframe (embed.js), e.g.
+  // 'https://clubs.example.edu' or 'https://*.example.edu'. Empty: no page can.
+  embedOrigins: [],
+  // Kiosk mode (index.html?kiosk=1): staff PIN for the 🔒 panel. Kiosk mode stays off until
+  // one is set. Anyone can read this file, so the PIN keeps visitors out, not a determined one.
+  kioskPin: '',
+  // Seconds without a touch before a kiosk goes back to the welcome screen,
+  // and before the welcome screen starts the demo rounds
+  kioskIdleSeconds: 60,
+  kioskAttractSeconds: 20
+};
@@ -0,0 +1,195 @@
+/* ------------------------------
+   Reward claim codes
+   A code carries the coin amount, the day it was issued and a nonce,
+   signed with the campus secret (HMAC-SHA256, truncated). The secret
+   never ships with the game: codes are signed by claim-server.js, which
+   the game asks with requestClaimCode(), and the kiosk verifier holds
+   its own copy to check the signature and expiry and record redemptions.
+
+   Layout (15 bytes, Crockford base32, grouped as RW-XXXX-XXXX-...):
+     [0]     format version
+     [1..2]  coins (uint16)
+     [3..4]  issue day, days since CODE_EPOCH (uint16)
+     [5..8]  nonce (uint32)
+     [9..14] first 6 bytes of the HMAC over bytes 0..8
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleClaims = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const CODE_VERSION = 1;
+  const CODE_EPOCH = Date.UTC(2024, 0, 1);
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const PAYLOAD_BYTES = 9;
+  const SIGNATURE_BYTES = 6;
+  const CODE_LENGTH = Math.ceil((PAYLOAD_BYTES + SIGNATURE_BYTES) * 8 / 5);
+  const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+  const LEDGER_KEY = 'rippleEffect.redemptions';
+  // Most coins one code can carry. A round pays a few dozen and a tournament win a few
+  // hundred, so anything above this was not earned in the game.
+  const MAX_COINS = 500;
+
+  function getCrypto(){
+    const c = typeof crypto !== 'undefined' ? crypto : null;
+    if(!c || !c.subtle) throw new Error('Web Crypto is not available (page must be served over https or localhost)');
+    return c;
+  }
+
+  function dayNumber(date){
+    const d = new Date(date);
+    return Math.floor((Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - CODE_EPOCH) / DAY_MS);
+  }
+  function dayToDate(day){ return new Date(CODE_EPOCH + day * DAY_MS); }
+
+  function encodeBase32(bytes){
+    let bits = 0, value = 0, out = '';
+    for(const b of bytes){
+      value = (value << 8) | b; bits += 8;
+      while(bits >= 5){ out += ALPHABET[(value >>> (bits - 5)) & 31]; bits -= 5; }
+    }
+    if(bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+  }
+  function decodeBase32(text){
+    const bytes = [];
+    let bits = 0, value = 0;
+    for(const ch of text){
+      const i = ALPHABET.indexOf(ch);
+      if(i < 0) return null;
+      value = ((value << 5) | i) & 0xffff; bits += 5;
+      if(bits >= 8){ bytes.push((value >>> (bits - 8)) & 0xff); bits -= 8; }
+    }
+    return new Uint8Array(bytes);
+  }
+  // Accepts lower case, spaces and the usual look-alikes (O/0, I/L/1)
+  function normalize(code){
+    let raw = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    if(raw.length === CODE_LENGTH + 2 && raw.startsWith('RW')) raw = raw.slice(2);
+    return raw.replace(/O/g, '0').replace(/[IL]/g, '1');
+  }
+  function format(raw){
+    return 'RW-' + raw.match(/.{1,4}/g).join('-');
+  }
+
+  const keyCache = {};
+  function importKey(secret){
+    if(!secret) return Promise.reject(new Error('No campus claim secret configured'));
+    if(!keyCache[secret]){
+      const c = getCrypto();
+      keyCache[secret] = c.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    }
+    return keyCache[secret];
+  }
+  async function sign(payload, secret){
+    const key = await importKey(secret);
+    const mac = await getCrypto().subtle.sign('HMAC', key, payload);
+    return new Uint8Array(mac).slice(0, SIGNATURE_BYTES);
+  }
+  function sameBytes(a, b){
+    if(a.length !== b.length) return false;
+    let diff = 0;
+    for(let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+  }
+  function toHex(bytes){ return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(''); }
+
+  // Resolves to a formatted code such as RW-0G2M-... Only the claim server calls this,
+  // since it needs the secret.
+  async function createClaimCode({ coins, secret, date = Date.now(), nonce, maxCoins = MAX_COINS } = {}){
+    if(!(coins >= 0 && coins <= maxCoins)) throw new RangeError('A claim code carries 0 to ' + maxCoins + ' coins');
+    const payload = new Uint8Array(PAYLOAD_BYTES);
+    const view = new DataView(payload.buffer);
+    const n = nonce != null ? nonce : getCrypto().getRandomValues(new Uint32Array(1))[0];
+    view.setUint8(0, CODE_VERSION);
+    view.setUint16(1, Math.floor(coins));
+    view.setUint16(3, Math.max(0, dayNumber(date)));
+    view.setUint32(5, n >>> 0);
+    const signature = await sign(payload, secret);
+    const bytes = new Uint8Array(PAYLOAD_BYTES + SIGNATURE_BYTES);
+    bytes.set(payload); bytes.set(signature, PAYLOAD_BYTES);
+    return format(encodeBase32(bytes));
+  }
+
+  // The game's side: asks the claim server at endpoint to sign a code for coins
+  async function requestClaimCode({ coins, endpoint, fetch: fetchFn = typeof fetch !== 'undefined' ? fetch : null } = {}){
+    if(!endpoint) throw new Error('No claim server configured');
+    const res = await fetchFn(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ coins })
+    });
+    const data = await res.json().catch(() => null);
+    if(!res.ok || !data || typeof data.code !== 'string') throw new Error('Claim server answered ' + res.status + (data && data.error ? ': ' + data.error : ''));
+    return data.code;
+  }
+
+  // Resolves to { ok, reason, id, coins, issued, expires }. reason is one of: 'malformed',
+  // 'unsupported', 'bad-signature', 'too-many-coins', 'future', 'expired', or null when ok.
+  async function verifyClaimCode(code, { secret, validDays = 14, maxCoins = MAX_COINS, now = Date.now() } = {}){
+    const bytes = decodeBase32(normalize(code));
+    if(!bytes || bytes.length !== PAYLOAD_BYTES + SIGNATURE_BYTES) return { ok: false, reason: 'malformed' };
+    const payload = bytes.slice(0, PAYLOAD_BYTES);
+    const view = new DataView(payload.buffer);
+    if(view.getUint8(0) !== CODE_VERSION) return { ok: false, reason: 'unsupported' };
+    const expected = await sign(payload, secret);
+    if(!sameBytes(expected, bytes.slice(PAYLOAD_BYTES))) return { ok: false, reason: 'bad-signature' };
+    const day = view.getUint16(3);
+    const claim = {
+      id: toHex(payload),
+      code: format(encodeBase32(bytes)),
+      coins: view.getUint16(1),
+      issued: dayToDate(day),
+      expires: dayToDate(day + validDays)
+    };
+    const today = dayNumber(now);
+    if(claim.coins > maxCoins) return Object.assign(claim, { ok: false, reason: 'too-many-coins' });
+    if(day > today + 1) return Object.assign(claim, { ok: false, reason: 'future' });
+    if(today > day + validDays) return Object.assign(claim, { ok: false, reason: 'expired' });
+    return Object.assign(claim, { ok: true, reason: null });
+  }
+
+  // Redemption ledger kept by the kiosk, so each code can only be redeemed once
+  function createLedger(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || LEDGER_KEY;
+    let entries = load();
+
+    function load(){
+      if(!storage) return [];
+      try{
+        const data = JSON.parse(storage.getItem(key) || '[]');
+        return Array.isArray(data) ? data : [];
+      } catch(e){
+        console.warn('Could not read redemption ledger:', e);
+        return [];
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify(entries)); }
+      catch(e){ console.warn('Could not save redemption ledger:', e); }
+    }
+    function find(id){ return entries.find(e => e.id === id) || null; }
+
+    // Only call with a claim that verified ok. Returns { ok, entry }; ok is false if already redeemed.
+    function redeem(claim, redeemedAt = Date.now()){
+      entries = load();
+      const existing = find(claim.id);
+      if(existing) return { ok: false, entry: existing };
+      const entry = { id: claim.id, code: claim.code, coins: claim.coins, issued: claim.issued.toISOString().slice(0, 10), redeemedAt };
+      entries.push(entry);
+      save();
+      return { ok: true, entry };
+    }
+    function toCSV(){
+      const rows = [['code', 'coins', 'issued', 'redeemed_at']];
+      entries.forEach(e => rows.push([e.code, e.coins, e.issued, new Date(e.redeemedAt).toISOString()]));
+      return rows.map(r => r.join(',')).join('\n') + '\n';
+    }
+
+    return { find, redeem, entries: () => entries.slice(), toCSV };
+  }
+
+  return { createClaimCode, requestClaimCode, verifyClaimCode, createLedger, normalize, dayNumber, MAX_COINS };
+});
@@ -0,0 +1,90 @@
+/* Claim code tests: node --test */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const RippleClaims = require('./claim-codes.js');
+
+const secret = 'test-secret';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const issued = Date.UTC(2026, 2, 10, 12);
+
+function memoryStorage(){
+  const data = {};
+  return { getItem: k => k in data ? data[k] : null, setItem: (k, v)=>{ data[k] = String(v); } };
+}
+function code(options){
+  return RippleClaims.createClaimCode(Object.assign({ coins: 42, secret, date: issued, nonce: 7 }, options));
+}
+
+test('a signed code verifies with its coins and day', async ()=>{
+  const claim = await RippleClaims.verifyClaimCode(await code(), { secret, now: issued });
+  assert.equal(claim.ok, true);
+  assert.equal(claim.coins, 42);
+  assert.equal(claim.issued.toISOString().slice(0, 10), '2026-03-10');
+});
+
+test('codes survive lower case, spaces and look-alike letters', async ()=>{
+  const typed = (await code()).toLowerCase().replace(/-/g, ' ').replace(/0/g, 'o').replace(/1/g, 'l');
+  assert.equal((await RippleClaims.verifyClaimCode(typed, { secret, now: issued })).ok, true);
+});
+
+test('an edited code or another secret fails the signature', async ()=>{
+  const good = await code();
+  const last = good.slice(-1);
+  const edited = good.slice(0, -1) + (last === 'A' ? 'B' : 'A');
+  assert.equal((await RippleClaims.verifyClaimCode(edited, { secret, now: issued })).reason, 'bad-signature');
+  assert.equal((await RippleClaims.verifyClaimCode(good, { secret: 'other', now: issued })).reason, 'bad-signature');
+  assert.equal((await RippleClaims.verifyClaimCode('RW-1234', { secret, now: issued })).reason, 'malformed');
+});
+
+test('codes expire and cannot be dated ahead', async ()=>{
+  const good = await code();
+  assert.equal((await RippleClaims.verifyClaimCode(good, { secret, now: issued + 15 * DAY_MS })).reason, 'expired');
+  assert.equal((await RippleClaims.verifyClaimCode(good, { secret, now: issued + 15 * DAY_MS, validDays: 30 })).ok, true);
+  assert.equal((await RippleClaims.verifyClaimCode(good, { secret, now: issued - 2 * DAY_MS })).reason, 'future');
+});
+
+test('coins above the cap are neither signed nor accepted', async ()=>{
+  await assert.rejects(code({ coins: RippleClaims.MAX_COINS + 1 }), RangeError);
+  const big = await code({ coins: 900, maxCoins: 1000 });
+  const claim = await RippleClaims.verifyClaimCode(big, { secret, now: issued });
+  assert.equal(claim.ok, false);
+  assert.equal(claim.reason, 'too-many-coins');
+  assert.equal((await RippleClaims.verifyClaimCode(big, { secret, now: issued, maxCoins: 1000 })).ok, true);
+});
+
+test('the ledger redeems each code once', async ()=>{
+  const storage = memoryStorage();
+  const claim = await RippleClaims.verifyClaimCode(await code(), { secret, now: issued });
+  const ledger = RippleClaims.createLedger({ storage });
+  assert.equal(ledger.redeem(claim, issued).ok, true);
+  // A second kiosk tab reading the same storage sees the redemption
+  const again = RippleClaims.createLedger({ storage }).redeem(claim, issued + 1000);
+  assert.equal(again.ok, false);
+  assert.equal(again.entry.redeemedAt, issued);
+  assert.match(ledger.toCSV(), /^code,coins,issued,redeemed_at\nRW-[^,]+,42,2026-03-10,/);
+});
+
+test('requestClaimCode posts the coins and returns the server\'s code', async ()=>{
+  let sent = null;
+  const fetch = async (url, init)=>{
+    sent = { url, body: JSON.parse(init.body) };
+    return { ok: true, status: 200, json: async () => ({ code: 'RW-TEST' }) };
+  };
+  assert.equal(await RippleClaims.requestClaimCode({ coins: 12, endpoint: '/claim', fetch }), 'RW-TEST');
+  assert.deepEqual(sent, { url: '/claim', body: { coins: 12 } });
+});
+
+test('requestClaimCode reports a missing server and refusals', async ()=>{
+  await assert.rejects(RippleClaims.requestClaimCode({ coins: 12, endpoint: '' }), /No claim server configured/);
+  const fetch = async () => ({ ok: false, status: 400, json: async () => ({ error: 'coins must be 1 to 500' }) });
+  await assert.rejects(RippleClaims.requestClaimCode({ coins: 9999, endpoint: '/claim', fetch }), /answered 400: coins must be 1 to 500/);
+});
+
+test('the claim server will not start without an allowed origin', ()=>{
+  const env = Object.assign({}, process.env, { RIPPLE_CLAIM_SECRET: secret });
+  delete env.RIPPLE_GAME_ORIGIN;
+  const run = spawnSync(process.execPath, [require.resolve('./claim-server.js')], { env, encoding: 'utf8', timeout: 5000 });
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /RIPPLE_GAME_ORIGIN/);
+});
@@ -0,0 +1,60 @@
+/* ------------------------------
+   Claim code signing server
+   Keeps the campus secret off the players' devices: the game posts
+   { coins } to it and gets back { code }. Runs on Node 18 or later with
+   no dependencies, and is not part of the static build.
+
+     RIPPLE_CLAIM_SECRET=... RIPPLE_GAME_ORIGIN=https://game.example.edu node claim-server.js
+
+   Environment:
+     RIPPLE_CLAIM_SECRET     the campus secret; the kiosk is set up with the same one
+     RIPPLE_GAME_ORIGIN      origin of the game page, the only one allowed to call it
+     RIPPLE_CLAIM_MAX_COINS  most coins one code can carry (claim-codes.js MAX_COINS)
+     PORT                    defaults to 8787
+   -------------------------------*/
+const http = require('http');
+const RippleClaims = require('./claim-codes.js');
+
+const secret = process.env.RIPPLE_CLAIM_SECRET;
+const origin = process.env.RIPPLE_GAME_ORIGIN;
+const maxCoins = Number(process.env.RIPPLE_CLAIM_MAX_COINS) || RippleClaims.MAX_COINS;
+const port = Number(process.env.PORT) || 8787;
+const MAX_BODY = 1024;
+
+if(!secret || !origin){
+  console.error('Set RIPPLE_CLAIM_SECRET and RIPPLE_GAME_ORIGIN before starting the claim server.');
+  process.exit(1);
+}
+
+function reply(res, status, data){
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'POST',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Vary': 'Origin'
+  });
+  res.end(data ? JSON.stringify(data) : '');
+}
+
+http.createServer((req, res)=>{
+  if(req.method === 'OPTIONS') return reply(res, 204);
+  if(req.method !== 'POST') return reply(res, 405, { error: 'POST { coins } to get a code' });
+  if(req.headers.origin !== origin) return reply(res, 403, { error: 'origin not allowed' });
+  let body = '';
+  req.on('data', (chunk)=>{
+    body += chunk;
+    if(body.length > MAX_BODY){ reply(res, 413, { error: 'request too large' }); req.destroy(); }
+  });
+  req.on('end', async ()=>{
+    if(res.writableEnded) return;
+    let coins;
+    try{ coins = JSON.parse(body).coins; } catch(e){ return reply(res, 400, { error: 'not valid JSON' }); }
+    if(!Number.isInteger(coins) || coins < 1 || coins > maxCoins) return reply(res, 400, { error: 'coins must be 1 to ' + maxCoins });
+    try{ reply(res, 200, { code: await RippleClaims.createClaimCode({ coins, secret, maxCoins }) }); }
+    catch(e){
+      console.error('Could not sign a claim code:', e);
+      reply(res, 500, { error: 'could not sign the code' });
+    }
+  });
+}).listen(port, ()=> console.log('Claim server listening on port ' + port));
@@ -0,0 +1,114 @@
+/* ------------------------------
+   Daily challenge
+   One round a day that is the same for everyone: the seed (and so the
+   spawn sequence, drop types and wind) comes from the date. Only the
+   first attempt each day is scored; the daily best and the run of days
+   played are saved in localStorage.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleDaily = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.daily';
+  const SCHEMA_VERSION = 1;
+  const HISTORY_DAYS = 30;
+
+  // Every device plays the daily round at this playfield size (the canvas scales it),
+  // so drop positions match too, not just the sequence
+  const SIZE = { width: 720, height: 420 };
+  const DIFFICULTY = 'normal';
+  const MODE = 'tap';
+  const WIND = [2, 16];   // range of the day's wind strength
+
+  // Local calendar day: everyone on one campus shares a date
+  function dayKey(date){
+    const pad = (n) => String(n).padStart(2, '0');
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+  }
+  function previousDay(key){
+    const [y, m, d] = key.split('-').map(Number);
+    return dayKey(new Date(y, m - 1, d - 1));
+  }
+  // FNV-1a, so the seed depends only on the day's text
+  function hash(text){
+    let h = 0x811c9dc5;
+    for(let i = 0; i < text.length; i++){ h ^= text.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+    return h >>> 0;
+  }
+
+  // Everything needed to start the day's round: engine.start({ seed, settings, daily: day })
+  function roundFor(day){
+    const seed = hash('ripple-daily:' + day);
+    const wind = WIND[0] + (hash('wind:' + day) % (WIND[1] - WIND[0] + 1));
+    return { day, seed, difficulty: DIFFICULTY, mode: MODE, size: Object.assign({}, SIZE), settings: { wind } };
+  }
+
+  function defaultData(){
+    return { version: SCHEMA_VERSION, scores: {}, best: 0, bestDay: null, streak: 0, bestStreak: 0, lastDay: null };
+  }
+
+  function createDailyStore(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    const now = options.now || Date.now;
+    let data = load();
+
+    function load(){
+      if(!storage) return defaultData();
+      try{
+        const saved = JSON.parse(storage.getItem(key) || 'null');
+        if(!saved || typeof saved !== 'object' || !saved.scores || typeof saved.scores !== 'object') return defaultData();
+        return Object.assign(defaultData(), saved, { version: SCHEMA_VERSION });
+      } catch(e){
+        console.warn('Could not read daily challenge progress:', e);
+        return defaultData();
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify(data)); }
+      catch(e){ console.warn('Could not save daily challenge progress:', e); }
+    }
+
+    const today = () => dayKey(new Date(now()));
+    const hasPlayed = (day = today()) => Object.prototype.hasOwnProperty.call(data.scores, day);
+
+    // Called when the attempt starts, so leaving or reloading mid-round still uses it up.
+    // Returns false if today's attempt was already taken.
+    function beginAttempt(day = today()){
+      if(hasPlayed(day)) return false;
+      data.scores[day] = 0;
+      data.streak = data.lastDay === previousDay(day) ? data.streak + 1 : 1;
+      data.bestStreak = Math.max(data.bestStreak, data.streak);
+      data.lastDay = day;
+      const days = Object.keys(data.scores).sort();
+      days.slice(0, Math.max(0, days.length - HISTORY_DAYS)).forEach(d => { delete data.scores[d]; });
+      save();
+      return true;
+    }
+    // Returns { score, newBest }
+    function finishAttempt(day, score){
+      if(!hasPlayed(day)) return { score: 0, newBest: false };
+      data.scores[day] = Math.max(data.scores[day], score);
+      const newBest = score > data.best;
+      if(newBest){ data.best = score; data.bestDay = day; }
+      save();
+      return { score: data.scores[day], newBest };
+    }
+
+    // The streak only counts while it is unbroken: today or yesterday must have been played
+    function status(){
+      const day = today();
+      const alive = data.lastDay === day || data.lastDay === previousDay(day);
+      return {
+        day, played: hasPlayed(day), score: hasPlayed(day) ? data.scores[day] : null,
+        best: data.best, bestDay: data.bestDay, streak: alive ? data.streak : 0, bestStreak: data.bestStreak
+      };
+    }
+
+    return { today, hasPlayed, beginAttempt, finishAttempt, status };
+  }
+
+  return { createDailyStore, roundFor, dayKey, SIZE, DIFFICULTY, MODE };
+});
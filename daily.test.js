@@ -0,0 +1,72 @@
+/* Daily challenge tests: node --test */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RippleDaily = require('./daily.js');
+const RippleEngine = require('./engine.js');
+
+function memoryStorage(){
+  const data = {};
+  return { getItem: k => k in data ? data[k] : null, setItem: (k, v)=>{ data[k] = String(v); } };
+}
+const at = (y, m, d, h = 12) => new Date(y, m - 1, d, h).getTime();
+
+test('every device gets the same round for a day', ()=>{
+  const round = RippleDaily.roundFor('2026-04-01');
+  assert.deepEqual(RippleDaily.roundFor('2026-04-01'), round);
+  assert.notEqual(RippleDaily.roundFor('2026-04-02').seed, round.seed);
+  assert.equal(round.difficulty, RippleDaily.DIFFICULTY);
+  assert.equal(round.mode, RippleDaily.MODE);
+  assert.ok(round.settings.wind >= 2 && round.settings.wind <= 16);
+});
+
+test('the day\'s round drops the same drops whatever the player picked', ()=>{
+  const round = RippleDaily.roundFor('2026-04-01');
+  const drops = (difficulty, mode)=>{
+    const engine = RippleEngine.createEngine({ difficulty, mode, width: 500, height: 900 });
+    const seen = [];
+    engine.on('spawn', ({ drop }) => seen.push([drop.type, Math.round(drop.x)]));
+    engine.start({ seed: round.seed, settings: round.settings, difficulty: round.difficulty, mode: round.mode, daily: round.day, size: round.size });
+    // Lose lives along the way: hearts must not start falling for one player and not another
+    for(let i = 0; i < 1800 && engine.state.running; i++){
+      if(i === 300 && difficulty === 'hard') engine.state.lives -= 1;
+      engine.step(RippleEngine.FIXED_DT);
+    }
+    return seen;
+  };
+  const first = drops('hard', 'lanes');
+  assert.ok(first.length > 20);
+  assert.deepEqual(first, drops('easy', 'tap'));
+});
+
+test('dayKey uses the local calendar day', ()=>{
+  assert.equal(RippleDaily.dayKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+});
+
+test('one attempt a day, taken when the round starts', ()=>{
+  let now = at(2026, 4, 1);
+  const store = RippleDaily.createDailyStore({ storage: memoryStorage(), now: () => now });
+  assert.equal(store.beginAttempt(), true);
+  assert.equal(store.beginAttempt(), false);
+  assert.deepEqual(store.finishAttempt('2026-04-01', 120), { score: 120, newBest: true });
+  assert.deepEqual(store.finishAttempt('2026-04-02', 500), { score: 0, newBest: false });
+  now = at(2026, 4, 2);
+  assert.equal(store.status().played, false);
+  assert.equal(store.status().best, 120);
+});
+
+test('the streak counts unbroken days and resets after a gap', ()=>{
+  const storage = memoryStorage();
+  let now = at(2026, 4, 30);
+  const store = RippleDaily.createDailyStore({ storage, now: () => now });
+  store.beginAttempt();
+  now = at(2026, 5, 1); store.beginAttempt();
+  assert.equal(store.status().streak, 2);
+  now = at(2026, 5, 2);
+  assert.equal(store.status().streak, 2);
+  now = at(2026, 5, 4);
+  assert.equal(store.status().streak, 0);
+  store.beginAttempt();
+  const reloaded = RippleDaily.createDailyStore({ storage, now: () => now }).status();
+  assert.equal(reloaded.streak, 1);
+  assert.equal(reloaded.bestStreak, 2);
+});
@@ -20,7 +20,22 @@ mkdir -p build
 
 # Copy files to build directory
 echo "📋 Copying files..."
-cp -v index.html styles.css game.js preview.html README.md build/
+cp -v index.html verify.html styles.css campus-config.js analytics.js embed.js i18n.js messages.js audio.js display.js drop-types.js sprites.js engine.js profile.js claim-codes.js campaign.js presets.js achievements.js daily.js tournament.js round-save.js kiosk.js fact-deck.js facts.json facts.es.json facts.fr.json game.js verify.js sw.js manifest.webmanifest preview.html README.md charity-water-logo.png jerrycan-logo.png og-image.png build/
+mkdir -p build/icons
+cp -v icons/*.png build/icons/
+
+# A new cache version makes returning players' browsers fetch the new build
+BUILD_ID="$(git rev-parse --short HEAD 2>/dev/null || echo local)-$(date +%Y%m%d%H%M%S)"
+sed -i.bak "s/^const CACHE_VERSION = 'dev';/const CACHE_VERSION = '${BUILD_ID}';/" build/sw.js && rm -f build/sw.js.bak
+echo "🔖 Offline cache version: ${BUILD_ID}"
+
+# Every precached file must ship, or the service worker fails to install
+while IFS= read -r file; do
+    if [[ "$file" != "./" && ! -f "build/$file" ]]; then
+        echo "❌ Error: sw.js precaches $file but it is not in build/"
+        exit 1
+    fi
+done < <(sed -n "/^const PRECACHE = \[/,/^\];/p" build/sw.js | grep -oE "'[^']+'" | tr -d "'")
 
 echo "✨ Build complete!"
 echo ""
@@ -0,0 +1,91 @@
+/* ------------------------------
+   Display settings
+   How drops are drawn: colour palette, high contrast and pattern
+   overlays, saved in localStorage. High contrast follows the system's
+   prefers-contrast setting until the player picks on or off. The
+   frame-rate overlay is stored here too and is off by default.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleDisplay = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.display';
+  const SCHEMA_VERSION = 1;
+  const PALETTES = ['standard', 'colorblind'];
+  const CONTRAST = ['auto', 'on', 'off'];
+  const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+  function defaultSettings(){
+    return { version: SCHEMA_VERSION, palette: 'standard', contrast: 'auto', patterns: false, fps: false };
+  }
+
+  function createDisplaySettings(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    const matchMedia = options.matchMedia || (typeof window !== 'undefined' && window.matchMedia ? window.matchMedia.bind(window) : null);
+    const settings = load();
+    const listeners = [];
+    let systemContrast = false;
+
+    function load(){
+      if(!storage) return defaultSettings();
+      try{
+        const data = JSON.parse(storage.getItem(key) || 'null');
+        return sanitize(data);
+      } catch(e){
+        console.warn('Could not read display settings:', e);
+        return defaultSettings();
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify(settings)); }
+      catch(e){ console.warn('Could not save display settings:', e); }
+    }
+    function sanitize(data){
+      const out = defaultSettings();
+      if(!data || typeof data !== 'object') return out;
+      if(PALETTES.includes(data.palette)) out.palette = data.palette;
+      if(CONTRAST.includes(data.contrast)) out.contrast = data.contrast;
+      out.patterns = !!data.patterns;
+      out.fps = !!data.fps;
+      return out;
+    }
+
+    // What the renderer needs: contrast resolved to a boolean
+    function look(){
+      const contrast = settings.contrast === 'auto' ? systemContrast : settings.contrast === 'on';
+      return { palette: settings.palette, contrast, patterns: settings.patterns, fps: settings.fps };
+    }
+    function emit(){
+      const current = look();
+      listeners.forEach(fn => { try{ fn(current); } catch(e){ console.error(e); } });
+    }
+    function set(patch){
+      Object.assign(settings, sanitize(Object.assign({}, settings, patch)));
+      save(); emit();
+      return look();
+    }
+
+    if(matchMedia){
+      try{
+        const query = matchMedia(CONTRAST_QUERY);
+        systemContrast = !!query.matches;
+        const onSystemChange = (e) => { systemContrast = !!e.matches; if(settings.contrast === 'auto') emit(); };
+        if(query.addEventListener) query.addEventListener('change', onSystemChange);
+        else if(query.addListener) query.addListener(onSystemChange);
+      } catch(e){
+        console.warn('Could not read prefers-contrast:', e);
+      }
+    }
+
+    return {
+      look, set,
+      get: () => Object.assign({}, settings),
+      onChange(fn){ listeners.push(fn); }
+    };
+  }
+
+  return { createDisplaySettings, defaultSettings, PALETTES, CONTRAST };
+});
@@ -0,0 +1,264 @@
+/* ------------------------------
+   Drop type registry
+   Each type declares how often it spawns, its size and speed ranges,
+   how it is drawn and what happens when it is tapped or missed.
+   The engine only uses the rules; draw(ctx, ...) is called by the renderer.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleDropTypes = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const types = {};
+  const order = [];
+
+  /*
+    register({
+      id,                 // unique name, stored on each drop as drop.type
+      name,               // spoken name for screen-reader announcements
+      weight,             // number or fn({ pollutedChance, elapsed, state, settings }) -> relative spawn weight
+      size: [min, max],   // radius range
+      speed: [min, max],  // starting fall speed, scaled by the difficulty's dropSpeed
+      gravity,            // fall acceleration, scaled by dropSpeed
+      hazard,             // true for drops that hurt when tapped (drop.polluted)
+      trail,              // leaves a short trail
+      draw(ctx, x, y, r, age, drop, look),  // look: { palette, contrast, patterns } from display.js
+      sprite,             // { frames, period }: pre-rendered by sprites.js, period in seconds of age;
+                          // leave out to have draw() called every frame
+      onTap(game, drop),  // game: see effects in engine.js
+      onMiss(game, drop)  // drop fell off the bottom
+    })
+  */
+  function register(def){
+    if(!def || !def.id) throw new Error('Drop type needs an id');
+    if(!types[def.id]) order.push(def.id);
+    types[def.id] = Object.assign({
+      weight: 0, size: [18, 28], speed: [30, 50], gravity: 75,
+      name: def.id + ' drop', hazard: false, trail: false, label: '', sprite: null,
+      draw: drawCleanDrop, onTap(){}, onMiss(){}
+    }, def);
+    return types[def.id];
+  }
+  function get(id){ return types[id] || types.clean; }
+  function list(){ return order.map(id => types[id]); }
+  function weightOf(type, ctx){ return Math.max(0, typeof type.weight === 'function' ? type.weight(ctx) : type.weight); }
+
+  // Colours by palette. 'colorblind' uses the Okabe-Ito blue and vermillion, so clean and
+  // polluted drops differ in hue and lightness for the common kinds of colour blindness.
+  const PALETTES = {
+    standard: {
+      clean: { stops: [[0, '#e6f9ff'], [0.3, '#7dd3fc'], [0.7, '#0ea5e9'], [1, '#0284c7']], glow: 'rgba(14, 165, 233, 0.3)' },
+      polluted: { stops: [[0, '#8b7355'], [0.4, '#6b5b47'], [0.8, '#4a4037'], [1, '#2d2621']], shine: 'rgba(139,115,85,0.6)' }
+    },
+    colorblind: {
+      clean: { stops: [[0, '#eaf6fd'], [0.3, '#8fd0f3'], [0.7, '#56b4e9'], [1, '#0072b2']], glow: 'rgba(0, 114, 178, 0.3)' },
+      polluted: { stops: [[0, '#f0a875'], [0.4, '#d55e00'], [0.8, '#8f3f00'], [1, '#4d2200']], shine: 'rgba(240,168,117,0.6)' }
+    }
+  };
+  function colors(id, look){
+    const palette = PALETTES[look && look.palette] || PALETTES.standard;
+    return palette[id] || PALETTES.standard[id];
+  }
+
+  // High contrast: a thick dark edge around the current path
+  function outline(ctx, r){
+    ctx.save();
+    ctx.shadowBlur = 0; ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#000'; ctx.lineWidth = Math.max(3, r * 0.16);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Pattern overlay for hazards: hatching clipped to the current path, then a skull
+  function drawHazardPattern(ctx, x, y, r){
+    ctx.save();
+    ctx.clip();
+    ctx.strokeStyle = 'rgba(0,0,0,0.5)'; ctx.lineWidth = Math.max(1.5, r * 0.08);
+    for(let i = -2; i <= 2; i++){
+      ctx.beginPath(); ctx.moveTo(x - r + i*r*0.45, y + r); ctx.lineTo(x + r + i*r*0.45, y - r); ctx.stroke();
+    }
+    ctx.restore();
+    const s = r * 0.45;
+    ctx.save();
+    ctx.fillStyle = '#fff'; ctx.strokeStyle = '#000'; ctx.lineWidth = Math.max(1, s * 0.12);
+    ctx.beginPath(); ctx.arc(x, y - s*0.15, s*0.6, 0, Math.PI*2); ctx.fill(); ctx.stroke();
+    ctx.beginPath(); ctx.rect(x - s*0.32, y + s*0.3, s*0.64, s*0.38); ctx.fill(); ctx.stroke();
+    ctx.fillStyle = '#000';
+    ctx.beginPath();
+    ctx.arc(x - s*0.24, y - s*0.15, s*0.16, 0, Math.PI*2);
+    ctx.moveTo(x + s*0.4, y - s*0.15);
+    ctx.arc(x + s*0.24, y - s*0.15, s*0.16, 0, Math.PI*2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(x - s*0.1, y + s*0.3); ctx.lineTo(x - s*0.1, y + s*0.68);
+    ctx.moveTo(x + s*0.1, y + s*0.3); ctx.lineTo(x + s*0.1, y + s*0.68);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Shared teardrop outline
+  function dropPath(ctx, x, y, r){
+    ctx.moveTo(x, y - r);
+    ctx.quadraticCurveTo(x + r*0.8, y - r*0.3, x + r*0.6, y + r*0.4);
+    ctx.quadraticCurveTo(x, y + r*1.2, x - r*0.6, y + r*0.4);
+    ctx.quadraticCurveTo(x - r*0.8, y - r*0.3, x, y - r);
+  }
+  function drawTeardrop(ctx, x, y, r, stops, glow, look = {}){
+    ctx.beginPath();
+    const mainGrad = ctx.createRadialGradient(x - r*0.3, y - r*0.5, r*0.1, x, y, r*1.4);
+    stops.forEach(([offset, color]) => mainGrad.addColorStop(offset, color));
+    dropPath(ctx, x, y, r);
+    ctx.fillStyle = mainGrad;
+    ctx.fill();
+    if(!look.contrast){ ctx.shadowColor = glow; ctx.shadowBlur = r * 0.5; ctx.fill(); ctx.shadowBlur = 0; }
+    const highlight = ctx.createRadialGradient(x - r*0.3, y - r*0.4, 0, x - r*0.3, y - r*0.4, r*0.4);
+    highlight.addColorStop(0, 'rgba(255,255,255,0.9)');
+    highlight.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.beginPath();
+    ctx.ellipse(x - r*0.3, y - r*0.4, r*0.35, r*0.25, -0.3, 0, Math.PI*2);
+    ctx.fillStyle = highlight; ctx.fill();
+    ctx.beginPath();
+    ctx.ellipse(x - r*0.15, y - r*0.6, r*0.15, r*0.1, 0.2, 0, Math.PI*2);
+    ctx.fillStyle = 'rgba(255,255,255,0.6)'; ctx.fill();
+    ctx.beginPath();
+    dropPath(ctx, x, y, r);
+    if(look.contrast){ outline(ctx, r); }
+    else { ctx.strokeStyle = 'rgba(255,255,255,0.3)'; ctx.lineWidth = 1; ctx.stroke(); }
+  }
+
+  function drawCleanDrop(ctx, x, y, r, age, drop, look){
+    const c = colors('clean', look);
+    drawTeardrop(ctx, x, y, r, c.stops, c.glow, look);
+  }
+  function drawPollutedDrop(ctx, x, y, r, age, drop, look = {}){
+    const c = colors('polluted', look);
+    const pollutedGrad = ctx.createRadialGradient(x - r*0.2, y - r*0.3, r*0.1, x, y, r*1.3);
+    c.stops.forEach(([offset, color]) => pollutedGrad.addColorStop(offset, color));
+    const blob = () => {
+      ctx.beginPath();
+      const points = 8;
+      for(let i = 0; i < points; i++){
+        const angle = (i / points) * Math.PI * 2;
+        const variation = 1 + (Math.sin(angle * 3 + age) * 0.15);
+        const px = x + Math.cos(angle) * r * 0.7 * variation;
+        const py = y + Math.sin(angle) * r * 0.8 * variation;
+        if(i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+      }
+      ctx.closePath();
+    };
+    blob();
+    ctx.fillStyle = pollutedGrad; ctx.fill();
+    // Specks swirl with age rather than at random, so a cached sprite frame looks the same every time it is drawn
+    for(let i = 0; i < 3; i++){
+      ctx.beginPath();
+      const angle = age + i * (Math.PI * 2 / 3);
+      const px = x + Math.cos(angle) * r * 0.3;
+      const py = y + Math.sin(angle * 2) * r * 0.25;
+      ctx.arc(px, py, r * 0.08, 0, Math.PI * 2);
+      ctx.fillStyle = 'rgba(0,0,0,0.4)'; ctx.fill();
+    }
+    ctx.beginPath();
+    ctx.ellipse(x - r*0.2, y - r*0.3, r*0.2, r*0.12, -0.5, 0, Math.PI*2);
+    ctx.fillStyle = c.shine; ctx.fill();
+    if(look.patterns){ blob(); drawHazardPattern(ctx, x, y, r); }
+    if(look.contrast){ blob(); outline(ctx, r); }
+  }
+  function drawFilterDrop(ctx, x, y, r, age, drop, look){
+    drawTeardrop(ctx, x, y, r, [[0, '#f0fffb'], [0.3, '#99f6e4'], [0.7, '#14b8a6'], [1, '#0f766e']], 'rgba(20, 184, 166, 0.45)', look);
+    // Filter mesh
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,255,255,0.85)'; ctx.lineWidth = 1.5;
+    for(let i = -1; i <= 1; i++){
+      ctx.beginPath(); ctx.moveTo(x - r*0.35, y + r*0.1 + i*r*0.22); ctx.lineTo(x + r*0.35, y + r*0.1 + i*r*0.22); ctx.stroke();
+    }
+    ctx.restore();
+  }
+  function drawGoldenDrop(ctx, x, y, r, age, drop, look){
+    drawTeardrop(ctx, x, y, r, [[0, '#fffbe6'], [0.3, '#ffe066'], [0.7, '#ffd300'], [1, '#b8860b']], 'rgba(255, 211, 0, 0.7)', look);
+    // Sparkle
+    ctx.save();
+    const s = r * (0.25 + Math.sin(age * 8) * 0.08);
+    ctx.translate(x + r*0.45, y - r*0.55);
+    ctx.fillStyle = 'rgba(255,255,255,0.95)';
+    ctx.beginPath();
+    ctx.moveTo(0, -s); ctx.lineTo(s*0.25, -s*0.25); ctx.lineTo(s, 0); ctx.lineTo(s*0.25, s*0.25);
+    ctx.lineTo(0, s); ctx.lineTo(-s*0.25, s*0.25); ctx.lineTo(-s, 0); ctx.lineTo(-s*0.25, -s*0.25);
+    ctx.closePath(); ctx.fill();
+    ctx.restore();
+  }
+  function drawSlowDrop(ctx, x, y, r, age, drop, look){
+    drawTeardrop(ctx, x, y, r, [[0, '#f5f3ff'], [0.3, '#c4b5fd'], [0.7, '#8b5cf6'], [1, '#6d28d9']], 'rgba(139, 92, 246, 0.45)', look);
+    // Clock face
+    ctx.save();
+    const cy = y + r*0.15;
+    ctx.strokeStyle = 'rgba(255,255,255,0.9)'; ctx.lineWidth = 1.5;
+    ctx.beginPath(); ctx.arc(x, cy, r*0.38, 0, Math.PI*2); ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(x, cy); ctx.lineTo(x, cy - r*0.26);
+    ctx.moveTo(x, cy); ctx.lineTo(x + Math.cos(age) * r*0.2, cy + Math.sin(age) * r*0.2);
+    ctx.stroke();
+    ctx.restore();
+  }
+  function drawHeartDrop(ctx, x, y, r, age, drop, look = {}){
+    ctx.save();
+    const grad = ctx.createRadialGradient(x - r*0.3, y - r*0.3, r*0.1, x, y, r*1.3);
+    grad.addColorStop(0, '#ffe4e6'); grad.addColorStop(0.4, '#fb7185'); grad.addColorStop(1, '#be123c');
+    ctx.beginPath();
+    ctx.moveTo(x, y + r*0.8);
+    ctx.bezierCurveTo(x - r*1.2, y, x - r*0.7, y - r*0.9, x, y - r*0.35);
+    ctx.bezierCurveTo(x + r*0.7, y - r*0.9, x + r*1.2, y, x, y + r*0.8);
+    ctx.closePath();
+    ctx.fillStyle = grad;
+    if(!look.contrast){ ctx.shadowColor = 'rgba(244, 63, 94, 0.45)'; ctx.shadowBlur = r * 0.5; }
+    ctx.fill(); ctx.shadowBlur = 0;
+    if(look.contrast) outline(ctx, r);
+    ctx.beginPath();
+    ctx.ellipse(x - r*0.35, y - r*0.25, r*0.18, r*0.1, -0.6, 0, Math.PI*2);
+    ctx.fillStyle = 'rgba(255,255,255,0.7)'; ctx.fill();
+    ctx.restore();
+  }
+
+  // Built-in types. The clean/polluted weights follow the difficulty's polluted-chance curve;
+  // power-ups are rare extras on top.
+  register({
+    id: 'clean', name: 'Clean drop', weight: (c) => 1 - c.pollutedChance,
+    size: [18, 28], speed: [30, 50], gravity: 75, trail: true,
+    draw: drawCleanDrop, sprite: { frames: 1 },
+    onTap(game){ game.extendStreak(); game.addScore(10); game.addWater(6); },
+    onMiss(game){ game.breakStreak(); game.addWater(-1.2); }
+  });
+  register({
+    id: 'polluted', name: 'Polluted drop', weight: (c) => c.pollutedChance,
+    size: [24, 35], speed: [40, 60], gravity: 90, hazard: true,
+    draw: drawPollutedDrop, sprite: { frames: 12, period: Math.PI * 2 },
+    onTap(game){ game.breakStreak(); game.loseLife(); game.addWater(-10); }
+  });
+  register({
+    id: 'filter', name: 'Filter drop', label: 'Filter! Water cleaned', weight: (c) => c.elapsed > 5 ? 0.02 : 0,
+    size: [20, 26], speed: [30, 45], gravity: 70,
+    draw: drawFilterDrop, sprite: { frames: 1 },
+    onTap(game){ game.purify(); }
+  });
+  register({
+    id: 'golden', name: 'Golden drop', label: '+1 Ripple Coin', weight: 0.012,
+    size: [16, 22], speed: [45, 60], gravity: 85,
+    draw: drawGoldenDrop, sprite: { frames: 8, period: Math.PI / 4 },
+    onTap(game){ game.addScore(10); game.addBonusCoins(1); }
+  });
+  register({
+    id: 'slow', name: 'Slow-motion drop', label: 'Slow motion!', weight: 0.015,
+    size: [20, 26], speed: [30, 45], gravity: 70,
+    draw: drawSlowDrop, sprite: { frames: 24, period: Math.PI * 2 },
+    onTap(game){ game.slowDrops(5, 0.5); }
+  });
+  register({
+    // Only falls once a life is lost, which would make daily challenges and tournament matches
+    // differ between players, so those rounds have none
+    id: 'heart', name: 'Heart drop', label: '+1 Life', weight: (c) => !c.state.daily && !c.state.tournament && c.state.lives < c.settings.lives ? 0.015 : 0,
+    size: [18, 24], speed: [35, 50], gravity: 80,
+    draw: drawHeartDrop, sprite: { frames: 1 },
+    onTap(game){ game.gainLife(); }
+  });
+
+  return { register, get, list, weightOf, drawCleanDrop, drawPollutedDrop, PALETTES };
+});
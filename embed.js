@@ -0,0 +1,105 @@
+/* ------------------------------
+   Embedding
+   Lets a page that puts the game in an iframe drive it over postMessage.
+   Only origins on the campus allow-list (embedOrigins in campus-config.js)
+   are answered, and only after they say hello, so another site framing
+   the game can neither control it nor read its events.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleEmbed = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const PREFIX = 'ripple:';
+  const URL_PARAM = 'embed';
+  const PROTOCOL_VERSION = 1;
+
+  // ?embed=1 switches the page to its compact iframe layout
+  function isEmbedRequest(search){
+    return new URLSearchParams(search || '').get(URL_PARAM) === '1';
+  }
+
+  // Entries are exact origins ('https://clubs.example.edu') or '*.' wildcards
+  // ('https://*.example.edu') matching any subdomain over the same scheme
+  function isAllowedOrigin(origin, allowed){
+    if(typeof origin !== 'string' || origin === 'null' || !Array.isArray(allowed)) return false;
+    return allowed.some(entry => {
+      if(typeof entry !== 'string') return false;
+      if(entry === origin) return true;
+      const wild = /^(https?:\/\/)\*\.(.+)$/.exec(entry);
+      if(!wild) return false;
+      return origin.startsWith(wild[1]) && origin.endsWith('.' + wild[2]) && origin.length > wild[1].length + wild[2].length + 1;
+    });
+  }
+
+  /*
+    Host to game (send { type: 'ripple:hello' } first):
+      { type: 'ripple:start', options }           options as RippleEffect.start()
+      { type: 'ripple:pause' }, { type: 'ripple:resume' }, { type: 'ripple:reset' }
+      { type: 'ripple:setDifficulty', difficulty }
+      { type: 'ripple:configure', theme, difficulty }
+    Any command may carry an id; the game then answers { type: 'ripple:result', id, ok, result, error }.
+
+    Game to host:
+      { type: 'ripple:ready', version, events }   the answer to hello
+      { type: 'ripple:event', name, data }        every RippleEffect event, e.g. name 'claim' for a claimed reward
+  */
+  function createBridge(options){
+    const api = options.api;
+    const origins = options.origins || [];
+    const host = options.host;          // window.parent
+    const self = options.self;          // the game's own window
+    let hostOrigin = null;
+    let unsubscribe = [];
+
+    function post(message){
+      if(hostOrigin) host.postMessage(message, hostOrigin);
+    }
+    function hello(origin){
+      hostOrigin = origin;
+      if(!unsubscribe.length) unsubscribe = api.events.map(name => api.on(name, (data)=> post({ type: PREFIX + 'event', name, data })));
+      post({ type: PREFIX + 'ready', version: PROTOCOL_VERSION, events: api.events.slice() });
+    }
+    function run(command, message){
+      switch(command){
+        case 'start': return api.start(message.options || {});
+        case 'pause': return api.pause();
+        case 'resume': return api.resume();
+        case 'reset': return api.reset();
+        case 'setDifficulty': return api.setDifficulty(message.difficulty);
+        // Functions can't cross postMessage, so the claim callback is the host's 'claim' event
+        case 'configure': return api.configure({ theme: message.theme, difficulty: message.difficulty });
+        default: throw new Error('Unknown command: ' + command);
+      }
+    }
+    function onMessage(e){
+      if(e.source !== host) return;
+      const message = e.data;
+      if(!message || typeof message.type !== 'string' || !message.type.startsWith(PREFIX)) return;
+      if(!isAllowedOrigin(e.origin, origins)){
+        console.warn('Ignoring a message from ' + e.origin + ': not in embedOrigins');
+        return;
+      }
+      const command = message.type.slice(PREFIX.length);
+      if(command === 'hello'){ hello(e.origin); return; }
+      // Commands only count from the origin that said hello
+      if(e.origin !== hostOrigin) return;
+      let result, error = null;
+      try{ result = run(command, message); }
+      catch(err){ error = err.message; }
+      if(message.id !== undefined) post({ type: PREFIX + 'result', id: message.id, ok: !error, result: result === undefined ? null : result, error });
+    }
+    self.addEventListener('message', onMessage);
+
+    return {
+      hostOrigin: () => hostOrigin,
+      destroy(){
+        self.removeEventListener('message', onMessage);
+        unsubscribe.forEach(off => off());
+        unsubscribe = []; hostOrigin = null;
+      }
+    };
+  }
+
+  return { createBridge, isAllowedOrigin, isEmbedRequest, URL_PARAM, PROTOCOL_VERSION };
+});
@@ -0,0 +1,38 @@
+/* Embed tests: node --test */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RippleEmbed = require('./embed.js');
+
+const allowed = ['https://clubs.example.edu', 'https://*.campus.example.org'];
+const ok = (origin) => RippleEmbed.isAllowedOrigin(origin, allowed);
+
+test('exact origins match only themselves', ()=>{
+  assert.equal(ok('https://clubs.example.edu'), true);
+  assert.equal(ok('http://clubs.example.edu'), false);
+  assert.equal(ok('https://clubs.example.edu:8443'), false);
+  assert.equal(ok('https://www.clubs.example.edu'), false);
+});
+
+test('a wildcard matches any subdomain over the same scheme', ()=>{
+  assert.equal(ok('https://games.campus.example.org'), true);
+  assert.equal(ok('https://a.b.campus.example.org'), true);
+  assert.equal(ok('http://games.campus.example.org'), false);
+  // Not the bare domain, and not a name that only ends the same way
+  assert.equal(ok('https://campus.example.org'), false);
+  assert.equal(ok('https://evilcampus.example.org'), false);
+  assert.equal(ok('https://campus.example.org.evil.com'), false);
+});
+
+test('opaque origins and bad allow-lists are refused', ()=>{
+  assert.equal(ok('null'), false);
+  assert.equal(ok(undefined), false);
+  assert.equal(RippleEmbed.isAllowedOrigin('https://clubs.example.edu', null), false);
+  assert.equal(RippleEmbed.isAllowedOrigin('https://clubs.example.edu', [42, null]), false);
+  assert.equal(RippleEmbed.isAllowedOrigin('https://x.example.edu', ['*']), false);
+});
+
+test('?embed=1 asks for the iframe layout', ()=>{
+  assert.equal(RippleEmbed.isEmbedRequest('?embed=1&difficulty=hard'), true);
+  assert.equal(RippleEmbed.isEmbedRequest('?embed=0'), false);
+  assert.equal(RippleEmbed.isEmbedRequest(''), false);
+});
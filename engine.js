@@ -0,0 +1,701 @@
+/* ------------------------------
+   Headless game engine
+   Drops, scoring, lives, water level and the round clock.
+   No DOM or canvas here: advance it with step(dt) / tap(x, y)
+   and subscribe to its events to draw or update the HUD.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./drop-types.js'));
+  else root.RippleEngine = factory(root.RippleDropTypes);
+})(typeof self !== 'undefined' ? self : this, function(dropTypes){
+
+  // Tweaked to make higher difficulties feel noticeably faster
+  const difficultySettings = {
+    // spawnMin: lower bound for interval between spawns
+    // spawnAccel: how much the interval shrinks per second as the round progresses
+    // pollutedBase/Ramp/Max: polluted chance at the start, its growth per second, and its cap
+    easy:   { spawnInterval: 950, spawnMin: 520, spawnAccel: 10, dropSpeed: 1.3, roundTime: 45, lives: 5, pollutedBase: 0,    pollutedRamp: 0.006, pollutedMax: 0.28 },
+    normal: { spawnInterval: 650, spawnMin: 340, spawnAccel: 14, dropSpeed: 1.7, roundTime: 30, lives: 3, pollutedBase: 0.08, pollutedRamp: 0.006, pollutedMax: 0.28 },
+    hard:   { spawnInterval: 420, spawnMin: 220, spawnAccel: 18, dropSpeed: 2.2, roundTime: 20, lives: 2, pollutedBase: 0.14, pollutedRamp: 0.006, pollutedMax: 0.28 }
+  };
+
+  // Settings every round has unless a difficulty or level overrides them
+  // wind: strength of the sideways drift; targetFill: water % that builds the well
+  const roundDefaults = { wind: 5, targetFill: 100 };
+  const ROUND_KEYS = Object.keys(difficultySettings.normal).concat(Object.keys(roundDefaults));
+
+  // Every STREAK_STEP clean taps in a row raise the score multiplier by one, up to MAX_MULTIPLIER
+  const STREAK_STEP = 5;
+  const MAX_MULTIPLIER = 4;
+
+  // 'tap': tap drops to collect them. 'catch': move the jerry can so drops land in its opening.
+  // 'lanes': drops fall in fixed numbered lanes; pressing a lane's key collects its lowest drop.
+  const MODES = ['tap', 'catch', 'lanes'];
+  // Lanes mode is slower and calmer so it can be played by keyboard with a screen reader
+  const LANES = { count: 5, speedScale: 0.6, spawnScale: 1.6 };
+  // Jerry can size and position; the renderer draws it from the same numbers
+  const CAN = { width: 140, height: 80, bottomMargin: 12, speed: 420 };
+
+  // The simulation always advances in fixed steps so a seed plus the recorded
+  // inputs reproduce a round exactly, whatever the display frame rate was.
+  const FIXED_DT = 1 / 60;
+  const REPLAY_VERSION = 1;
+  // Spare drop objects kept for reuse; more than ever fall at once on Hard
+  const DROP_POOL_SIZE = 64;
+  const SNAPSHOT_VERSION = 1;
+  // What snapshot() keeps of the round state and of each drop, besides the generator and recording
+  const SNAPSHOT_KEYS = ['width', 'height', 'difficulty', 'mode', 'seed', 'score', 'lives', 'waterPercent', 'roundTime', 'timeLeft',
+    'time', 'tick', 'lastSpawn', 'spawnInterval', 'pollutedTaps', 'targetFill', 'bonusCoins', 'slowUntil', 'slowFactor', 'canX',
+    'streak', 'bestStreak', 'multiplier', 'level', 'preset', 'daily', 'tournament', 'overrides'];
+  const SNAPSHOT_NUMBERS = ['seed', 'score', 'lives', 'waterPercent', 'roundTime', 'timeLeft', 'time', 'tick', 'spawnInterval',
+    'pollutedTaps', 'targetFill', 'bonusCoins', 'slowUntil', 'slowFactor', 'canX', 'streak', 'bestStreak', 'multiplier'];
+  const DROP_KEYS = ['x', 'y', 'size', 'speed', 'type', 'polluted', 'lane', 'vx', 'rotation', 'rotationSpeed', 'birth', 'gravity', 'drag', 'opacity'];
+
+  // mulberry32: small, fast, good enough for gameplay.
+  // createRng(next.position()) carries on exactly where next left off (saved rounds).
+  function createRng(seed){
+    let a = seed >>> 0;
+    const next = function(){
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.position = () => a;
+    return next;
+  }
+  function randomSeed(){ return (Math.floor(Math.random() * 4294967296) ^ Date.now()) >>> 0; }
+
+  function createEngine(options = {}){
+    // options.random pins the generator (tests); otherwise every round gets its own seeded one
+    let random = options.random || Math.random;
+    const rand = (min,max)=> random()*(max-min)+min;
+    let accumulator = 0;
+    let recording = null;   // inputs of the live round, for export
+    let replay = null;      // { recording, next, difficulty } while playing one back
+    let chosen = null;      // { difficulty, mode } the player picked, while a round plays with its own
+    let roundSettings = null; // difficulty settings (plus level overrides) are fixed for the length of a round
+    let pinnedSize = false;   // true while a round keeps a fixed playfield whatever the canvas does
+
+    const state = {
+      width: options.width || 720,
+      height: options.height || 420,
+      difficulty: options.difficulty || 'normal',
+      running: false,
+      paused: false,
+      drops: [],
+      score: 0,
+      lives: 3,
+      waterPercent: 0,
+      roundTime: 30,
+      timeLeft: 30,
+      time: 0,          // simulated seconds since the round started
+      tick: 0,          // fixed steps since the round started
+      seed: 0,
+      replaying: false,
+      lastSpawn: -Infinity,
+      spawnInterval: 700,
+      pollutedTaps: 0,  // polluted drops touched this round
+      targetFill: 100,
+      bonusCoins: 0,    // from golden drops, on top of the score-based coins
+      slowUntil: 0,     // state.time until which drops fall in slow motion
+      slowFactor: 1,
+      mode: options.mode || 'tap',
+      canX: (options.width || 720) / 2,  // centre of the jerry can
+      canSteer: 0,      // -1, 0 or 1 while an arrow key is held
+      streak: 0,        // clean taps in a row
+      bestStreak: 0,
+      multiplier: 1,
+      level: null,      // campaign level id, or null for free play
+      preset: null,     // name of the custom difficulty preset, or null
+      daily: null,      // day of the daily challenge ('YYYY-MM-DD'), or null
+      tournament: false, // a tournament turn: every player in the match gets the same drops
+      overrides: null   // settings that differ from the difficulty preset
+    };
+
+    // Events: start, spawn, tap, collect, pollute, powerup, purify, miss, multiplier, streakBroken,
+    //         change, pause, resume, end, reset
+    const listeners = {};
+    function on(type, fn){
+      (listeners[type] = listeners[type] || []).push(fn);
+      return () => off(type, fn);
+    }
+    function off(type, fn){
+      const list = listeners[type]; if(!list) return;
+      const i = list.indexOf(fn); if(i >= 0) list.splice(i, 1);
+    }
+    function emit(type, detail){
+      const list = listeners[type]; if(!list) return;
+      for(const fn of list.slice()){
+        try{ fn(detail, state); } catch(e){ console.error('Engine listener error (' + type + '):', e); }
+      }
+    }
+
+    function settings(){ return roundSettings || resolveSettings(state.difficulty); }
+
+    // Drop objects are reused: a drop that leaves play goes back to the pool once its
+    // events have run, so event handlers must not hold on to event.drop.
+    const dropPool = [];
+    function releaseDrop(d){ if(d && dropPool.length < DROP_POOL_SIZE) dropPool.push(d); }
+    function clearDrops(){
+      state.drops.forEach(releaseDrop);
+      state.drops.length = 0;
+    }
+    // The random draws stay in this order so seeds and recorded replays keep their drops
+    function createDrop(typeId){
+      const type = dropTypes.get(typeId);
+      const lanes = state.mode === 'lanes';
+      const speedMult = (settings().dropSpeed || 1) * (lanes ? LANES.speedScale : 1);
+      const size = rand(type.size[0], type.size[1]);
+      const lane = lanes ? Math.floor(random() * LANES.count) : null;
+      const x = lanes ? laneCenter(lane) : rand(size * 2, state.width - size * 2);
+      const speed = rand(type.speed[0], type.speed[1]) * speedMult;
+      const d = dropPool.pop() || { trail: [] };
+      d.x = x; d.y = -size * 2; d.size = size; d.speed = speed;
+      d.type = type.id;
+      d.polluted = !!type.hazard;
+      d.lane = lane;
+      d.vx = lanes ? 0 : rand(-5,5);
+      d.rotation = rand(0, Math.PI * 2);
+      d.rotationSpeed = rand(-0.03, 0.03);
+      d.birth = state.time;
+      d.gravity = type.gravity * speedMult;
+      d.drag = 0.999;
+      d.opacity = type.hazard ? rand(0.8, 1.0) : 1.0;
+      d.trail.length = 0;
+      return d;
+    }
+    // Weighted pick from the registry; polluted and clean weights follow the difficulty curve
+    function pickDropType(){
+      const s = settings();
+      const elapsed = s.roundTime - state.timeLeft;
+      const pollutedChance = Math.max(0, Math.min(s.pollutedMax, s.pollutedBase + elapsed * s.pollutedRamp));
+      const ctx = { pollutedChance, elapsed, state, settings: s };
+      const weighted = dropTypes.list().map(type => [type, dropTypes.weightOf(type, ctx)]);
+      const total = weighted.reduce((sum, [, w]) => sum + w, 0);
+      let roll = random() * total;
+      for(const [type, w] of weighted){
+        if(roll < w) return type.id;
+        roll -= w;
+      }
+      return 'clean';
+    }
+    function spawnDrop(typeId){
+      const drop = createDrop(typeId || pickDropType());
+      state.drops.push(drop);
+      emit('spawn', { drop });
+      return drop;
+    }
+
+    // What drop types can do when tapped or missed (see drop-types.js)
+    const effects = {
+      state,
+      emit,
+      // Points are scaled by the current streak multiplier
+      addScore(points){ state.score += points * state.multiplier; },
+      extendStreak(){
+        state.streak += 1;
+        state.bestStreak = Math.max(state.bestStreak, state.streak);
+        const multiplier = Math.min(MAX_MULTIPLIER, 1 + Math.floor(state.streak / STREAK_STEP));
+        if(multiplier !== state.multiplier){
+          state.multiplier = multiplier;
+          emit('multiplier', { multiplier, streak: state.streak });
+        }
+      },
+      breakStreak(){
+        if(state.streak === 0) return;
+        const streak = state.streak;
+        state.streak = 0;
+        state.multiplier = 1;
+        emit('streakBroken', { streak });
+      },
+      addWater(percent){ state.waterPercent = Math.max(0, Math.min(100, state.waterPercent + percent)); },
+      loseLife(){ state.lives = Math.max(0, state.lives - 1); },
+      gainLife(){ state.lives = Math.min(settings().lives, state.lives + 1); },
+      addBonusCoins(coins){ state.bonusCoins += coins; },
+      slowDrops(seconds, factor){ state.slowUntil = state.time + seconds; state.slowFactor = factor; },
+      // Turns every hazard on screen into a clean drop
+      purify(){
+        const cleaned = [];
+        for(const d of state.drops){
+          if(!d.polluted) continue;
+          d.type = 'clean'; d.polluted = false; d.opacity = 1;
+          cleaned.push(d);
+        }
+        emit('purify', { drops: cleaned });
+      }
+    };
+
+    function start(opts = {}){
+      state.seed = opts.seed != null ? (opts.seed >>> 0) : randomSeed();
+      stopReplay(); restoreChoice();
+      // opts.difficulty and opts.mode play this round with its own (daily challenge, village);
+      // the player's picks come back when it ends
+      if(difficultySettings[opts.difficulty] || MODES.includes(opts.mode)){
+        chosen = { difficulty: state.difficulty, mode: state.mode };
+        if(difficultySettings[opts.difficulty]) state.difficulty = opts.difficulty;
+        if(MODES.includes(opts.mode)) state.mode = opts.mode;
+      }
+      if(!options.random) random = createRng(state.seed);
+      state.level = opts.level || null;
+      state.preset = opts.preset || null;
+      state.daily = opts.daily || null;
+      state.tournament = !!opts.tournament;
+      state.overrides = opts.settings ? pickSettings(opts.settings) : null;
+      // opts.size pins the playfield so every device plays the same geometry (daily challenge)
+      pinnedSize = !!opts.size;
+      if(opts.size){ state.width = opts.size.width; state.height = opts.size.height; }
+      recording = {
+        version: REPLAY_VERSION, seed: state.seed, difficulty: state.difficulty, mode: state.mode,
+        width: state.width, height: state.height, inputs: []
+      };
+      if(state.level) recording.level = state.level;
+      if(state.preset) recording.preset = state.preset;
+      if(state.daily) recording.daily = state.daily;
+      if(state.tournament) recording.tournament = true;
+      if(state.overrides) recording.settings = state.overrides;
+      begin();
+    }
+    function begin(){
+      roundSettings = resolveSettings(state.difficulty, state.overrides);
+      const s = roundSettings;
+      state.targetFill = s.targetFill;
+      state.spawnInterval = s.spawnInterval; // starting interval per difficulty
+      state.lives = s.lives;
+      state.roundTime = s.roundTime;
+      state.timeLeft = s.roundTime;
+      state.pollutedTaps = 0;
+      clearDrops(); state.lastSpawn = -Infinity; state.time = 0; state.tick = 0; accumulator = 0;
+      state.score = 0; state.waterPercent = 0;
+      state.bonusCoins = 0; state.slowUntil = 0; state.slowFactor = 1;
+      state.streak = 0; state.bestStreak = 0; state.multiplier = 1;
+      state.canX = state.width / 2; state.canSteer = 0;
+      state.running = true; state.paused = false;
+      emit('start', { difficulty: state.difficulty, mode: state.mode, seed: state.seed, replay: state.replaying, level: state.level });
+      emit('change');
+    }
+
+    // Feed real frame time; runs as many fixed steps as have accumulated
+    function advance(dt){
+      if(!state.running || state.paused) return;
+      accumulator += Math.min(dt, 0.25);
+      while(accumulator >= FIXED_DT && state.running){
+        accumulator -= FIXED_DT;
+        step(FIXED_DT);
+      }
+    }
+
+    function step(dt){
+      if(!state.running || state.paused) return;
+      if(replay) applyRecordedInputs();
+      if(!state.running) return;
+      state.tick += 1;
+      state.time += dt;
+      const now = state.time * 1000;
+      const s = settings();
+      if(now - state.lastSpawn > state.spawnInterval){
+        spawnDrop();
+        state.lastSpawn = now;
+        const base = s.spawnInterval || 700;
+        const minI = s.spawnMin || 300;
+        const accel = Number.isFinite(s.spawnAccel) ? s.spawnAccel : 12;  // 0 is a valid custom setting
+        // As the timer counts down, increase spawn rate using difficulty curve
+        const elapsed = (s.roundTime || 30) - state.timeLeft;
+        state.spawnInterval = Math.max(minI, base - elapsed * accel) * (state.mode === 'lanes' ? LANES.spawnScale : 1);
+      }
+      if(state.canSteer) moveCanTo(state.canX + state.canSteer * CAN.speed * dt);
+      const drops = state.drops;
+      // Slow-motion power-up slows the drops, not the round clock
+      const ddt = state.time < state.slowUntil ? dt * state.slowFactor : dt;
+      for(let i=drops.length-1;i>=0;i--){
+        const d = drops[i];
+        const type = dropTypes.get(d.type);
+        const prevY = d.y;
+        d.speed += d.gravity * ddt; d.speed *= d.drag; d.vx *= 0.996;
+        d.y += d.speed * ddt; d.x += d.vx * ddt; d.rotation += d.rotationSpeed;
+        if(type.trail && d.trail.length < 3) d.trail.push({x: d.x, y: d.y, alpha: 0.5});
+        for(let j = d.trail.length - 1; j >= 0; j--) {
+          d.trail[j].alpha *= 0.9; if(d.trail[j].alpha < 0.1) d.trail.splice(j, 1);
+        }
+        // Lane drops fall straight so they stay in their lane
+        if(d.lane === null || d.lane === undefined){ const wind = Math.sin(state.time + d.x * 0.01) * s.wind; d.vx += wind * ddt; }
+        if(state.mode === 'catch' && landsInCan(d, prevY)){
+          drops.splice(i,1);
+          resolveHit(d, { caught: true });
+          releaseDrop(d);
+          if(!state.running) return;
+          continue;
+        }
+        if(d.y - d.size > state.height + 60){
+          drops.splice(i,1);
+          type.onMiss(effects, d);
+          emit('miss', { drop: d });
+          releaseDrop(d);
+          // A miss effect can end the round too, as a tap can
+          checkGameOver();
+          if(!state.running) return;
+          continue;
+        }
+        if(d.x - d.size < 0){ d.x = d.size; d.vx = Math.abs(d.vx) * 0.7; }
+        if(d.x + d.size > state.width){ d.x = state.width - d.size; d.vx = -Math.abs(d.vx) * 0.7; }
+      }
+      state.timeLeft = Math.max(0, state.timeLeft - dt);
+      emit('change');
+      if(state.timeLeft <= 0) end();
+    }
+
+    // Player input. Ignored while a replay is playing.
+    function tap(x, y){
+      if(!state.running || state.paused || replay) return null;
+      // Rounded so the exported JSON stays small and replays hit-test the exact same point
+      x = round2(x); y = round2(y);
+      if(recording) recording.inputs.push({ tick: state.tick, type: 'tap', x, y });
+      return hitTest(x, y);
+    }
+
+    // Returns what was hit (see hitInfo), or null
+    function hitTest(x, y){
+      const hit = findDrop(x, y);
+      emit('tap', { x, y, hit, tick: state.tick });
+      const info = hitInfo(hit);
+      releaseDrop(hit);
+      return info;
+    }
+    // A hit drop goes back to the pool and is reused by the next spawn, so callers get a copy
+    function hitInfo(d){
+      return d ? { type: d.type, x: d.x, y: d.y, size: d.size, polluted: d.polluted, lane: d.lane } : null;
+    }
+    function findDrop(x, y){
+      if(state.mode === 'catch') return null;
+      const drops = state.drops;
+      for(let i=drops.length-1;i>=0;i--){
+        const d = drops[i];
+        const dx = d.x - x, dy = d.y - y; const dist = Math.sqrt(dx*dx + dy*dy);
+        if(dist < d.size*1.8){
+          drops.splice(i,1);
+          resolveHit(d, { caught: false });
+          return d;
+        }
+      }
+      return null;
+    }
+    // A drop was tapped or caught: run its effect and announce it.
+    // collect/pollute drive the hit effects; power-ups also announce themselves.
+    function resolveHit(d, detail){
+      const type = dropTypes.get(d.type);
+      type.onTap(effects, d);
+      if(d.polluted){ state.pollutedTaps += 1; emit('pollute', Object.assign({ drop: d }, detail)); }
+      else if(d.type === 'clean') emit('collect', Object.assign({ drop: d }, detail));
+      else emit('powerup', Object.assign({ drop: d, type }, detail));
+      emit('change');
+      checkGameOver();
+    }
+
+    // Lanes mode
+    function laneCenter(lane){ return (lane + 0.5) * state.width / LANES.count; }
+    // Collects the lowest on-screen drop in a lane (0-based). Returns it, or null if the lane was empty.
+    function tapLane(lane){
+      if(!state.running || state.paused || replay || state.mode !== 'lanes') return null;
+      if(!(lane >= 0 && lane < LANES.count)) return null;
+      if(recording) recording.inputs.push({ tick: state.tick, type: 'lane', lane });
+      return hitLane(lane);
+    }
+    function hitLane(lane){
+      let index = -1;
+      state.drops.forEach((d, i) => {
+        if(d.lane === lane && d.y + d.size > 0 && (index < 0 || d.y > state.drops[index].y)) index = i;
+      });
+      const hit = index >= 0 ? state.drops.splice(index, 1)[0] : null;
+      if(hit) resolveHit(hit, { caught: false, lane });
+      emit('tap', { x: laneCenter(lane), y: hit ? hit.y : state.height / 2, hit, lane, tick: state.tick });
+      const info = hitInfo(hit);
+      releaseDrop(hit);
+      return info;
+    }
+
+    // Catcher mode
+    function canTop(){ return state.height - CAN.height - CAN.bottomMargin; }
+    // The drop's leading edge crossed the top of the can this step, within its opening
+    function landsInCan(d, prevY){
+      const top = canTop();
+      const lead = d.size * 0.5;
+      if(!(prevY + lead < top && d.y + lead >= top)) return false;
+      return Math.abs(d.x - state.canX) <= CAN.width / 2 - 8;
+    }
+    function moveCanTo(x){
+      const half = CAN.width / 2;
+      state.canX = Math.max(half, Math.min(state.width - half, x));
+    }
+    // Player input for catcher mode: drag/touch to an x, or hold an arrow key (dir -1, 0, 1)
+    function moveCan(x){
+      if(!state.running || state.paused || replay || state.mode !== 'catch') return;
+      x = round2(x);
+      if(recording){
+        // Pointer moves arrive faster than the simulation; keep the last one per step
+        const last = recording.inputs[recording.inputs.length - 1];
+        if(last && last.type === 'move' && last.tick === state.tick) last.x = x;
+        else recording.inputs.push({ tick: state.tick, type: 'move', x });
+      }
+      moveCanTo(x);
+    }
+    function steerCan(dir){
+      if(!state.running || replay || state.mode !== 'catch') return;
+      dir = Math.sign(dir) || 0;
+      if(dir === state.canSteer) return;
+      if(recording) recording.inputs.push({ tick: state.tick, type: 'steer', dir });
+      state.canSteer = dir;
+    }
+
+    function checkGameOver(){ if(state.lives <= 0 || state.waterPercent >= state.targetFill) end(); }
+
+    function end(){
+      if(!state.running) return;
+      state.running = false; state.paused = false;
+      const result = summary();
+      if(recording && !replay) recording.result = { score: result.score, waterPercent: Math.round(result.waterPercent), lives: result.lives, ticks: state.tick };
+      emit('end', result);
+      stopReplay(); restoreChoice();
+      roundSettings = null; pinnedSize = false;
+      emit('change');
+    }
+    function restoreChoice(){
+      if(!chosen) return;
+      state.difficulty = chosen.difficulty;
+      state.mode = chosen.mode;
+      chosen = null;
+    }
+    function summary(){
+      return {
+        replay: state.replaying,
+        seed: state.seed,
+        difficulty: state.difficulty,
+        mode: state.mode,
+        score: state.score,
+        lives: state.lives,
+        waterPercent: state.waterPercent,
+        targetFill: state.targetFill,
+        level: state.level,
+        preset: state.preset,
+        daily: state.daily,
+        tournament: state.tournament,
+        wellBuilt: state.waterPercent >= state.targetFill,
+        bestStreak: state.bestStreak,
+        pollutedTaps: state.pollutedTaps,
+        bonusCoins: state.bonusCoins,
+        coins: Math.max(0, Math.floor(state.score / 50)) + state.bonusCoins
+      };
+    }
+
+    // The live round as plain JSON-safe data, for restore(); null when no round can be saved
+    function snapshot(){
+      if(!state.running || replay) return null;
+      const saved = {};
+      SNAPSHOT_KEYS.forEach(key => { saved[key] = state[key]; });
+      if(!Number.isFinite(saved.lastSpawn)) saved.lastSpawn = null;
+      const drops = state.drops.map(d => {
+        const out = { trail: d.trail };
+        DROP_KEYS.forEach(key => { out[key] = d[key]; });
+        return out;
+      });
+      return JSON.parse(JSON.stringify({
+        version: SNAPSHOT_VERSION, state: saved, drops,
+        rng: random.position ? random.position() : null,
+        accumulator, pinned: pinnedSize, recording, chosen
+      }));
+    }
+    // Carries on a snapshot()'d round from where it stopped. The generator and recording
+    // come back too, so the rest of the round plays out as it would have, and replays it.
+    function restore(snap){
+      const error = validateSnapshot(snap);
+      if(error) throw new Error('Invalid saved round: ' + error);
+      stopReplay();
+      SNAPSHOT_KEYS.forEach(key => { state[key] = snap.state[key]; });
+      if(state.lastSpawn === null) state.lastSpawn = -Infinity;
+      state.tournament = !!state.tournament;
+      // A round played with its own difficulty or mode still gives the player's back
+      chosen = snap.chosen ? { difficulty: snap.chosen.difficulty, mode: snap.chosen.mode } : null;
+      state.overrides = snap.state.overrides ? pickSettings(snap.state.overrides) : null;
+      if(!options.random) random = createRng(snap.rng !== null ? snap.rng : randomSeed());
+      roundSettings = resolveSettings(state.difficulty, state.overrides);
+      pinnedSize = !!snap.pinned;
+      accumulator = snap.accumulator || 0;
+      recording = snap.recording ? JSON.parse(JSON.stringify(snap.recording)) : null;
+      clearDrops();
+      snap.drops.forEach(saved => {
+        const d = dropPool.pop() || { trail: [] };
+        DROP_KEYS.forEach(key => { d[key] = saved[key]; });
+        d.trail.length = 0;
+        (saved.trail || []).forEach(p => d.trail.push({ x: p.x, y: p.y, alpha: p.alpha }));
+        state.drops.push(d);
+      });
+      state.canSteer = 0;
+      state.running = true; state.paused = false;
+      emit('start', { difficulty: state.difficulty, mode: state.mode, seed: state.seed, replay: false, level: state.level, resumed: true });
+      emit('change');
+    }
+
+    function pause(){
+      if(state.paused || !state.running) return;
+      state.paused = true; emit('pause');
+    }
+    function resume(){
+      if(!state.paused) return;
+      state.paused = false; emit('resume');
+    }
+
+    function reset(){
+      stopReplay(); restoreChoice();
+      roundSettings = null;
+      pinnedSize = false;
+      state.level = null; state.preset = null; state.daily = null; state.tournament = false; state.overrides = null;
+      const s = settings();
+      state.targetFill = s.targetFill;
+      state.running = false; state.paused = false;
+      clearDrops(); state.score = 0; state.lives = s.lives; state.waterPercent = 0;
+      state.streak = 0; state.bestStreak = 0; state.multiplier = 1; state.pollutedTaps = 0;
+      state.roundTime = s.roundTime; state.timeLeft = s.roundTime; state.time = 0;
+      emit('reset');
+      emit('change');
+    }
+
+    // Takes effect from the next round
+    function setMode(mode){
+      if(!MODES.includes(mode)) return;
+      if(replay){ replay.mode = mode; return; }
+      if(chosen){ chosen.mode = mode; return; }
+      if(!state.running){ state.mode = mode; state.canX = state.width / 2; emit('change'); }
+    }
+    function setDifficulty(name){
+      if(!difficultySettings[name]) return;
+      if(replay){ replay.difficulty = name; return; }
+      if(chosen){ chosen.difficulty = name; return; }
+      state.difficulty = name;
+      if(!state.running){ state.lives = difficultySettings[name].lives; emit('change'); }
+    }
+    // Recorded rounds keep the size they were played at so drop physics replay identically
+    function resize(width, height){
+      if(replay || (pinnedSize && state.running)) return;
+      if(state.running && recording && (width !== state.width || height !== state.height)){
+        recording.inputs.push({ tick: state.tick, type: 'resize', width, height });
+      }
+      state.width = width; state.height = height;
+      moveCanTo(state.running ? state.canX : width / 2);
+    }
+
+    // Replays
+    function round2(n){ return Math.round(n * 100) / 100; }
+    function getRecording(){ return recording ? JSON.parse(JSON.stringify(recording)) : null; }
+    function startReplay(rec){
+      const error = validateRecording(rec);
+      if(error) throw new Error('Invalid replay: ' + error);
+      stopReplay(); restoreChoice();
+      replay = { recording: rec, next: 0, difficulty: state.difficulty };
+      state.replaying = true;
+      state.seed = rec.seed >>> 0;
+      state.difficulty = rec.difficulty;
+      replay.mode = state.mode;
+      state.mode = rec.mode || 'tap';
+      state.width = rec.width; state.height = rec.height;
+      state.level = rec.level || null;
+      state.preset = rec.preset || null;
+      state.daily = rec.daily || null;
+      state.tournament = !!rec.tournament;
+      state.overrides = rec.settings ? pickSettings(rec.settings) : null;
+      random = createRng(state.seed);
+      begin();
+    }
+    // Gives the player's own difficulty back once a replay is over
+    function stopReplay(){
+      if(!replay) return;
+      state.difficulty = replay.difficulty;
+      state.mode = replay.mode;
+      replay = null; state.replaying = false;
+    }
+    function applyRecordedInputs(){
+      const inputs = replay.recording.inputs;
+      while(replay && replay.next < inputs.length && inputs[replay.next].tick <= state.tick){
+        const input = inputs[replay.next++];
+        if(input.type === 'tap') hitTest(input.x, input.y);
+        else if(input.type === 'move') moveCanTo(input.x);
+        else if(input.type === 'lane') hitLane(input.lane);
+        else if(input.type === 'steer') state.canSteer = input.dir;
+        else if(input.type === 'resize'){ state.width = input.width; state.height = input.height; }
+      }
+    }
+
+    return { state, on, off, start, step, advance, tap, tapLane, moveCan, steerCan, spawnDrop, pause, resume, end, reset, setDifficulty, setMode, resize, summary, getRecording, startReplay, snapshot, restore };
+  }
+
+  // Difficulty preset + round defaults + any per-round overrides (campaign levels, custom presets).
+  // start({ settings, preset }) plays a custom preset: preset is its name, for the summary and replay.
+  // start({ seed, difficulty, mode, settings, daily, size }) plays a daily challenge (see daily.js).
+  // start({ seed, difficulty, mode, settings, preset, tournament: true }) plays a tournament turn (see tournament.js).
+  function resolveSettings(difficulty, overrides){
+    return Object.assign({}, roundDefaults, difficultySettings[difficulty] || difficultySettings.normal, overrides || {});
+  }
+  // Keeps only known numeric settings
+  function pickSettings(settings){
+    const out = {};
+    for(const key of ROUND_KEYS){
+      if(Number.isFinite(settings[key])) out[key] = settings[key];
+    }
+    return out;
+  }
+
+  // Returns an error message, or null if the recording can be played back
+  function validateRecording(rec){
+    if(!rec || typeof rec !== 'object') return 'not an object';
+    if(rec.version !== REPLAY_VERSION) return 'unsupported version ' + rec.version;
+    if(!Number.isFinite(rec.seed)) return 'missing seed';
+    if(!difficultySettings[rec.difficulty]) return 'unknown difficulty ' + rec.difficulty;
+    if(rec.mode !== undefined && !MODES.includes(rec.mode)) return 'unknown mode ' + rec.mode;
+    if(!(rec.width > 0 && rec.height > 0)) return 'missing playfield size';
+    if(!Array.isArray(rec.inputs)) return 'missing inputs';
+    if(rec.settings !== undefined && (!rec.settings || typeof rec.settings !== 'object')) return 'bad settings';
+    if(rec.preset !== undefined && typeof rec.preset !== 'string') return 'bad preset';
+    if(rec.daily !== undefined && typeof rec.daily !== 'string') return 'bad daily';
+    if(rec.tournament !== undefined && typeof rec.tournament !== 'boolean') return 'bad tournament';
+    for(const input of rec.inputs){
+      if(!input || !Number.isInteger(input.tick) || input.tick < 0) return 'bad input tick';
+      if(input.type === 'tap' && !(Number.isFinite(input.x) && Number.isFinite(input.y))) return 'bad tap';
+      if(input.type === 'resize' && !(input.width > 0 && input.height > 0)) return 'bad resize';
+      if(input.type === 'move' && !Number.isFinite(input.x)) return 'bad move';
+      if(input.type === 'lane' && !(Number.isInteger(input.lane) && input.lane >= 0 && input.lane < LANES.count)) return 'bad lane';
+      if(input.type === 'steer' && ![-1, 0, 1].includes(input.dir)) return 'bad steer';
+    }
+    return null;
+  }
+
+  // Returns an error message, or null if the snapshot can be restored
+  function validateSnapshot(snap){
+    if(!snap || typeof snap !== 'object') return 'not an object';
+    if(snap.version !== SNAPSHOT_VERSION) return 'unsupported version ' + snap.version;
+    const s = snap.state;
+    if(!s || typeof s !== 'object') return 'missing state';
+    if(!difficultySettings[s.difficulty]) return 'unknown difficulty ' + s.difficulty;
+    if(!MODES.includes(s.mode)) return 'unknown mode ' + s.mode;
+    if(!(s.width > 0 && s.height > 0)) return 'missing playfield size';
+    for(const key of SNAPSHOT_NUMBERS){
+      if(!Number.isFinite(s[key])) return 'bad ' + key;
+    }
+    if(s.lastSpawn !== null && !Number.isFinite(s.lastSpawn)) return 'bad lastSpawn';
+    if(!(s.timeLeft > 0 && s.lives > 0)) return 'round already over';
+    if(s.overrides !== null && (!s.overrides || typeof s.overrides !== 'object')) return 'bad settings';
+    if(!Array.isArray(snap.drops)) return 'missing drops';
+    const ids = dropTypes.list().map(type => type.id);
+    for(const d of snap.drops){
+      if(!d || !ids.includes(d.type)) return 'unknown drop type';
+      if(!['x', 'y', 'size', 'speed', 'vx', 'birth', 'gravity', 'drag'].every(key => Number.isFinite(d[key]))) return 'bad drop';
+    }
+    if(snap.rng !== null && !Number.isInteger(snap.rng)) return 'bad generator position';
+    if(snap.chosen && !(difficultySettings[snap.chosen.difficulty] && MODES.includes(snap.chosen.mode))) return 'bad player choice';
+    if(snap.recording){
+      const error = validateRecording(snap.recording);
+      if(error) return 'recording: ' + error;
+    }
+    return null;
+  }
+
+  return { createEngine, dropTypes, createRng, validateRecording, validateSnapshot, resolveSettings, difficultySettings, roundDefaults, FIXED_DT, STREAK_STEP, MAX_MULTIPLIER, MODES, CAN, LANES };
+});
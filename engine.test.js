@@ -0,0 +1,313 @@
+/* Engine tests: node --test */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RippleEngine = require('./engine.js');
+
+const DT = RippleEngine.FIXED_DT;
+
+// Steps until the round ends or seconds have passed
+function run(engine, seconds){
+  for(let i = 0; i < seconds / DT && engine.state.running; i++) engine.step(DT);
+}
+// random() pinned to one value, so spawns are clean drops
+const CLEAN = () => 0.5;
+const spawn = (engine, type = 'clean') => engine.spawnDrop(type);
+
+test('a clean tap scores and fills water', ()=>{
+  const engine = RippleEngine.createEngine({ random: CLEAN });
+  engine.start();
+  const drop = spawn(engine);
+  assert.equal(engine.tap(drop.x, drop.y).type, 'clean');
+  assert.equal(engine.state.score, 10);
+  assert.equal(engine.state.waterPercent, 6);
+  assert.equal(engine.state.drops.length, 0);
+});
+
+test('a polluted tap costs a life and water', ()=>{
+  const engine = RippleEngine.createEngine();
+  engine.start();
+  const drop = spawn(engine, 'polluted');
+  assert.equal(drop.polluted, true);
+  engine.tap(drop.x, drop.y);
+  assert.equal(engine.state.lives, RippleEngine.difficultySettings.normal.lives - 1);
+  assert.equal(engine.state.waterPercent, 0);
+  assert.equal(engine.state.score, 0);
+});
+
+test('a missed clean drop drains water', ()=>{
+  const engine = RippleEngine.createEngine({ random: CLEAN });
+  let missed = 0;
+  engine.on('miss', ()=>{ missed += 1; });
+  engine.start();
+  const drop = spawn(engine);
+  engine.tap(drop.x, drop.y);
+  spawn(engine);
+  engine.state.lastSpawn = Infinity;   // no more spawns
+  run(engine, 5);
+  assert.equal(missed, 1);
+  assert.ok(Math.abs(engine.state.waterPercent - 4.8) < 1e-9);
+});
+
+test('the round ends when the last life is lost', ()=>{
+  const engine = RippleEngine.createEngine({ difficulty: 'hard' });
+  let summary = null;
+  engine.on('end', (s)=>{ summary = s; });
+  engine.start();
+  for(let i = 0; i < RippleEngine.difficultySettings.hard.lives; i++){
+    const d = spawn(engine, 'polluted'); engine.tap(d.x, d.y);
+  }
+  assert.equal(engine.state.running, false);
+  assert.equal(summary.lives, 0);
+  assert.equal(engine.tap(10, 10), null);
+});
+
+test('the round ends when the well is full', ()=>{
+  const engine = RippleEngine.createEngine({ random: CLEAN });
+  let summary = null;
+  engine.on('end', (s)=>{ summary = s; });
+  engine.start();
+  while(engine.state.running){ const d = spawn(engine); engine.tap(d.x, d.y); }
+  assert.equal(summary.waterPercent, 100);
+  assert.equal(summary.wellBuilt, true);
+});
+
+test('the round ends once when the clock runs out', ()=>{
+  const engine = RippleEngine.createEngine();
+  let ends = 0;
+  engine.on('end', ()=>{ ends += 1; });
+  engine.start();
+  run(engine, 60);
+  assert.equal(ends, 1);
+  assert.equal(engine.state.timeLeft, 0);
+});
+
+test('the spawn interval shrinks over the round down to spawnMin', ()=>{
+  const s = RippleEngine.difficultySettings.normal;
+  const engine = RippleEngine.createEngine({ random: CLEAN });
+  const intervals = [];
+  engine.on('spawn', ()=> intervals.push(engine.state.spawnInterval));
+  engine.start();
+  run(engine, 60);
+  // Each entry is the interval the spawn waited for; the first uses the starting one
+  assert.equal(intervals[0], s.spawnInterval);
+  for(let i = 1; i < intervals.length; i++) assert.ok(intervals[i] <= intervals[i - 1]);
+  assert.equal(engine.state.spawnInterval, s.spawnMin);
+});
+
+test('tap() returns a copy that later spawns do not change', ()=>{
+  const engine = RippleEngine.createEngine({ random: CLEAN });
+  engine.start({ seed: 4 });
+  const drop = spawn(engine);
+  const hit = engine.tap(drop.x, drop.y);
+  const seen = Object.assign({}, hit);
+  spawn(engine, 'polluted');
+  assert.deepEqual(hit, seen);
+  assert.ok(!engine.state.drops.includes(hit));
+});
+
+// Taps the lowest clean drop every few ticks, so the round has inputs to replay
+function playRound(engine, seed){
+  engine.start({ seed });
+  for(let guard = 0; engine.state.running && guard < 60 * 120; guard++){
+    if(engine.state.tick % 15 === 0){
+      const target = engine.state.drops.filter(d => !d.polluted && d.y > 0).sort((a, b) => b.y - a.y)[0];
+      if(target) engine.tap(target.x, target.y);
+    }
+    engine.step(RippleEngine.FIXED_DT);
+  }
+  return engine.getRecording();
+}
+
+test('createRng repeats its sequence for a seed', ()=>{
+  const a = RippleEngine.createRng(42), b = RippleEngine.createRng(42), c = RippleEngine.createRng(43);
+  const seq = (rng) => Array.from({ length: 5 }, rng);
+  const first = seq(a);
+  assert.deepEqual(seq(b), first);
+  assert.notDeepEqual(seq(c), first);
+  assert.ok(first.every(n => n >= 0 && n < 1));
+});
+
+test('the same seed and inputs play the same round', ()=>{
+  const a = playRound(RippleEngine.createEngine(), 1234);
+  const b = playRound(RippleEngine.createEngine(), 1234);
+  assert.deepEqual(a, b);
+  assert.ok(a.inputs.length > 0);
+});
+
+test('a recording replays to the same result at its own difficulty', ()=>{
+  const recording = playRound(RippleEngine.createEngine({ difficulty: 'hard' }), 99);
+  const engine = RippleEngine.createEngine({ difficulty: 'easy' });
+  let summary = null;
+  engine.on('end', (s)=>{ summary = s; });
+  engine.startReplay(JSON.parse(JSON.stringify(recording)));
+  assert.equal(engine.state.difficulty, 'hard');
+  // Taps from the player are ignored while a replay runs
+  assert.equal(engine.tap(10, 10), null);
+  run(engine, 120);
+  assert.equal(summary.replay, true);
+  assert.equal(summary.score, recording.result.score);
+  assert.equal(Math.round(summary.waterPercent), recording.result.waterPercent);
+  assert.equal(summary.lives, recording.result.lives);
+  assert.equal(engine.state.difficulty, 'easy');
+});
+
+test('advance() runs whole fixed steps and carries the rest over', ()=>{
+  const engine = RippleEngine.createEngine();
+  engine.start({ seed: 5 });
+  engine.advance(RippleEngine.FIXED_DT * 2.6);
+  assert.equal(engine.state.tick, 2);
+  engine.advance(RippleEngine.FIXED_DT * 0.5);
+  assert.equal(engine.state.tick, 3);
+});
+
+test('a restored snapshot carries on as if never stopped', ()=>{
+  const whole = RippleEngine.createEngine();
+  whole.start({ seed: 7 });
+  run(whole, 5);
+  const snap = JSON.parse(JSON.stringify(whole.snapshot()));
+  const resumed = RippleEngine.createEngine();
+  resumed.restore(snap);
+  run(whole, 60); run(resumed, 60);
+  assert.deepEqual(resumed.summary(), whole.summary());
+  assert.deepEqual(resumed.getRecording(), whole.getRecording());
+});
+
+test('a restored tournament turn keeps its flag and gives the player\'s picks back', ()=>{
+  const engine = RippleEngine.createEngine({ difficulty: 'easy', mode: 'catch' });
+  engine.start({ seed: 3, difficulty: 'hard', mode: 'tap', tournament: true });
+  run(engine, 2);
+  const snap = JSON.parse(JSON.stringify(engine.snapshot()));
+  assert.equal(RippleEngine.validateSnapshot(Object.assign({}, snap, { chosen: { difficulty: 'nope', mode: 'tap' } })), 'bad player choice');
+  const resumed = RippleEngine.createEngine({ difficulty: 'easy', mode: 'catch' });
+  resumed.restore(snap);
+  assert.equal(resumed.state.difficulty, 'hard');
+  assert.equal(resumed.summary().tournament, true);
+  resumed.end();
+  assert.equal(resumed.state.difficulty, 'easy');
+  assert.equal(resumed.state.mode, 'catch');
+});
+
+test('validateRecording names what is wrong', ()=>{
+  const good = { version: 1, seed: 1, difficulty: 'easy', width: 720, height: 420, inputs: [{ tick: 3, type: 'tap', x: 1, y: 2 }] };
+  const bad = (change) => RippleEngine.validateRecording(Object.assign({}, good, change));
+  assert.equal(RippleEngine.validateRecording(good), null);
+  assert.equal(RippleEngine.validateRecording(null), 'not an object');
+  assert.equal(bad({ version: 2 }), 'unsupported version 2');
+  assert.equal(bad({ difficulty: 'nope' }), 'unknown difficulty nope');
+  assert.equal(bad({ width: 0 }), 'missing playfield size');
+  assert.equal(bad({ inputs: [{ tick: -1, type: 'tap', x: 1, y: 1 }] }), 'bad input tick');
+  assert.equal(bad({ inputs: [{ tick: 1, type: 'tap', x: 'a', y: 1 }] }), 'bad tap');
+  assert.throws(() => RippleEngine.createEngine().startReplay({}), /Invalid replay/);
+});
+
+test('a round with its own difficulty gives the player\'s back when it ends', ()=>{
+  const engine = RippleEngine.createEngine({ difficulty: 'hard' });
+  engine.start({ seed: 1, difficulty: 'easy', level: 'test' });
+  assert.equal(engine.summary().difficulty, 'easy');
+  assert.equal(engine.state.lives, RippleEngine.difficultySettings.easy.lives);
+  // A pick made mid-round is kept for afterwards
+  engine.setDifficulty('normal');
+  assert.equal(engine.state.difficulty, 'easy');
+  engine.end();
+  assert.equal(engine.state.difficulty, 'normal');
+});
+
+test('power-up drops apply their effects', ()=>{
+  const engine = RippleEngine.createEngine();
+  engine.start({ seed: 1 });
+  const tapNew = (type) => { const d = spawn(engine, type); return engine.tap(d.x, d.y); };
+  tapNew('golden');
+  assert.equal(engine.summary().coins, 1);
+  tapNew('polluted');
+  tapNew('heart');
+  assert.equal(engine.state.lives, RippleEngine.difficultySettings.normal.lives);
+  // A heart at full lives adds nothing
+  tapNew('heart');
+  assert.equal(engine.state.lives, RippleEngine.difficultySettings.normal.lives);
+  const bad = spawn(engine, 'polluted');
+  tapNew('filter');
+  assert.equal(bad.polluted, false);
+  assert.equal(bad.type, 'clean');
+});
+
+test('a miss effect that takes the last life ends the round straight away', ()=>{
+  RippleEngine.dropTypes.register({ id: 'test-leak', onMiss(game){ game.loseLife(); game.loseLife(); game.loseLife(); } });
+  const engine = RippleEngine.createEngine({ random: CLEAN });
+  let ended = 0;
+  engine.on('end', ()=>{ ended += 1; });
+  engine.start({ seed: 1 });
+  spawn(engine, 'test-leak');
+  engine.state.lastSpawn = Infinity;
+  run(engine, 10);
+  assert.equal(ended, 1);
+  assert.equal(engine.state.lives, 0);
+  assert.ok(engine.state.timeLeft > 0);
+});
+
+test('clean taps in a row raise the multiplier and a polluted tap resets it', ()=>{
+  const engine = RippleEngine.createEngine();
+  engine.start({ seed: 1 });
+  const tapNew = (type) => { const d = spawn(engine, type); engine.tap(d.x, d.y); };
+  for(let i = 1; i < RippleEngine.STREAK_STEP; i++) tapNew('clean');
+  assert.equal(engine.state.multiplier, 1);
+  // The streak grows before the tap is scored, so the STREAK_STEP-th tap already counts double
+  tapNew('clean');
+  assert.equal(engine.state.multiplier, 2);
+  assert.equal(engine.state.score, (RippleEngine.STREAK_STEP - 1) * 10 + 20);
+  // Stop at the streak that reaches the top multiplier, before the well fills
+  while(engine.state.streak < RippleEngine.STREAK_STEP * (RippleEngine.MAX_MULTIPLIER - 1)) tapNew('clean');
+  assert.equal(engine.state.multiplier, RippleEngine.MAX_MULTIPLIER);
+  const best = engine.state.streak;
+  tapNew('polluted');
+  assert.equal(engine.state.streak, 0);
+  assert.equal(engine.state.multiplier, 1);
+  assert.equal(engine.summary().bestStreak, best);
+});
+
+test('a daily round plays its own mode and gives the player\'s back', ()=>{
+  const engine = RippleEngine.createEngine({ difficulty: 'hard', mode: 'catch' });
+  engine.start({ seed: 1, difficulty: 'normal', mode: 'tap', daily: '2026-01-01' });
+  assert.equal(engine.state.mode, 'tap');
+  engine.setMode('lanes');
+  assert.equal(engine.state.mode, 'tap');
+  engine.reset();
+  assert.equal(engine.state.mode, 'lanes');
+  assert.equal(engine.state.difficulty, 'hard');
+});
+
+test('hearts never fall in a daily challenge', ()=>{
+  const heart = RippleEngine.dropTypes.get('heart');
+  const settings = RippleEngine.resolveSettings('normal');
+  const ctx = (daily) => ({ pollutedChance: 0, elapsed: 10, settings, state: { lives: 1, daily } });
+  assert.ok(RippleEngine.dropTypes.weightOf(heart, ctx(null)) > 0);
+  assert.equal(RippleEngine.dropTypes.weightOf(heart, ctx('2026-01-01')), 0);
+});
+
+test('both players in a tournament match get the same drops', ()=>{
+  const drops = (livesLost)=>{
+    const engine = RippleEngine.createEngine({ difficulty: 'easy', mode: 'catch' });
+    const seen = [];
+    engine.on('spawn', ({ drop }) => seen.push([drop.type, Math.round(drop.x)]));
+    engine.start({ seed: 8, difficulty: 'hard', mode: 'tap', tournament: true });
+    for(let i = 0; i < 1200 && engine.state.running; i++){
+      if(i === 120) engine.state.lives -= livesLost;
+      engine.step(DT);
+    }
+    assert.equal(engine.summary().tournament, true);
+    assert.equal(engine.getRecording().tournament, true);
+    return seen;
+  };
+  assert.deepEqual(drops(1), drops(0));
+});
+
+test('a polluted drop draws the same at the same age, so its sprite frames can be cached', ()=>{
+  // Records the arcs drawn; every other canvas call is a no-op
+  const draw = (age)=>{
+    const arcs = [];
+    const ctx = new Proxy({}, { get: (_, k) => k === 'arc' ? (...a) => arcs.push(a) : k === 'createRadialGradient' ? () => ({ addColorStop(){} }) : () => {}, set: () => true });
+    RippleEngine.dropTypes.get('polluted').draw(ctx, 50, 50, 20, age, null, {});
+    return arcs;
+  };
+  assert.deepEqual(draw(1.5), draw(1.5));
+  assert.notDeepEqual(draw(1.5), draw(3));
+});
@@ -0,0 +1,115 @@
+/* ------------------------------
+   Fact deck
+   Water facts shown after each round, loaded from facts.json. Each fact
+   has a category, a source and optional multiple-choice quiz questions.
+   Facts the player has seen are remembered in localStorage so unseen
+   ones come up first.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleFacts = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.facts';
+  const SCHEMA_VERSION = 1;
+  const QUIZ_BONUS = 1;     // Ripple Coins per correct answer
+  const QUIZ_LENGTH = 2;
+
+  // Used when facts.json can't be fetched (offline, or opened from file://)
+  const fallbackFacts = [
+    { id: 'health-benefits', category: 'Health', text: 'Clean water improves health and reduces child mortality.',
+      source: { name: 'World Health Organization', url: 'https://www.who.int/news-room/fact-sheets/detail/drinking-water' } },
+    { id: 'wells-change-lives', category: 'Education', text: 'Women and girls often walk miles to collect water — building wells changes lives.',
+      source: { name: 'charity: water', url: 'https://www.charitywater.org/global-water-crisis' } },
+    { id: 'return-on-investment', category: 'Economy', text: 'An investment in water and sanitation reduces health care costs and boosts education.',
+      source: { name: 'World Health Organization', url: 'https://www.who.int/publications/i/item/WHO-HSE-WSH-12.01' } }
+  ];
+
+  // Returns an error message, or null if the fact is usable
+  function validateFact(f){
+    if(!f || typeof f !== 'object') return 'not an object';
+    if(!f.id || typeof f.id !== 'string') return 'missing id';
+    if(!f.text || typeof f.text !== 'string') return f.id + ': missing text';
+    if(!f.category || typeof f.category !== 'string') return f.id + ': missing category';
+    if(!f.source || typeof f.source.name !== 'string') return f.id + ': missing source';
+    for(const q of f.quiz || []){
+      if(!q.question || !Array.isArray(q.choices) || q.choices.length < 2) return f.id + ': bad quiz question';
+      if(!(Number.isInteger(q.answer) && q.answer >= 0 && q.answer < q.choices.length)) return f.id + ': bad quiz answer';
+    }
+    return null;
+  }
+
+  function fetchFacts(url){
+    return fetch(url)
+      .then(res => { if(!res.ok) throw new Error('HTTP ' + res.status); return res.json(); })
+      .then(data => {
+        const facts = (data && Array.isArray(data.facts) ? data.facts : []).filter(f => {
+          const error = validateFact(f);
+          if(error) console.warn('Skipping fact:', error);
+          return !error;
+        });
+        if(!facts.length) throw new Error('no valid facts');
+        return facts;
+      });
+  }
+  // Resolves to the valid facts in the first file that loads (e.g. ['facts.es.json', 'facts.json']),
+  // or the fallback deck if none can be loaded
+  function loadFacts(urls = 'facts.json'){
+    const list = [].concat(urls);
+    if(typeof fetch !== 'function') return Promise.resolve(fallbackFacts);
+    return list.reduce((prev, url) => prev.catch(() => fetchFacts(url)), Promise.reject(new Error('no facts')))
+      .catch(e => { console.warn('Could not load facts, using the built-in ones:', e); return fallbackFacts; });
+  }
+
+  function createFactDeck(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    const random = options.random || Math.random;
+    let facts = options.facts || fallbackFacts;
+    let seen = load();   // fact ids, oldest first
+
+    function load(){
+      if(!storage) return [];
+      try{
+        const data = JSON.parse(storage.getItem(key) || 'null');
+        return data && Array.isArray(data.seen) ? data.seen.filter(id => typeof id === 'string') : [];
+      } catch(e){
+        console.warn('Could not read seen facts, starting fresh:', e);
+        return [];
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify({ version: SCHEMA_VERSION, seen })); }
+      catch(e){ console.warn('Could not save seen facts:', e); }
+    }
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    function setFacts(list){ facts = list && list.length ? list : fallbackFacts; }
+    // A random unseen fact; once the whole deck has been seen, the one seen longest ago
+    function next(){
+      const unseen = facts.filter(f => !seen.includes(f.id));
+      if(unseen.length) return pick(unseen);
+      return facts.slice().sort((a, b) => seen.indexOf(a.id) - seen.indexOf(b.id))[0];
+    }
+    function markSeen(id){
+      seen = seen.filter(s => s !== id).concat(id);
+      save();
+    }
+    // Up to QUIZ_LENGTH questions: the given fact's first, then ones about facts seen before
+    function quizFor(fact){
+      const own = (fact.quiz || []).map(q => Object.assign({ factId: fact.id }, q));
+      const review = facts
+        .filter(f => f.id !== fact.id && seen.includes(f.id) && f.quiz && f.quiz.length)
+        .map(f => Object.assign({ factId: f.id }, pick(f.quiz)));
+      const questions = own.slice(0, QUIZ_LENGTH);
+      while(questions.length < QUIZ_LENGTH && review.length) questions.push(review.splice(Math.floor(random() * review.length), 1)[0]);
+      return questions;
+    }
+    function seenCount(){ return facts.filter(f => seen.includes(f.id)).length; }
+
+    return { setFacts, next, markSeen, quizFor, seenCount, size: () => facts.length };
+  }
+
+  return { loadFacts, createFactDeck, validateFact, fallbackFacts, QUIZ_BONUS, QUIZ_LENGTH };
+});
@@ -14,6 +14,7 @@
     return;
   }
   const DPR = window.devicePixelRatio || 1;
+  let engine = null;
   function setupCanvas(){
     try {
       const rect = canvas.getBoundingClientRect();
@@ -27,6 +28,7 @@
       canvas._h = displayHeight;
       canvas.style.width = displayWidth + 'px';
       canvas.style.height = displayHeight + 'px';
+      if (engine) engine.resize(displayWidth, displayHeight);
     } catch(e) {
       console.error('Canvas setup error:', e);
     }
@@ -34,353 +36,276 @@
   setupCanvas();
   window.addEventListener('resize', setupCanvas);
 
-  // Game state
-  let running = false;
-  let paused = false;
-  let drops = [];
-  let lastSpawn = 0;
-  let spawnInterval = 700;
-  let score = 0;
-  let lives = 3;
-  let waterPercent = 0;
-  const roundTime = 30;
-  let timeLeft = roundTime;
-  let timerId = null;
+  // Game state lives in the headless engine (engine.js); this file only draws it
+  if (!window.RippleEngine) {
+    console.error('RippleEngine not loaded!');
+    return;
+  }
+  engine = RippleEngine.createEngine({ width: canvas._w, height: canvas._h });
+  const state = engine.state;
   let animationId = null;
+  // Kiosk mode (?kiosk=1) for unattended booth screens, set up near the end of this file.
+  // Without a staff PIN in campus-config.js nobody could unlock it, so the page stays a normal game.
+  const kioskRequested = !!window.RippleKiosk && RippleKiosk.isKioskRequest(location.search);
+  const kioskMode = kioskRequested && !!(window.RippleCampusConfig || {}).kioskPin;
+  if(kioskRequested && !kioskMode) console.warn('Kiosk mode needs a kioskPin in campus-config.js; starting as a normal game.');
+  let demoPlaying = false;    // the attract loop's bot round is playing on the canvas; it is kept quiet
   
-  // Difficulty modes
-  let currentDifficulty = 'normal';
-  // Tweaked to make higher difficulties feel noticeably faster
-  const difficultySettings = {
-    // spawnMin: lower bound for interval between spawns
-    // spawnAccel: how much the interval shrinks per second as the round progresses
-    easy:   { spawnInterval: 950, spawnMin: 520, spawnAccel: 10, dropSpeed: 1.3, roundTime: 45, lives: 5 },
-    normal: { spawnInterval: 650, spawnMin: 340, spawnAccel: 14, dropSpeed: 1.7, roundTime: 30, lives: 3 },
-    hard:   { spawnInterval: 420, spawnMin: 220, spawnAccel: 18, dropSpeed: 2.2, roundTime: 20, lives: 2 }
-  };
-  
-  // Milestones
-  let milestones = [50, 100, 150];
-  let milestonesReached = [];
-  
-  // Sound effects
-  const sounds = {
-    collect: new Audio('data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACBhYqFbF1fdJivrJBhNjVgodDbq2EcBj+a2/LDciUFLIHO8tiJNwgZaLvt559NEAxQp+PwtmMcBjiR1/LMeSwFJHfH8N2QQAoUXrTp66hVFApGnOD0t2snCCqAy/H'),
-    lose: new Audio('data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACAgICAgo'),
-    milestone: new Audio('data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACA')
-  };
-  
-  // Mute sounds on error
-  Object.values(sounds).forEach(sound => {
-    sound.volume = 0.3;
-    sound.addEventListener('error', () => sound.muted = true);
-  });
-
-  // Unlock audio on first user gesture (for iOS/Chrome autoplay policies)
+  // Sound (audio.js): synthesized cues and music. Browsers only start audio after a gesture.
+  const audio = RippleAudio.createAudio();
   function unlockAudio() {
-    Object.values(sounds).forEach(sound => {
-      try {
-        sound.muted = false;
-        sound.currentTime = 0;
-        sound.play().catch(()=>{});
-        sound.pause();
-        sound.currentTime = 0;
-      } catch(e){}
-    });
+    audio.unlock();
     window.removeEventListener('pointerdown', unlockAudio);
     window.removeEventListener('keydown', unlockAudio);
   }
   window.addEventListener('pointerdown', unlockAudio, { once: true });
   window.addEventListener('keydown', unlockAudio, { once: true });
 
+  // Display settings (display.js): palette, high contrast and pattern overlays for drops
+  const display = RippleDisplay.createDisplaySettings();
+  let look = display.look();
+  // Drops are stamped from pre-rendered sprites (sprites.js); a new look redraws them
+  const sprites = RippleSprites.createSpriteCache({ scale: DPR });
+
+  // Localization (i18n.js + messages.js)
+  const i18n = RippleI18n.createI18n({ catalogs: RippleMessages });
+  const t = i18n.t;
+  const pointsText = (n) => t('units.points', { count: n });
+  const coinsText = (n) => t('units.coins', { count: n });
+  const livesText = (n) => t('units.lives', { count: n });
+  const secondsText = (n) => t('units.seconds', { count: n });
+  // Drop types and villages carry English text; a catalog entry overrides it when there is one
+  const dropText = (type, field) => i18n.has(`drops.${type.id}.${field}`) ? t(`drops.${type.id}.${field}`) : type[field];
+  const villageBlurb = (village) => i18n.has('villages.' + village.id) ? t('villages.' + village.id) : village.blurb;
+
   // DOM refs
   const scoreEl = document.getElementById('score');
+  const multiplierEl = document.getElementById('multiplier');
+  const multiplierValue = document.getElementById('multiplierValue');
+  const streakCount = document.getElementById('streakCount');
   const livesEl = document.getElementById('lives');
   const barFill = document.getElementById('barFill');
+  const barTarget = document.getElementById('barTarget');
   const timerEl = document.getElementById('timer');
   const startBtn = document.getElementById('startBtn');
   const pauseBtn = document.getElementById('pauseBtn');
   const resetBtn = document.getElementById('resetBtn');
   const results = document.getElementById('results');
   const resultsTitle = document.getElementById('resultsTitle');
+  const factCategory = document.getElementById('factCategory');
+  const factSource = document.getElementById('factSource');
+  const factQuiz = document.getElementById('factQuiz');
   const resultsStats = document.getElementById('resultsStats');
   const levelFact = document.getElementById('levelFact');
   const claimBtn = document.getElementById('claimBtn');
+  const replayBtn = document.getElementById('replayBtn');
+  const exportReplayBtn = document.getElementById('exportReplayBtn');
+  const loadReplayBtn = document.getElementById('loadReplayBtn');
+  const importReplay = document.getElementById('importReplay');
+  const profileSummary = document.getElementById('profileSummary');
+  const nicknameInput = document.getElementById('nicknameInput');
+  const highScoresBody = document.querySelector('#highScores tbody');
+  const campaignBtn = document.getElementById('campaignBtn');
+  const campaignMap = document.getElementById('campaignMap');
+  const campaignProgress = document.getElementById('campaignProgress');
+  const villageList = document.getElementById('villageList');
+  const mapBtn = document.getElementById('mapBtn');
   const modal = document.getElementById('modal');
   const closeModal = document.getElementById('closeModal');
   const confirmClaim = document.getElementById('confirmClaim');
   const claimCode = document.getElementById('claimCode');
   const claimCodeArea = document.getElementById('claimCodeArea');
-  const modalCoins = document.getElementById('modalCoins');
+  const claimEarned = document.getElementById('claimEarned');
+  const languageSelect = document.getElementById('languageSelect');
+  const claimExpiry = document.getElementById('claimExpiry');
   const fullscreenBtn = document.getElementById('fullscreenBtn');
   const fullscreenIcon = document.getElementById('fullscreenIcon');
   const siteElement = document.getElementById('site');
 
+  // HUD subscribes to engine state
   const resetUI = () => {
-    scoreEl.textContent = score;
-    livesEl.textContent = lives;
-    barFill.style.width = Math.round(waterPercent) + '%';
-    timerEl.textContent = Math.max(0, Math.ceil(timeLeft)) + 's';
+    scoreEl.textContent = state.score;
+    multiplierValue.textContent = '×' + state.multiplier;
+    streakCount.textContent = state.streak >= 2 ? t('hud.streak', { count: state.streak }) : '';
+    multiplierEl.classList.toggle('active', state.multiplier > 1);
+    livesEl.textContent = state.lives;
+    barFill.style.width = Math.round(state.waterPercent) + '%';
+    barTarget.hidden = state.targetFill >= 100;
+    barTarget.style.left = state.targetFill + '%';
+    timerEl.textContent = t('hud.seconds', { count: Math.max(0, Math.ceil(state.timeLeft)) });
   };
+  engine.on('change', resetUI);
+  engine.on('multiplier', ()=>{
+    multiplierEl.classList.remove('bump'); void multiplierEl.offsetWidth; multiplierEl.classList.add('bump');
+  });
 
-  // Utility
-  const rand = (min,max)=> Math.random()*(max-min)+min;
-
-  function createDrop(isPolluted){
-    const settings = difficultySettings[currentDifficulty] || {};
-    const speedMult = settings.dropSpeed || 1;
-    const size = isPolluted ? rand(24,35) : rand(18,28);
-    const x = rand(size * 2, canvas._w - size * 2);
-    const speed = (isPolluted ? rand(40,60) : rand(30,50)) * speedMult;
-    return {
-      x, y: -size * 2, size, speed,
-      polluted: !!isPolluted,
-      vx: rand(-5,5),
-      rotation: rand(0, Math.PI * 2),
-      rotationSpeed: rand(-0.03, 0.03),
-      birth: Date.now(),
-      gravity: (isPolluted ? 90 : 75) * speedMult,
-      drag: 0.999,
-      opacity: isPolluted ? rand(0.8, 1.0) : 1.0,
-      trail: []
-    };
-  }
-  function spawnDrop(){
-    const pollutedChance = Math.min(0.28, 0.08 + (30 - timeLeft) * 0.006);
-    const polluted = Math.random() < pollutedChance;
-    drops.push(createDrop(polluted));
-  }
-
-  function drawCleanDrop(x, y, r, age){
-    ctx.beginPath();
-    const mainGrad = ctx.createRadialGradient(x - r*0.3, y - r*0.5, r*0.1, x, y, r*1.4);
-    mainGrad.addColorStop(0, '#e6f9ff');
-    mainGrad.addColorStop(0.3, '#7dd3fc');
-    mainGrad.addColorStop(0.7, '#0ea5e9');
-    mainGrad.addColorStop(1, '#0284c7');
-    ctx.moveTo(x, y - r);
-    ctx.quadraticCurveTo(x + r*0.8, y - r*0.3, x + r*0.6, y + r*0.4);
-    ctx.quadraticCurveTo(x, y + r*1.2, x - r*0.6, y + r*0.4);
-    ctx.quadraticCurveTo(x - r*0.8, y - r*0.3, x, y - r);
-    ctx.fillStyle = mainGrad;
-    ctx.fill();
-    ctx.shadowColor = 'rgba(14, 165, 233, 0.3)';
-    ctx.shadowBlur = r * 0.5; ctx.fill(); ctx.shadowBlur = 0;
-    const highlight = ctx.createRadialGradient(x - r*0.3, y - r*0.4, 0, x - r*0.3, y - r*0.4, r*0.4);
-    highlight.addColorStop(0, 'rgba(255,255,255,0.9)');
-    highlight.addColorStop(1, 'rgba(255,255,255,0)');
-    ctx.beginPath();
-    ctx.ellipse(x - r*0.3, y - r*0.4, r*0.35, r*0.25, -0.3, 0, Math.PI*2);
-    ctx.fillStyle = highlight; ctx.fill();
-    ctx.beginPath();
-    ctx.ellipse(x - r*0.15, y - r*0.6, r*0.15, r*0.1, 0.2, 0, Math.PI*2);
-    ctx.fillStyle = 'rgba(255,255,255,0.6)'; ctx.fill();
-    ctx.beginPath();
-    ctx.strokeStyle = 'rgba(255,255,255,0.3)'; ctx.lineWidth = 1;
-    ctx.moveTo(x, y - r);
-    ctx.quadraticCurveTo(x + r*0.8, y - r*0.3, x + r*0.6, y + r*0.4);
-    ctx.quadraticCurveTo(x, y + r*1.2, x - r*0.6, y + r*0.4);
-    ctx.quadraticCurveTo(x - r*0.8, y - r*0.3, x, y - r);
-    ctx.stroke();
-  }
-  function drawPollutedDrop(x, y, r, age){
-    const irregularity = Math.sin(age * 4) * 0.1;
-    ctx.beginPath();
-    const pollutedGrad = ctx.createRadialGradient(x - r*0.2, y - r*0.3, r*0.1, x, y, r*1.3);
-    pollutedGrad.addColorStop(0, '#8b7355');
-    pollutedGrad.addColorStop(0.4, '#6b5b47');
-    pollutedGrad.addColorStop(0.8, '#4a4037');
-    pollutedGrad.addColorStop(1, '#2d2621');
-    const points = 8;
-    for(let i = 0; i < points; i++){
-      const angle = (i / points) * Math.PI * 2;
-      const variation = 1 + (Math.sin(angle * 3 + age) * 0.15);
-      const px = x + Math.cos(angle) * r * 0.7 * variation;
-      const py = y + Math.sin(angle) * r * 0.8 * variation;
-      if(i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
-    }
-    ctx.closePath();
-    ctx.fillStyle = pollutedGrad; ctx.fill();
-    for(let i = 0; i < 3; i++){
-      ctx.beginPath();
-      const px = x + (Math.random() - 0.5) * r;
-      const py = y + (Math.random() - 0.5) * r;
-      ctx.arc(px, py, r * 0.08, 0, Math.PI * 2);
-      ctx.fillStyle = 'rgba(0,0,0,0.4)'; ctx.fill();
-    }
-    ctx.beginPath();
-    ctx.ellipse(x - r*0.2, y - r*0.3, r*0.2, r*0.12, -0.5, 0, Math.PI*2);
-    ctx.fillStyle = 'rgba(139,115,85,0.6)'; ctx.fill();
-  }
   function drawDrop(drop){
-    const {x,y,size} = drop;
-    const age = (Date.now() - drop.birth) / 1000;
-    ctx.save();
+    const age = state.time - drop.birth;
     const wobble = Math.sin(age * 6) * 0.5;
-    ctx.translate(wobble, 0);
-    if(drop.polluted) drawPollutedDrop(x, y, size, age); else drawCleanDrop(x, y, size, age);
-    ctx.restore();
+    sprites.draw(ctx, RippleDropTypes.get(drop.type), drop.x + wobble, drop.y, drop.size, age, drop, look);
   }
 
-  function update(dt){
-    if(Date.now() - lastSpawn > spawnInterval){
-      spawnDrop();
-      lastSpawn = Date.now();
-      const s = difficultySettings[currentDifficulty];
-      const base = s?.spawnInterval || 700;
-      const minI = s?.spawnMin || 300;
-      const accel = s?.spawnAccel || 12;
-      // As the timer counts down, increase spawn rate using difficulty curve
-      const elapsed = (s?.roundTime || 30) - timeLeft;
-      spawnInterval = Math.max(minI, base - elapsed * accel);
-    }
-    for(let i=drops.length-1;i>=0;i--){
-      const d = drops[i];
-      d.speed += d.gravity * dt; d.speed *= d.drag; d.vx *= 0.996;
-      d.y += d.speed * dt; d.x += d.vx * dt; d.rotation += d.rotationSpeed;
-      if(!d.polluted && d.trail.length < 3) d.trail.push({x: d.x, y: d.y, alpha: 0.5});
-      for(let j = d.trail.length - 1; j >= 0; j--) {
-        d.trail[j].alpha *= 0.9; if(d.trail[j].alpha < 0.1) d.trail.splice(j, 1);
-      }
-      const wind = Math.sin(Date.now() * 0.001 + d.x * 0.01) * 5; d.vx += wind * dt;
-      if(d.y - d.size > canvas._h + 60){
-        drops.splice(i,1);
-        if(!d.polluted) waterPercent = Math.max(0, waterPercent - 1.2);
-      }
-      if(d.x - d.size < 0){ d.x = d.size; d.vx = Math.abs(d.vx) * 0.7; }
-      if(d.x + d.size > canvas._w){ d.x = canvas._w - d.size; d.vx = -Math.abs(d.vx) * 0.7; }
+  // The sky and clouds only change with the canvas size, so they are painted once into a layer
+  let backgroundLayer = null;
+  function drawBackground(){
+    if(!backgroundLayer || backgroundLayer.w !== canvas._w || backgroundLayer.h !== canvas._h){
+      const layer = document.createElement('canvas');
+      layer.width = Math.ceil(canvas._w * DPR); layer.height = Math.ceil(canvas._h * DPR);
+      const layerCtx = layer.getContext('2d');
+      if(layerCtx){ layerCtx.scale(DPR, DPR); paintSky(layerCtx, canvas._w, canvas._h); }
+      backgroundLayer = { canvas: layerCtx ? layer : null, w: canvas._w, h: canvas._h };
     }
+    if(backgroundLayer.canvas) ctx.drawImage(backgroundLayer.canvas, 0, 0, canvas._w, canvas._h);
+    else paintSky(ctx, canvas._w, canvas._h);
   }
-
-  function drawBackground(){
-    const skyGrad = ctx.createLinearGradient(0, 0, 0, canvas._h);
+  function paintSky(c, w, h){
+    const skyGrad = c.createLinearGradient(0, 0, 0, h);
     skyGrad.addColorStop(0, '#87ceeb');
     skyGrad.addColorStop(0.3, '#b8e6ff');
     skyGrad.addColorStop(1, '#e8f4fd');
-    ctx.fillStyle = skyGrad; ctx.fillRect(0,0,canvas._w,canvas._h);
-    drawCloud(canvas._w * 0.2, canvas._h * 0.15, 40);
-    drawCloud(canvas._w * 0.7, canvas._h * 0.25, 35);
-    drawCloud(canvas._w * 0.85, canvas._h * 0.1, 25);
+    c.fillStyle = skyGrad; c.fillRect(0,0,w,h);
+    drawCloud(c, w * 0.2, h * 0.15, 40);
+    drawCloud(c, w * 0.7, h * 0.25, 35);
+    drawCloud(c, w * 0.85, h * 0.1, 25);
   }
-  function drawCloud(x, y, size){
-    ctx.save(); ctx.fillStyle='rgba(255,255,255,0.8)';
-    ctx.beginPath();
-    ctx.arc(x, y, size, 0, Math.PI*2);
-    ctx.arc(x + size * 0.8, y, size * 0.8, 0, Math.PI*2);
-    ctx.arc(x - size * 0.6, y, size * 0.7, 0, Math.PI*2);
-    ctx.arc(x, y - size * 0.5, size * 0.6, 0, Math.PI*2);
-    ctx.fill(); ctx.restore();
+  function drawCloud(c, x, y, size){
+    c.save(); c.fillStyle='rgba(255,255,255,0.8)';
+    c.beginPath();
+    c.arc(x, y, size, 0, Math.PI*2);
+    c.arc(x + size * 0.8, y, size * 0.8, 0, Math.PI*2);
+    c.arc(x - size * 0.6, y, size * 0.7, 0, Math.PI*2);
+    c.arc(x, y - size * 0.5, size * 0.6, 0, Math.PI*2);
+    c.fill(); c.restore();
   }
 
-  function drawJerryCan(){
-    const canW = 140, canH = 80;
-    const canX = canvas._w/2 - canW/2;
-    const canY = canvas._h - canH - 12;
-    ctx.save();
-    ctx.shadowColor = 'rgba(7,38,58,0.18)'; ctx.shadowBlur = 8; ctx.shadowOffsetY = 4;
+  // Jerry can geometry in canvas coordinates; it follows the player in catcher mode
+  function canRect(){
+    const canW = RippleEngine.CAN.width, canH = RippleEngine.CAN.height;
+    const centerX = state.canX * (canvas._w / state.width);
+    return { canW, canH, canX: centerX - canW/2, canY: canvas._h - canH - RippleEngine.CAN.bottomMargin };
+  }
+  // c and rect default to the game canvas and the can's place on it; the scorecard draws a bigger one
+  function drawJerryCan(c = ctx, rect = canRect()){
+    const { canW, canH, canX, canY } = rect;
+    c.save();
+    c.shadowColor = 'rgba(7,38,58,0.18)'; c.shadowBlur = 8; c.shadowOffsetY = 4;
     // Main body (rounded rectangle)
-    ctx.beginPath();
-    if (ctx.roundRect) {
-      ctx.roundRect(canX, canY, canW, canH, 16);
+    c.beginPath();
+    if (c.roundRect) {
+      c.roundRect(canX, canY, canW, canH, 16);
     } else {
-      ctx.moveTo(canX + 16, canY);
-      ctx.lineTo(canX + canW - 16, canY);
-      ctx.quadraticCurveTo(canX + canW, canY, canX + canW, canY + 16);
-      ctx.lineTo(canX + canW, canY + canH - 16);
-      ctx.quadraticCurveTo(canX + canW, canY + canH, canX + canW - 16, canY + canH);
-      ctx.lineTo(canX + 16, canY + canH);
-      ctx.quadraticCurveTo(canX, canY + canH, canX, canY + canH - 16);
-      ctx.lineTo(canX, canY + 16);
-      ctx.quadraticCurveTo(canX, canY, canX + 16, canY);
+      c.moveTo(canX + 16, canY);
+      c.lineTo(canX + canW - 16, canY);
+      c.quadraticCurveTo(canX + canW, canY, canX + canW, canY + 16);
+      c.lineTo(canX + canW, canY + canH - 16);
+      c.quadraticCurveTo(canX + canW, canY + canH, canX + canW - 16, canY + canH);
+      c.lineTo(canX + 16, canY + canH);
+      c.quadraticCurveTo(canX, canY + canH, canX, canY + canH - 16);
+      c.lineTo(canX, canY + 16);
+      c.quadraticCurveTo(canX, canY, canX + 16, canY);
     }
-    const canGrad = ctx.createLinearGradient(canX, canY, canX + canW, canY + canH);
+    const canGrad = c.createLinearGradient(canX, canY, canX + canW, canY + canH);
     canGrad.addColorStop(0, '#ffe066');
     canGrad.addColorStop(0.5, '#ffd300');
     canGrad.addColorStop(1, '#b8860b');
-    ctx.fillStyle = canGrad;
-    ctx.fill();
-    ctx.shadowBlur = 0; ctx.shadowOffsetY = 0;
+    c.fillStyle = canGrad;
+    c.fill();
+    c.shadowBlur = 0; c.shadowOffsetY = 0;
     // Handle
-    ctx.save();
-    ctx.beginPath();
-    ctx.lineWidth = 8;
-    ctx.strokeStyle = '#b8860b';
-    ctx.moveTo(canX + canW*0.18, canY - 10);
-    ctx.lineTo(canX + canW*0.45, canY - 10);
-    ctx.stroke();
-    ctx.restore();
+    c.save();
+    c.beginPath();
+    c.lineWidth = 8;
+    c.strokeStyle = '#b8860b';
+    c.moveTo(canX + canW*0.18, canY - 10);
+    c.lineTo(canX + canW*0.45, canY - 10);
+    c.stroke();
+    c.restore();
     // Cap
-    ctx.save();
-    ctx.beginPath();
-    ctx.arc(canX + canW*0.45, canY - 10, 7, 0, Math.PI*2);
-    ctx.fillStyle = '#8b6914';
-    ctx.fill();
-    ctx.restore();
+    c.save();
+    c.beginPath();
+    c.arc(canX + canW*0.45, canY - 10, 7, 0, Math.PI*2);
+    c.fillStyle = '#8b6914';
+    c.fill();
+    c.restore();
     // Spout
-    ctx.save();
-    ctx.beginPath();
-    ctx.ellipse(canX + canW*0.45 + 12, canY, 7, 12, 0.2, 0, Math.PI*2);
-    ctx.fillStyle = '#ffd700';
-    ctx.fill();
-    ctx.restore();
+    c.save();
+    c.beginPath();
+    c.ellipse(canX + canW*0.45 + 12, canY, 7, 12, 0.2, 0, Math.PI*2);
+    c.fillStyle = '#ffd700';
+    c.fill();
+    c.restore();
     // X emboss (classic jerry can detail)
-    ctx.save();
-    ctx.globalAlpha = 0.18;
-    ctx.beginPath();
-    ctx.moveTo(canX + 20, canY + 18);
-    ctx.lineTo(canX + canW - 20, canY + canH - 18);
-    ctx.moveTo(canX + canW - 20, canY + 18);
-    ctx.lineTo(canX + 20, canY + canH - 18);
-    ctx.lineWidth = 8;
-    ctx.strokeStyle = '#b8860b';
-    ctx.stroke();
-    ctx.restore();
+    c.save();
+    c.globalAlpha = 0.18;
+    c.beginPath();
+    c.moveTo(canX + 20, canY + 18);
+    c.lineTo(canX + canW - 20, canY + canH - 18);
+    c.moveTo(canX + canW - 20, canY + 18);
+    c.lineTo(canX + 20, canY + canH - 18);
+    c.lineWidth = 8;
+    c.strokeStyle = '#b8860b';
+    c.stroke();
+    c.restore();
     // Label
-    ctx.fillStyle = '#07263a'; ctx.font = 'bold 12px Inter, Arial'; ctx.textAlign = 'center';
-    ctx.fillText('charity: water', canX + canW/2, canY + canH/2 + 3);
-    ctx.restore();
+    c.fillStyle = '#07263a'; c.font = 'bold 12px Inter, Arial'; c.textAlign = 'center';
+    c.fillText('charity: water', canX + canW/2, canY + canH/2 + 3);
+    c.restore();
   }
 
-  function drawWaterLevel(){
+  function drawWaterLevel(c = ctx, rect = canRect(), waterPercent = state.waterPercent){
     if(waterPercent <= 0) return;
-    const canW = 140, canH = 80; const canX = canvas._w/2 - canW/2; const canY = canvas._h - canH - 12;
+    const { canW, canH, canX, canY } = rect;
     const waterH = (canH - 10) * (waterPercent / 100);
     const waterY = canY + canH - 5 - waterH;
-    ctx.save();
-    ctx.beginPath(); if (ctx.roundRect) { ctx.roundRect(canX + 5, canY + 5, canW - 10, canH - 10, 4); } else { ctx.rect(canX + 5, canY + 5, canW - 10, canH - 10); }
-    ctx.clip();
-    const waterGrad = ctx.createLinearGradient(0, waterY, 0, waterY + waterH);
+    c.save();
+    c.beginPath(); if (c.roundRect) { c.roundRect(canX + 5, canY + 5, canW - 10, canH - 10, 4); } else { c.rect(canX + 5, canY + 5, canW - 10, canH - 10); }
+    c.clip();
+    const waterGrad = c.createLinearGradient(0, waterY, 0, waterY + waterH);
     waterGrad.addColorStop(0, 'rgba(30,167,234,0.3)'); waterGrad.addColorStop(1, 'rgba(30,167,234,0.6)');
-    ctx.fillStyle = waterGrad; ctx.fillRect(canX + 5, waterY, canW - 10, waterH);
+    c.fillStyle = waterGrad; c.fillRect(canX + 5, waterY, canW - 10, waterH);
     const waveOffset = Date.now() * 0.003;
-    ctx.beginPath(); ctx.strokeStyle = 'rgba(30,167,234,0.8)'; ctx.lineWidth = 2;
+    c.beginPath(); c.strokeStyle = 'rgba(30,167,234,0.8)'; c.lineWidth = 2;
     for(let x = canX + 5; x < canX + canW - 5; x += 2) {
       const wave = Math.sin((x - canX) * 0.1 + waveOffset) * 1;
-      if(x === canX + 5) ctx.moveTo(x, waterY + wave); else ctx.lineTo(x, waterY + wave);
+      if(x === canX + 5) c.moveTo(x, waterY + wave); else c.lineTo(x, waterY + wave);
     }
-    ctx.stroke(); ctx.restore();
+    c.stroke(); c.restore();
+  }
+
+  // Spent particles and ripples go back to a pool instead of being left for the garbage
+  // collector, and leave the live list by swapping with its last entry
+  function removeAt(list, i, pool){
+    pool.push(list[i]);
+    list[i] = list[list.length - 1];
+    list.pop();
   }
 
   // Particles
-  let particles = [];
+  const particles = [], particlePool = [];
   function addParticle(x, y, type = 'positive'){
-    particles.push({ x, y, vx: (Math.random() - 0.5) * 60, vy: -Math.random() * 80 - 20, life: 1.0, maxLife: 1.0, size: Math.random() * 3 + 2, color: type === 'positive' ? '#1ea7ea' : '#ff6b6b' });
+    const p = particlePool.pop() || {};
+    p.x = x; p.y = y; p.vx = (Math.random() - 0.5) * 60; p.vy = -Math.random() * 80 - 20;
+    p.life = 1.0; p.maxLife = 1.0; p.size = Math.random() * 3 + 2; p.color = type === 'positive' ? '#1ea7ea' : '#ff6b6b';
+    particles.push(p);
   }
-  function drawParticleEffects(){
+  // dt is the real frame time, so particles move at the same speed at any frame rate
+  function drawParticleEffects(dt){
     for(let i = particles.length - 1; i >= 0; i--){
       const p = particles[i];
-      p.x += p.vx * 0.016; p.y += p.vy * 0.016; p.vy += 200 * 0.016; p.life -= 0.016;
-      if(p.life <= 0){ particles.splice(i, 1); continue; }
+      p.x += p.vx * dt; p.y += p.vy * dt; p.vy += 200 * dt; p.life -= dt;
+      if(p.life <= 0){ removeAt(particles, i, particlePool); continue; }
       ctx.save(); const alpha = p.life / p.maxLife; ctx.globalAlpha = alpha; ctx.fillStyle = p.color;
       ctx.beginPath(); ctx.arc(p.x, p.y, p.size * alpha, 0, Math.PI * 2); ctx.fill(); ctx.restore();
     }
   }
 
   // Ripples
-  let ripples = [];
+  const ripples = [], ripplePool = [];
   function popEffect(x, y){
     for(let i = 0; i < 3; i++){
-      ripples.push({ x, y, radius: 0, maxRadius: 28 + i * 10, alpha: 1, delay: i * 0.06, startedAt: performance.now() });
+      const r = ripplePool.pop() || {};
+      r.x = x; r.y = y; r.radius = 0; r.maxRadius = 28 + i * 10; r.alpha = 1; r.delay = i * 0.06; r.startedAt = performance.now();
+      ripples.push(r);
     }
   }
   function drawRipples(now){
@@ -389,7 +314,7 @@
       const t = (now - r.startedAt)/1000 - r.delay; if(t < 0) continue;
       r.radius = Math.min(r.maxRadius, t * 120);
       r.alpha = 1 - (r.radius / r.maxRadius);
-      if(r.alpha <= 0){ ripples.splice(i,1); continue; }
+      if(r.alpha <= 0){ removeAt(ripples, i, ripplePool); continue; }
       ctx.save(); ctx.beginPath(); ctx.strokeStyle = `rgba(30,167,234,${Math.max(0, r.alpha * 0.8)})`; ctx.lineWidth = 2; ctx.arc(r.x, r.y, r.radius, 0, Math.PI*2); ctx.stroke(); ctx.restore();
     }
   }
@@ -399,52 +324,195 @@
       ctx.clearRect(0,0,canvas._w,canvas._h);
       drawBackground();
       drawJerryCan();
-      if(drops && drops.length){ drops.sort((a,b)=> a.y - b.y); for(const d of drops) drawDrop(d); }
+      // Replays keep the playfield size they were recorded at; stretch it onto this canvas
+      ctx.save();
+      if(state.width !== canvas._w || state.height !== canvas._h) ctx.scale(canvas._w / state.width, canvas._h / state.height);
+      if(state.mode === 'lanes') drawLanes();
+      // Drawn in the engine's order, which is also the order taps search from the top
+      const drops = state.drops;
+      for(let i = 0; i < drops.length; i++) drawDrop(drops[i]);
+      ctx.restore();
       drawWaterLevel();
-      if(running && !paused) drawParticleEffects();
-      if(running && !paused && typeof drawRipples === 'function') drawRipples(now || performance.now());
+      ctx.save();
+      if(state.width !== canvas._w || state.height !== canvas._h) ctx.scale(canvas._w / state.width, canvas._h / state.height);
+      if(state.running && !state.paused) drawParticleEffects(frameDt);
+      if(state.running && !state.paused) drawRipples(now || performance.now());
+      if(state.replaying) drawTapMarkers();
+      drawFloatingLabels();
+      ctx.restore();
+      if(state.replaying){ if(demoPlaying) drawDemoBanner(); else drawReplayBadge(); }
+      if(state.running && state.time < state.slowUntil) drawSlowMotionTint();
+      if(state.level) drawVillageBanner();
+      if(tournamentTurn) drawTournamentBanner();
+      drawBadgeBanners(now || performance.now());
+      if(look.fps) drawFpsOverlay();
     } catch(e){ console.error('Render error:', e); }
   }
 
-  // Main loop
+  // Lanes mode: faint dividers with the key for each lane along the bottom
+  function drawLanes(){
+    const count = RippleEngine.LANES.count, w = state.width / count;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(7,38,58,0.12)'; ctx.lineWidth = 1; ctx.setLineDash([6, 8]);
+    for(let i = 1; i < count; i++){ ctx.beginPath(); ctx.moveTo(i * w, 0); ctx.lineTo(i * w, state.height); ctx.stroke(); }
+    ctx.setLineDash([]);
+    ctx.fillStyle = 'rgba(7,38,58,0.45)'; ctx.font = 'bold 16px Inter, sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
+    for(let i = 0; i < count; i++) ctx.fillText(String(i + 1), (i + 0.5) * w, state.height - 8);
+    ctx.restore();
+  }
+
+  // Replay overlays: every recorded tap is shown, red when it hit nothing
+  let tapMarkers = [];
+  engine.on('start', ()=>{ tapMarkers = []; });
+  engine.on('tap', ({ x, y, hit })=>{ if(state.replaying) tapMarkers.push({ x, y, hit: !!hit, polluted: !!(hit && hit.polluted), at: state.time }); });
+  function drawTapMarkers(){
+    for(let i = tapMarkers.length - 1; i >= 0; i--){
+      const m = tapMarkers[i];
+      const t = state.time - m.at;
+      if(t > 0.8){ tapMarkers.splice(i, 1); continue; }
+      ctx.save(); ctx.globalAlpha = 1 - t / 0.8;
+      ctx.strokeStyle = !m.hit ? '#ff4d4f' : (m.polluted ? '#8b6914' : '#07263a'); ctx.lineWidth = 3;
+      ctx.beginPath(); ctx.arc(m.x, m.y, 10 + t * 20, 0, Math.PI * 2); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(m.x - 5, m.y); ctx.lineTo(m.x + 5, m.y); ctx.moveTo(m.x, m.y - 5); ctx.lineTo(m.x, m.y + 5); ctx.stroke();
+      ctx.restore();
+    }
+  }
+  function drawReplayBadge(){
+    ctx.save();
+    ctx.fillStyle = 'rgba(7,38,58,0.75)';
+    ctx.fillRect(10, 10, 132, 26);
+    ctx.fillStyle = '#ffd300'; ctx.font = 'bold 12px Inter, Arial'; ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+    ctx.fillText(t('canvas.replay', { id: state.seed.toString(36).toUpperCase() }), 18, 23);
+    ctx.restore();
+  }
+
+  // Frame-rate overlay (display settings): frames per second, frame time and the
+  // part of it spent in the engine and drawing, averaged over the last half second
+  const frameStats = (()=>{
+    let frames = 0, elapsed = 0, work = 0;
+    let shown = { fps: 0, frameMs: 0, workMs: 0 };
+    return {
+      record(dt, workMs){
+        frames++; elapsed += dt; work += workMs;
+        if(elapsed < 0.5) return;
+        shown = { fps: frames / elapsed, frameMs: elapsed * 1000 / frames, workMs: work / frames };
+        frames = 0; elapsed = 0; work = 0;
+      },
+      get: () => shown
+    };
+  })();
+
+  function drawFpsOverlay(){
+    const s = frameStats.get();
+    const lines = [
+      Math.round(s.fps) + ' fps',
+      s.frameMs.toFixed(1) + ' ms frame · ' + s.workMs.toFixed(1) + ' ms work',
+      state.drops.length + ' drops · ' + sprites.stats().sprites + ' sprites'
+    ];
+    ctx.save();
+    ctx.font = '11px ui-monospace, Menlo, monospace'; ctx.textAlign = 'left'; ctx.textBaseline = 'top';
+    ctx.fillStyle = 'rgba(7,38,58,0.75)';
+    ctx.fillRect(canvas._w - 196, canvas._h - 52, 188, 44);
+    ctx.fillStyle = s.fps >= 55 ? '#7ee787' : (s.fps >= 30 ? '#ffd300' : '#ff6b6b');
+    lines.forEach((line, i) => ctx.fillText(line, canvas._w - 188, canvas._h - 47 + i * 13));
+    ctx.restore();
+  }
+
+  // Main loop. The round clock runs on the real time between frames: advance() turns it
+  // into fixed engine steps and caps a long stall (a background tab) at a quarter second.
   let lastFrame = performance.now();
+  let frameDt = 1 / 60;
   function loop(now){
-    const dt = Math.min(0.05, (now - lastFrame)/1000);
+    frameDt = Math.max(0, Math.min(0.25, (now - lastFrame)/1000));
     lastFrame = now;
-    if(!paused) update(dt);
+    const started = performance.now();
+    engine.advance(frameDt);
     render(now);
-    animationId = requestAnimationFrame(loop);
+    frameStats.record(frameDt, performance.now() - started);
+    if(state.running) animationId = requestAnimationFrame(loop);
   }
 
-  // Pointer
-  function handlePointer(evt){
-    if(!running) return;
-    evt.preventDefault();
+  // Pointer input (mouse, pen and touch through Pointer Events). Every finger on the
+  // canvas is tracked by pointerId, so two-thumb and group play register each contact.
+  const TAP_DEBOUNCE_MS = 80;   // repeats from the same pointer inside this window are one tap
+  const activePointers = new Map();   // pointerId -> { x, y }
+  const lastTapAt = new Map();        // pointerId -> time of its last counted tap
+  // In playfield units, which differ from the canvas when a round pins its size (daily challenge)
+  function canvasPoint(evt){
     const rect = canvas.getBoundingClientRect();
-    const clientX = evt.touches ? evt.touches[0].clientX : evt.clientX;
-    const clientY = evt.touches ? evt.touches[0].clientY : evt.clientY;
-    const x = (clientX - rect.left) * (canvas._w / rect.width);
-    const y = (clientY - rect.top) * (canvas._h / rect.height);
-    for(let i=drops.length-1;i>=0;i--){
-      const d = drops[i];
-      const dx = d.x - x, dy = d.y - y; const dist = Math.sqrt(dx*dx + dy*dy);
-      if(dist < d.size*1.8){
-        if(d.polluted){
-          lives = Math.max(0, lives - 1); waterPercent = Math.max(0, waterPercent - 10); flashScreen('#fdecea');
-          for(let i = 0; i < 5; i++) addParticle(d.x + (Math.random() - 0.5) * 20, d.y + (Math.random() - 0.5) * 20, 'negative');
-          try{ sounds.lose.currentTime = 0; sounds.lose.play(); } catch(e){}
-        } else {
-          score += 10; waterPercent = Math.min(100, waterPercent + 6); popEffect(d.x, d.y); flashScreen('#fff4d9');
-          for(let i = 0; i < 8; i++) addParticle(d.x + (Math.random() - 0.5) * 30, d.y + (Math.random() - 0.5) * 30, 'positive');
-          try{ sounds.collect.currentTime = 0; sounds.collect.play(); } catch(e){}
-          checkMilestones();
-        }
-        drops.splice(i,1); resetUI(); checkGameOver(); return;
-      }
+    return {
+      x: (evt.clientX - rect.left) * (state.width / rect.width),
+      y: (evt.clientY - rect.top) * (state.height / rect.height)
+    };
+  }
+  function onPointerDown(evt){
+    if(evt.pointerType === 'mouse' && evt.button !== 0) return;
+    if(!state.running || state.replaying) return;
+    evt.preventDefault();
+    const p = canvasPoint(evt);
+    activePointers.set(evt.pointerId, p);
+    try{ canvas.setPointerCapture(evt.pointerId); } catch(e){}
+    if(state.mode === 'catch'){ engine.moveCan(p.x); return; }
+    const last = lastTapAt.get(evt.pointerId);
+    if(last !== undefined && evt.timeStamp - last < TAP_DEBOUNCE_MS) return;
+    lastTapAt.set(evt.pointerId, evt.timeStamp);
+    engine.tap(p.x, p.y);
+  }
+  // Catcher mode: the can follows whichever pressed pointer moved last
+  function onPointerMove(evt){
+    if(!activePointers.has(evt.pointerId)) return;
+    const p = canvasPoint(evt);
+    activePointers.set(evt.pointerId, p);
+    if(state.mode === 'catch' && state.running && !state.replaying){ evt.preventDefault(); engine.moveCan(p.x); }
+  }
+  function onPointerEnd(evt){ activePointers.delete(evt.pointerId); }
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerEnd);
+  canvas.addEventListener('pointercancel', onPointerEnd);
+  canvas.addEventListener('lostpointercapture', onPointerEnd);
+  engine.on('start', ()=>{ activePointers.clear(); lastTapAt.clear(); });
+  engine.on('pollute', ({ drop: d })=>{
+    flashScreen('#fdecea');
+    for(let i = 0; i < 5; i++) addParticle(d.x + (Math.random() - 0.5) * 20, d.y + (Math.random() - 0.5) * 20, 'negative');
+    if(!demoPlaying) audio.pollute();
+  });
+  engine.on('collect', ({ drop: d })=>{
+    popEffect(d.x, d.y); flashScreen('#fff4d9');
+    for(let i = 0; i < 8; i++) addParticle(d.x + (Math.random() - 0.5) * 30, d.y + (Math.random() - 0.5) * 30, 'positive');
+    if(!demoPlaying) audio.collect(state.score);
+  });
+  // Power-ups: a short label where the drop was tapped
+  let floatingLabels = [];
+  engine.on('start', ()=>{ floatingLabels = []; });
+  engine.on('powerup', ({ drop: d, type })=>{
+    popEffect(d.x, d.y); flashScreen('#e6fffa');
+    for(let i = 0; i < 10; i++) addParticle(d.x + (Math.random() - 0.5) * 30, d.y + (Math.random() - 0.5) * 30, 'positive');
+    if(type.label) floatingLabels.push({ x: d.x, y: d.y, text: dropText(type, 'label'), at: state.time });
+    if(!demoPlaying) audio.powerup();
+  });
+  engine.on('purify', ({ drops })=>{ drops.forEach(d => popEffect(d.x, d.y)); });
+  function drawFloatingLabels(){
+    for(let i = floatingLabels.length - 1; i >= 0; i--){
+      const l = floatingLabels[i];
+      const t = state.time - l.at;
+      if(t > 1.2 || t < 0){ floatingLabels.splice(i, 1); continue; }
+      ctx.save();
+      ctx.globalAlpha = 1 - t / 1.2;
+      ctx.font = 'bold 16px Inter, Arial'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+      ctx.lineWidth = 4; ctx.strokeStyle = 'rgba(255,255,255,0.9)'; ctx.fillStyle = '#07263a';
+      ctx.strokeText(l.text, l.x, l.y - t * 40); ctx.fillText(l.text, l.x, l.y - t * 40);
+      ctx.restore();
     }
   }
-  canvas.addEventListener('click', handlePointer);
-  canvas.addEventListener('touchstart', (e)=>{ handlePointer(e); e.preventDefault(); }, {passive:false});
+  function drawSlowMotionTint(){
+    ctx.save();
+    ctx.fillStyle = 'rgba(139, 92, 246, 0.08)';
+    ctx.fillRect(0, 0, canvas._w, canvas._h);
+    ctx.fillStyle = '#6d28d9'; ctx.font = 'bold 12px Inter, Arial'; ctx.textAlign = 'center';
+    ctx.fillText(t('canvas.slowMotion', { seconds: Math.ceil(state.slowUntil - state.time) }), canvas._w / 2, 24);
+    ctx.restore();
+  }
 
   function flashScreen(color='#fff4d9'){
     const g = document.createElement('div');
@@ -455,65 +523,174 @@
     setTimeout(()=> document.body.removeChild(g), 500);
   }
 
-  // Timer
-  function startTimer(){
-    timeLeft = roundTime; timerEl.textContent = timeLeft + 's';
-    timerId = setInterval(()=>{
-      timeLeft -= 1; if(timeLeft <= 0){ timeLeft = 0; endRound(); }
-      resetUI();
-    },1000);
-  }
-  function stopTimer(){ if(timerId) clearInterval(timerId); timerId = null; }
-
   // Round control
   function startRound(){
+    // While a tournament is on, Start plays the next player's turn
+    if(tournament && !tournament.finished) return playTournamentTurn();
+    if(!customActive) return beginRound(()=> engine.start(), 'controls.playing');
+    const settings = renderCustomPreview();
+    if(!settings){ showCustomEditor(true); setCustomStatus('custom.fixErrors'); return; }
+    beginRound(()=> engine.start({ settings, preset: currentPresetName() }), 'controls.playing');
+  }
+  function startReplay(recording){ beginRound(()=> engine.startReplay(recording), 'controls.replaying'); }
+  // The start button's label is kept as a message key so it can be re-translated
+  let startLabel = 'controls.start';
+  function setStartLabel(key){ startLabel = key; startBtn.textContent = t(key); }
+  function beginRound(startEngine, label){
     try{
-      // Apply difficulty settings
-  const settings = difficultySettings[currentDifficulty];
-  spawnInterval = settings.spawnInterval; // starting interval per difficulty
-  lives = settings.lives;
-  timeLeft = settings.roundTime;
-      milestonesReached = [];
-      
-      drops = []; lastSpawn = 0; running = true; paused = false; score = 0; waterPercent = 0;
-      resetUI(); results.classList.remove('show');
+      results.classList.remove('show'); showMap(false);
       setupCanvas();
-      startTimer(); cancelAnimationFrame(animationId); lastFrame = performance.now(); animationId = requestAnimationFrame(loop);
-      startBtn.textContent = 'Playing...'; startBtn.disabled = true;
-      if(pauseBtn){ pauseBtn.disabled = false; pauseBtn.textContent = 'Pause'; }
+      startEngine();
+      cancelAnimationFrame(animationId); lastFrame = performance.now(); animationId = requestAnimationFrame(loop);
+      setStartLabel(label); startBtn.disabled = true;
+      if(pauseBtn){ pauseBtn.disabled = false; pauseBtn.textContent = t('controls.pause'); }
       const po = document.getElementById('pauseOverlay'); if (po){ po.classList.remove('show'); po.setAttribute('aria-hidden','true'); }
     } catch(e){
-      console.error('Error starting game:', e); startBtn.textContent = 'Start Round'; startBtn.disabled = false; if(pauseBtn){ pauseBtn.disabled = true; pauseBtn.textContent = 'Pause'; }
+      console.error('Error starting game:', e); setStartLabel('controls.startRound'); startBtn.disabled = false; if(pauseBtn){ pauseBtn.disabled = true; pauseBtn.textContent = t('controls.pause'); }
     }
   }
-  function endRound(){
-    running = false; paused = false; stopTimer(); cancelAnimationFrame(animationId);
-    startBtn.textContent = 'Start Round'; startBtn.disabled = false; if(pauseBtn){ pauseBtn.disabled = true; pauseBtn.textContent = 'Pause'; }
+  // The engine decides when a round is over (timer, lives, full well); this only shows the results
+  engine.on('end', endRound);
+  function endRound(summary){
+    // The attract loop's demo has no results; once every 'end' listener has run, back to the welcome screen
+    if(demoPlaying){ setTimeout(resetGame); return; }
+    cancelAnimationFrame(animationId);
+    setStartLabel('controls.startRound'); startBtn.disabled = false; if(pauseBtn){ pauseBtn.disabled = true; pauseBtn.textContent = t('controls.pause'); }
     const po2 = document.getElementById('pauseOverlay'); if (po2){ po2.classList.remove('show'); po2.setAttribute('aria-hidden','true'); }
-    const coins = Math.max(0, Math.floor(score / 50));
+    const coins = summary.coins;
+    const turn = summary.replay ? null : tournamentTurn;
+    tournamentTurn = null;
     results.classList.add('show');
-    resultsTitle.textContent = waterPercent >= 100 ? 'Well Built!' : 'Round Complete';
-    resultsStats.textContent = `Score: ${score} • Water: ${Math.round(waterPercent)}% • Lives: ${lives}`;
-    const facts = [
-      'Clean water improves health and reduces child mortality.',
-      'Women and girls often walk miles to collect water — building wells changes lives.',
-      'An investment in water and sanitation reduces health care costs and boosts education.'
-    ];
-    levelFact.textContent = facts[Math.floor(Math.random()*facts.length)];
-    modalCoins.textContent = coins; canvas._lastCoins = coins;
+    claimBtn.hidden = summary.replay || !!turn;
+    if(!summary.replay) lastRecording = engine.getRecording();
+    replayBtn.disabled = exportReplayBtn.disabled = !lastRecording;
+    const village = summary.level && window.RippleCampaign ? RippleCampaign.getVillage(summary.level) : null;
+    mapBtn.hidden = !village;
+    lastResults = { summary, village, unlocked: null, newBest: false, badges: [], dailyBest: false, player: turn ? tournament.players[turn.player] : null };
+    showFact(summary);
+    if(turn) recordTournamentTurn(summary);
+    else if(!summary.replay){
+      setClaimCoins(coins);
+      if(village){
+        lastResults.unlocked = campaignStore.recordRound(village.id, summary).unlocked;
+        renderMap();
+      }
+      if(profileStore){
+        const outcome = profileStore.recordRound(summary);
+        lastResults.newBest = outcome.newBest;
+        lastProfileEntry = outcome.entry;
+      }
+      checkBadges(Object.assign({}, summary, { ended: true }), {
+        roundsPlayed: profileStore ? profileStore.get().roundsPlayed : 0,
+        dayStreak: achievementStore.recordPlay(),
+        campaignComplete: !!campaignStore && campaignStore.statuses().every(v => v.status === 'built')
+      });
+      if(roundBadgeCoins){
+        setClaimCoins(coins + roundBadgeCoins);
+        if(profileStore) profileStore.addCoins(roundBadgeCoins);
+      }
+      if(summary.daily) lastResults.dailyBest = dailyStore.finishAttempt(summary.daily, summary.score).newBest;
+      lastResults.badges = roundBadges.slice();
+      renderProfile(lastProfileEntry);
+    }
+    renderResults();
+  }
+  let lastProfileEntry = null;
+  let lastResults = null;
+  function renderResults(){
+    if(!lastResults) return;
+    const { summary, village, unlocked, newBest, badges, dailyBest, player } = lastResults;
+    if(summary.replay) resultsTitle.textContent = t('results.replayFinished');
+    else if(village) resultsTitle.textContent = t(summary.wellBuilt ? 'results.wellBuiltIn' : 'results.notYet', { village: village.name });
+    else resultsTitle.textContent = t(summary.wellBuilt ? 'results.wellBuilt' : 'results.roundComplete');
+    const notes = [t(village ? 'results.statsTarget' : 'results.stats', {
+      score: summary.score, water: Math.round(summary.waterPercent), target: summary.targetFill, lives: summary.lives, streak: summary.bestStreak
+    })];
+    if(player) notes.push(t('results.tournament', { player }));
+    if(summary.preset) notes.push(t('results.preset', { name: summary.preset }));
+    if(summary.daily) notes.push(t('results.daily', { day: dayLabel(summary.daily) }));
+    if(dailyBest) notes.push(t('results.dailyBest'));
+    if(unlocked) notes.push(t('results.unlocked', { village: unlocked.name }));
+    if(newBest) notes.push(t('results.newBest'));
+    if(badges.length) notes.push(t('results.badges', { names: badges.map(b => badgeText(b, 'name')).join(', ') }));
+    resultsStats.textContent = notes.join(' • ');
+    prepareScorecard();
+  }
+  function setClaimCoins(coins){
+    canvas._lastCoins = coins;
+    claimEarned.textContent = t('claim.earned', { coins: coinsText(coins) });
+    if(lastResults) prepareScorecard();
+  }
+
+  // Fact deck (fact-deck.js): a new fact after every round, with a short quiz.
+  // Correct answers add bonus coins to this round's claim until its code is issued.
+  const factDeck = window.RippleFacts ? RippleFacts.createFactDeck() : null;
+  // Translated decks are facts.<locale>.json with the same ids; English is facts.json
+  function loadFactDeck(){
+    if(!factDeck) return;
+    const locale = i18n.locale();
+    const urls = locale === RippleI18n.DEFAULT_LOCALE ? ['facts.json'] : [`facts.${locale}.json`, 'facts.json'];
+    RippleFacts.loadFacts(urls).then(facts => factDeck.setFacts(facts));
+  }
+  loadFactDeck();
+  function showFact(summary){
+    if(!factDeck) return;
+    const fact = factDeck.next();
+    factCategory.textContent = fact.category;
+    levelFact.textContent = fact.text;
+    factSource.textContent = t('facts.source', { name: fact.source.name });
+    // Kiosks don't send visitors off to other sites
+    if(fact.source.url && !kioskMode) factSource.href = fact.source.url; else factSource.removeAttribute('href');
+    renderQuiz(summary.replay || lastResults.player ? [] : factDeck.quizFor(fact));
+    factDeck.markSeen(fact.id);
+  }
+  function renderQuiz(questions){
+    factQuiz.textContent = '';
+    factQuiz.hidden = !questions.length;
+    if(!questions.length) return;
+    const heading = document.createElement('div');
+    heading.className = 'quiz-heading';
+    heading.textContent = t('quiz.heading', { coins: coinsText(RippleFacts.QUIZ_BONUS) });
+    factQuiz.appendChild(heading);
+    questions.forEach(q => {
+      const group = document.createElement('fieldset'); group.className = 'quiz-question';
+      const legend = document.createElement('legend'); legend.textContent = q.question; group.appendChild(legend);
+      const feedback = document.createElement('div'); feedback.className = 'quiz-feedback small'; feedback.setAttribute('aria-live', 'polite');
+      q.choices.forEach((choice, i) => {
+        const btn = document.createElement('button');
+        btn.type = 'button'; btn.className = 'btn btn-secondary quiz-choice'; btn.textContent = choice;
+        btn.addEventListener('click', ()=> answerQuiz(group, q, i, feedback));
+        group.appendChild(btn);
+      });
+      group.appendChild(feedback);
+      factQuiz.appendChild(group);
+    });
+  }
+  function answerQuiz(group, q, choice, feedback){
+    group.querySelectorAll('.quiz-choice').forEach((btn, i) => {
+      btn.disabled = true;
+      btn.classList.toggle('correct', i === q.answer);
+      btn.classList.toggle('wrong', i === choice && i !== q.answer);
+    });
+    if(choice !== q.answer){ feedback.textContent = t('quiz.wrong', { answer: q.choices[q.answer] }); return; }
+    if(roundClaimCode){ feedback.textContent = t('quiz.tooLate'); return; }
+    const bonus = RippleFacts.QUIZ_BONUS;
+    setClaimCoins((canvas._lastCoins || 0) + bonus);
+    if(profileStore){ profileStore.addCoins(bonus); renderProfile(lastProfileEntry); }
+    feedback.textContent = t('quiz.correct', { coins: coinsText(bonus) });
   }
   function resetGame(){
-    running = false; paused = false; stopTimer(); drops = []; score = 0; lives = 3; waterPercent = 0; timeLeft = roundTime;
-    results.classList.remove('show'); resetUI(); cancelAnimationFrame(animationId);
-    startBtn.textContent = 'Start Round'; startBtn.disabled = false; if(pauseBtn){ pauseBtn.disabled = true; pauseBtn.textContent = 'Pause'; }
+    if(state.running) trackRoundEnd('quit');
+    engine.reset();
+    results.classList.remove('show'); cancelAnimationFrame(animationId);
+    setStartLabel('controls.startRound'); startBtn.disabled = false; if(pauseBtn){ pauseBtn.disabled = true; pauseBtn.textContent = t('controls.pause'); }
     const po3 = document.getElementById('pauseOverlay'); if (po3){ po3.classList.remove('show'); po3.setAttribute('aria-hidden','true'); }
     setupCanvas(); drawWelcomeScreen();
   }
-  function checkGameOver(){ if(lives <= 0 || waterPercent >= 100) endRound(); }
 
   // Controls and handlers
   startBtn.addEventListener('click', startRound);
-  if(pauseBtn){ pauseBtn.addEventListener('click', ()=>{ if(!running && !paused) return; if(paused) resumeGame(); else pauseGame(); }); }
+  if(pauseBtn){ pauseBtn.addEventListener('click', ()=>{ if(!state.running && !state.paused) return; if(state.paused) resumeGame(); else pauseGame(); }); }
   resetBtn.addEventListener('click', resetGame);
 
   fullscreenBtn.addEventListener('click', toggleFullscreen);
@@ -552,12 +729,12 @@
     
     if (isFullscreen()) {
       iconPath.setAttribute('d', 'M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z');
-      fullscreenBtn.title = 'Exit Fullscreen (F)';
-      fullscreenBtn.setAttribute('aria-label', 'Exit fullscreen mode');
+      fullscreenBtn.title = t('hud.exitFullscreenTitle');
+      fullscreenBtn.setAttribute('aria-label', t('hud.exitFullscreen'));
     } else {
       iconPath.setAttribute('d', 'M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z');
-      fullscreenBtn.title = 'Fullscreen (F)';
-      fullscreenBtn.setAttribute('aria-label', 'Toggle fullscreen mode');
+      fullscreenBtn.title = t('hud.fullscreenTitle');
+      fullscreenBtn.setAttribute('aria-label', t('hud.fullscreen'));
     }
   }
   
@@ -566,45 +743,842 @@
   document.addEventListener('mozfullscreenchange', ()=>{ updateFullscreenIcon(); setTimeout(setupCanvas, 100); });
   document.addEventListener('msfullscreenchange', ()=>{ updateFullscreenIcon(); setTimeout(setupCanvas, 100); });
   document.addEventListener('keydown', (e)=>{
-    if (e.key === 'f' || e.key === 'F') {
+    if ((e.key === 'f' || e.key === 'F') && !kioskMode) {
       if (e.target === canvas || siteElement.contains(e.target)) { e.preventDefault(); toggleFullscreen(); }
     }
     if (e.key === 'p' || e.key === 'P') {
-      if (running || paused) { e.preventDefault(); if (paused) resumeGame(); else pauseGame(); }
+      if (state.running || state.paused) { e.preventDefault(); if (state.paused) resumeGame(); else pauseGame(); }
     }
   });
 
   function pauseGame(){
-    if(paused || !running) return;
-    paused = true; stopTimer();
+    if(state.paused || !state.running) return;
+    engine.pause();
     const po = document.getElementById('pauseOverlay'); if (po){ po.classList.add('show'); po.setAttribute('aria-hidden','false'); }
-    if (pauseBtn) pauseBtn.textContent = 'Resume';
+    if (pauseBtn) pauseBtn.textContent = t('controls.resume');
   }
   function resumeGame(){
-    if(!paused) return;
-    paused = false; startTimer(); lastFrame = performance.now();
+    if(!state.paused) return;
+    engine.resume(); lastFrame = performance.now();
     const po = document.getElementById('pauseOverlay'); if (po){ po.classList.remove('show'); po.setAttribute('aria-hidden','true'); }
-    if (pauseBtn) pauseBtn.textContent = 'Pause';
+    if (pauseBtn) pauseBtn.textContent = t('controls.pause');
+  }
+
+  // Player profile: wallet, rounds played, best scores and the local top 10
+  const profileStore = window.RippleProfile ? RippleProfile.createProfileStore() : null;
+  function renderProfile(currentEntry){
+    if(!profileStore) return;
+    const p = profileStore.get();
+    const best = p.bestScores[state.difficulty] || 0;
+    profileSummary.textContent = t('profile.summary', {
+      name: p.nickname, coins: coinsText(p.coins), rounds: t('units.rounds', { count: p.roundsPlayed }),
+      difficulty: t('difficulty.' + state.difficulty), best
+    });
+    if(document.activeElement !== nicknameInput) nicknameInput.value = p.nickname;
+    highScoresBody.textContent = '';
+    p.highScores.forEach((entry, i) => {
+      const row = document.createElement('tr');
+      if(entry === currentEntry) row.className = 'current';
+      [i + 1, entry.name, entry.score, t('difficulty.' + entry.difficulty)].forEach(value => {
+        const cell = document.createElement('td'); cell.textContent = value; row.appendChild(cell);
+      });
+      highScoresBody.appendChild(row);
+    });
+  }
+  if(profileStore){
+    nicknameInput.addEventListener('change', ()=>{ nicknameInput.value = profileStore.setNickname(nicknameInput.value); renderProfile(); });
+    renderProfile();
+  } else {
+    document.getElementById('profilePanel').hidden = true;
+  }
+
+  // Village campaign: a map of levels; building a village's well unlocks the next
+  const campaignStore = window.RippleCampaign ? RippleCampaign.createProgressStore() : null;
+  function startVillage(village){
+    if(!campaignStore.isUnlocked(village.id)) return;
+    const settings = RippleEngine.resolveSettings(village.difficulty, village.settings);
+    beginRound(()=> engine.start({ level: village.id, difficulty: village.difficulty, settings }), 'controls.playing');
+  }
+  function renderMap(){
+    const list = campaignStore.statuses();
+    campaignProgress.textContent = t('map.progress', { count: list.filter(v => v.status === 'built').length, total: list.length });
+    villageList.textContent = '';
+    list.forEach(({ village, status, record }) => {
+      const item = document.createElement('li');
+      item.className = 'village ' + status;
+      const name = document.createElement('div'); name.className = 'village-name'; name.textContent = village.name;
+      const blurb = document.createElement('div'); blurb.className = 'small'; blurb.textContent = villageBlurb(village);
+      const goal = document.createElement('div'); goal.className = 'small';
+      goal.textContent = status === 'built'
+        ? t('map.builtBest', { points: pointsText(record.bestScore) })
+        : t('map.goal', { target: village.settings.targetFill, difficulty: t('difficulty.' + village.difficulty) });
+      const btn = document.createElement('button');
+      btn.className = 'btn ' + (status === 'open' ? 'btn-play' : 'btn-secondary');
+      btn.textContent = t(status === 'locked' ? 'map.locked' : (status === 'built' ? 'map.playAgain' : 'map.build'));
+      btn.disabled = status === 'locked';
+      btn.setAttribute('aria-label', `${village.name}: ${btn.textContent}`);
+      btn.addEventListener('click', ()=> startVillage(village));
+      item.append(name, blurb, goal, btn);
+      villageList.appendChild(item);
+    });
+  }
+  function showMap(show){
+    campaignMap.hidden = !show;
+    campaignBtn.setAttribute('aria-expanded', String(show));
+    if(show){ renderMap(); results.classList.remove('show'); }
+  }
+  function drawVillageBanner(){
+    const village = RippleCampaign.getVillage(state.level);
+    if(!village) return;
+    ctx.save();
+    ctx.fillStyle = 'rgba(255,211,0,0.9)';
+    ctx.font = 'bold 12px Inter, Arial'; ctx.textAlign = 'right'; ctx.textBaseline = 'middle';
+    const label = t('canvas.villageBanner', { village: village.name, target: state.targetFill });
+    const w = ctx.measureText(label).width + 20;
+    ctx.fillRect(canvas._w - w - 10, 10, w, 26);
+    ctx.fillStyle = '#07263a'; ctx.fillText(label, canvas._w - 20, 23);
+    ctx.restore();
+  }
+  if(campaignStore){
+    campaignBtn.addEventListener('click', ()=>{ if(!state.running) showMap(campaignMap.hidden); });
+    mapBtn.addEventListener('click', ()=> showMap(true));
+  } else {
+    campaignBtn.hidden = true;
+  }
+
+  // Custom difficulty (presets.js): an editor for the round settings, named presets
+  // and a ?preset= link so every device at an event plays the same settings
+  const customEditor = document.getElementById('customEditor');
+  const customBtn = document.querySelector('.btn-difficulty[data-difficulty="custom"]');
+  const customFields = document.getElementById('customFields');
+  const customName = document.getElementById('customName');
+  const customPresets = document.getElementById('customPresets');
+  const customStatus = document.getElementById('customStatus');
+  const customSummary = document.getElementById('customSummary');
+  const customPreview = document.getElementById('customPreview');
+  const customLinkOutput = document.getElementById('customLinkOutput');
+  const presetStore = RipplePresets.createPresetStore();
+  // Polluted chances are fractions in the engine; the editor shows them as percentages
+  const PERCENT_KEYS = ['pollutedBase', 'pollutedRamp', 'pollutedMax'];
+  const toField = (key, value) => PERCENT_KEYS.includes(key) ? Math.round(value * 100 * 1000) / 1000 : value;
+  const fromField = (key, value) => PERCENT_KEYS.includes(key) ? value / 100 : value;
+  let customActive = false;
+  let customStatusKey = null, customStatusParams = null;
+  const customInputs = {};
+
+  RipplePresets.FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    const name = document.createElement('span'); name.setAttribute('data-i18n', 'custom.field.' + field.key);
+    const input = document.createElement('input');
+    input.type = 'number'; input.id = 'custom-' + field.key; input.required = true;
+    input.min = toField(field.key, field.min); input.max = toField(field.key, field.max); input.step = toField(field.key, field.step);
+    const error = document.createElement('span'); error.className = 'field-error'; error.id = input.id + '-error';
+    input.setAttribute('aria-describedby', error.id);
+    input.addEventListener('input', renderCustomPreview);
+    label.append(name, input, error);
+    customFields.appendChild(label);
+    customInputs[field.key] = { input, error };
+  });
+
+  function fillCustomForm(settings){
+    RipplePresets.FIELDS.forEach(f => { customInputs[f.key].input.value = toField(f.key, settings[f.key]); });
+    renderCustomPreview();
+  }
+  function readCustomForm(){
+    const input = {};
+    RipplePresets.FIELDS.forEach(f => {
+      const raw = customInputs[f.key].input.value;
+      input[f.key] = raw.trim() === '' ? NaN : fromField(f.key, Number(raw));
+    });
+    return RipplePresets.validate(input);
+  }
+  function errorText(error){
+    if(error.code === 'range') return t('custom.error.range', { min: toField(error.key, error.min), max: toField(error.key, error.max) });
+    if(error.code === 'order') return t('custom.error.order.' + error.key);
+    return t('custom.error.' + error.code);
+  }
+  function setCustomStatus(key, params){
+    customStatusKey = key; customStatusParams = params || null;
+    customStatus.textContent = key ? t(key, params) : '';
+  }
+  // Validates as you type and redraws the curves for the whole round
+  function renderCustomPreview(){
+    const { settings, errors } = readCustomForm();
+    RipplePresets.FIELDS.forEach(f => {
+      const error = errors.find(e => e.key === f.key);
+      customInputs[f.key].error.textContent = error ? errorText(error) : '';
+      customInputs[f.key].input.setAttribute('aria-invalid', String(!!error));
+    });
+    const pctx = customPreview.getContext('2d');
+    const w = customPreview.width, h = customPreview.height, pad = 8;
+    pctx.clearRect(0, 0, w, h);
+    if(errors.length){ customSummary.textContent = t('custom.fixErrors'); return null; }
+    const first = RipplePresets.curveAt(settings, 0), last = RipplePresets.curveAt(settings, settings.roundTime);
+    const maxRate = Math.max(first.spawnsPerSecond, last.spawnsPerSecond);
+    const plot = (color, valueAt, max) => {
+      pctx.beginPath(); pctx.strokeStyle = color; pctx.lineWidth = 2;
+      for(let i = 0; i <= 40; i++){
+        const x = pad + (w - pad * 2) * i / 40;
+        const y = h - pad - (h - pad * 2) * valueAt(RipplePresets.curveAt(settings, settings.roundTime * i / 40)) / max;
+        if(i === 0) pctx.moveTo(x, y); else pctx.lineTo(x, y);
+      }
+      pctx.stroke();
+    };
+    pctx.strokeStyle = 'rgba(7,38,58,0.15)'; pctx.lineWidth = 1; pctx.strokeRect(pad, pad, w - pad * 2, h - pad * 2);
+    plot('#0ea5e9', c => c.spawnsPerSecond, maxRate);
+    plot('#8b5a2b', c => c.polluted, 1);
+    customSummary.textContent = t('custom.summary', {
+      seconds: secondsText(settings.roundTime), lives: livesText(settings.lives),
+      rateFrom: first.spawnsPerSecond.toFixed(1), rateTo: last.spawnsPerSecond.toFixed(1),
+      pollutedFrom: Math.round(first.polluted * 100), pollutedTo: Math.round(last.polluted * 100)
+    });
+    return settings;
+  }
+  function renderPresetList(selected){
+    customPresets.textContent = '';
+    const builtIn = document.createElement('optgroup'); builtIn.label = t('custom.builtIn');
+    ['easy', 'normal', 'hard'].forEach(name => {
+      const option = document.createElement('option');
+      option.value = 'builtin:' + name; option.textContent = t('difficulty.' + name);
+      builtIn.appendChild(option);
+    });
+    customPresets.appendChild(builtIn);
+    const saved = presetStore.list();
+    if(saved.length){
+      const group = document.createElement('optgroup'); group.label = t('custom.saved');
+      saved.forEach(p => {
+        const option = document.createElement('option');
+        option.value = 'saved:' + p.name; option.textContent = p.name;
+        group.appendChild(option);
+      });
+      customPresets.appendChild(group);
+    }
+    if(selected) customPresets.value = selected;
+  }
+  function showCustomEditor(show){
+    customEditor.hidden = !show;
+    customBtn.setAttribute('aria-expanded', String(show));
+  }
+  function selectDifficultyButton(btn){
+    document.querySelectorAll('.btn-difficulty').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    customActive = btn === customBtn;
+  }
+  function currentPresetName(){ return RipplePresets.cleanName(customName.value) || t('custom.unnamed'); }
+  function presetLink(preset){
+    const url = new URL(window.location.href);
+    url.hash = '';
+    url.searchParams.set(RipplePresets.URL_PARAM, RipplePresets.encode(preset));
+    return url.toString();
+  }
+
+  customPresets.addEventListener('change', ()=>{
+    const [kind, name] = customPresets.value.split(/:(.*)/);
+    const preset = kind === 'saved' ? presetStore.get(name) : null;
+    if(preset) customName.value = preset.name;
+    fillCustomForm(preset ? preset.settings : RippleEngine.difficultySettings[name]);
+    setCustomStatus(null);
+  });
+  document.getElementById('customSave').addEventListener('click', ()=>{
+    const name = RipplePresets.cleanName(customName.value);
+    if(!name){ setCustomStatus('custom.nameRequired'); customName.focus(); return; }
+    const saved = renderCustomPreview() && presetStore.put(name, readCustomForm().settings);
+    if(!saved){ setCustomStatus('custom.fixErrors'); return; }
+    renderPresetList('saved:' + saved.name);
+    setCustomStatus('custom.savedAs', { name: saved.name });
+  });
+  document.getElementById('customDelete').addEventListener('click', ()=>{
+    const [kind, name] = customPresets.value.split(/:(.*)/);
+    if(kind !== 'saved') return;
+    presetStore.remove(name);
+    renderPresetList();
+    setCustomStatus('custom.deleted', { name });
+  });
+  document.getElementById('customLink').addEventListener('click', ()=>{
+    const settings = renderCustomPreview();
+    if(!settings){ setCustomStatus('custom.fixErrors'); return; }
+    const link = presetLink({ name: currentPresetName(), settings });
+    customLinkOutput.value = link; customLinkOutput.hidden = false;
+    customLinkOutput.select();
+    if(navigator.clipboard){
+      navigator.clipboard.writeText(link).then(()=> setCustomStatus('custom.linkCopied'), ()=> setCustomStatus('custom.linkReady'));
+    } else {
+      setCustomStatus('custom.linkReady');
+    }
+  });
+
+  // A shared link selects the custom difficulty with its settings
+  (function loadPresetFromUrl(){
+    const code = new URLSearchParams(window.location.search).get(RipplePresets.URL_PARAM);
+    renderPresetList('builtin:' + state.difficulty);
+    fillCustomForm(RippleEngine.resolveSettings(state.difficulty));
+    if(code === null) return;
+    const preset = RipplePresets.decode(code);
+    selectDifficultyButton(customBtn); showCustomEditor(true);
+    if(!preset){ setCustomStatus('custom.badLink'); return; }
+    customName.value = preset.name;
+    fillCustomForm(preset.settings);
+    setCustomStatus('custom.fromLink', { name: currentPresetName() });
+  })();
+
+  // Achievements (achievements.js). Score and streak badges are checked as the round is
+  // played, the rest when it ends; replays never unlock anything.
+  const achievementStore = RippleAchievements.createAchievementStore();
+  const badgeText = (badge, field) => i18n.has(`badges.${badge.id}.${field}`) ? t(`badges.${badge.id}.${field}`) : badge[field];
+  const badgesBtn = document.getElementById('badgesBtn');
+  const badgeGallery = document.getElementById('badgeGallery');
+  const badgeProgress = document.getElementById('badgeProgress');
+  const badgeList = document.getElementById('badgeList');
+  const BANNER_MS = 2800;
+  let badgeBanners = [];      // { badge, start } unlock banners, shown one after another on the canvas
+  let roundBadges = [];       // unlocked during the current round
+  let roundBadgeCoins = 0;    // their coin rewards, added to the round's claim
+  let bannerFrame = null;
+  engine.on('start', ()=>{ roundBadges = []; roundBadgeCoins = 0; });
+  engine.on('reset', ()=>{ badgeBanners = []; });
+  const checkLiveBadges = ()=>{ if(!state.replaying && !tournamentTurn) checkBadges(Object.assign(engine.summary(), { ended: false }), {}); };
+  engine.on('collect', checkLiveBadges);
+  engine.on('powerup', checkLiveBadges);
+
+  function checkBadges(round, history){
+    if(round.replay) return;
+    achievementStore.evaluate(round, history).forEach(badge => {
+      roundBadges.push(badge);
+      analytics.track('milestone', { badge: badge.id, live: !round.ended });
+      emitApi('milestone', { id: badge.id, icon: badge.icon, name: badgeText(badge, 'name'), reward: badge.reward });
+      const queued = badgeBanners.length ? badgeBanners[badgeBanners.length - 1].start + BANNER_MS : 0;
+      badgeBanners.push({ badge, start: Math.max(performance.now(), queued) });
+      // Paid with the round's coins in endRound, so a round that is quit or reloaded pays nothing
+      if(badge.reward) roundBadgeCoins += badge.reward;
+      audio.milestone();
+      if(spoken()) announce(t('sr.badge', { name: badgeText(badge, 'name') }));
+    });
+    renderBadges();
+    // After the round the main loop has stopped, so the banners get their own frames
+    if(!state.running && badgeBanners.length && !bannerFrame) bannerFrame = requestAnimationFrame(animateBanners);
+  }
+  function animateBanners(now){
+    bannerFrame = null;
+    if(state.running) return;
+    render(now);
+    if(badgeBanners.length) bannerFrame = requestAnimationFrame(animateBanners);
+    else if(!results.classList.contains('show')) drawWelcomeScreen();
+  }
+  // Slides in from the top, holds, then fades
+  function drawBadgeBanners(now){
+    badgeBanners = badgeBanners.filter(b => now - b.start < BANNER_MS);
+    const banner = badgeBanners.find(b => now >= b.start);
+    if(!banner) return;
+    const elapsed = now - banner.start;
+    const slide = Math.min(1, elapsed / 300), fade = Math.min(1, (BANNER_MS - elapsed) / 400);
+    const w = Math.min(320, canvas._w - 20), h = 58;
+    const x = (canvas._w - w) / 2, y = -h + (h + 14) * (1 - Math.pow(1 - slide, 3));
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, fade);
+    ctx.shadowColor = 'rgba(7,38,58,0.25)'; ctx.shadowBlur = 12; ctx.shadowOffsetY = 4;
+    const grad = ctx.createLinearGradient(x, y, x + w, y + h);
+    grad.addColorStop(0, '#ffe066'); grad.addColorStop(1, '#ffd300');
+    ctx.fillStyle = grad;
+    ctx.beginPath();
+    if(ctx.roundRect) ctx.roundRect(x, y, w, h, 14); else ctx.rect(x, y, w, h);
+    ctx.fill();
+    ctx.shadowBlur = 0; ctx.shadowOffsetY = 0;
+    const pop = 1 + Math.max(0, Math.sin(Math.min(1, elapsed / 500) * Math.PI)) * 0.25;
+    ctx.font = (26 * pop) + 'px Inter, sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    ctx.fillText(banner.badge.icon, x + 32, y + h / 2);
+    ctx.fillStyle = '#07263a'; ctx.textAlign = 'left';
+    ctx.font = '12px Inter, sans-serif';
+    ctx.fillText(banner.badge.reward ? t('canvas.badgeReward', { coins: coinsText(banner.badge.reward) }) : t('canvas.badgeUnlocked'), x + 60, y + 18);
+    ctx.font = 'bold 16px Inter, sans-serif';
+    ctx.fillText(badgeText(banner.badge, 'name'), x + 60, y + 38, w - 70);
+    ctx.restore();
+  }
+
+  function renderBadges(){
+    const list = achievementStore.list();
+    badgeProgress.textContent = t('badges.progress', { count: list.filter(b => b.unlockedAt).length, total: list.length })
+      + ' • ' + t('badges.dayStreak', { count: achievementStore.dayStreak() });
+    badgeList.textContent = '';
+    list.forEach(({ badge, unlockedAt }) => {
+      const item = document.createElement('li');
+      item.className = 'badge ' + (unlockedAt ? 'unlocked' : 'locked');
+      const icon = document.createElement('div'); icon.className = 'badge-icon'; icon.textContent = badge.icon; icon.setAttribute('aria-hidden', 'true');
+      const name = document.createElement('div'); name.className = 'badge-name'; name.textContent = badgeText(badge, 'name');
+      const about = document.createElement('div'); about.className = 'small'; about.textContent = badgeText(badge, 'description');
+      const status = document.createElement('div'); status.className = 'small badge-status';
+      status.textContent = unlockedAt
+        ? t('badges.unlockedOn', { date: new Date(unlockedAt).toLocaleDateString(i18n.locale()) })
+        : (badge.reward ? t('badges.lockedReward', { coins: coinsText(badge.reward) }) : t('badges.locked'));
+      item.append(icon, name, about, status);
+      badgeList.appendChild(item);
+    });
+  }
+  function showBadges(show){
+    badgeGallery.hidden = !show;
+    badgesBtn.setAttribute('aria-expanded', String(show));
+    if(show) renderBadges();
+  }
+  badgesBtn.addEventListener('click', ()=> showBadges(badgeGallery.hidden));
+
+  // Daily challenge (daily.js): the same seeded round for everyone each day, always Tap mode
+  // on Normal with the day's wind. Starting it uses up the day's one scored attempt.
+  const dailyStore = RippleDaily.createDailyStore();
+  const dailyBtn = document.getElementById('dailyBtn');
+  const dailyStatus = document.getElementById('dailyStatus');
+  function dayLabel(day){
+    const [y, m, d] = day.split('-').map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString(i18n.locale(), { month: 'long', day: 'numeric' });
+  }
+  function renderDaily(){
+    const daily = dailyStore.status();
+    dailyBtn.disabled = daily.played || state.running;
+    dailyBtn.textContent = t(daily.played ? 'daily.played' : 'daily.play');
+    dailyStatus.textContent = [
+      daily.played ? t('daily.today', { points: pointsText(daily.score) }) : t('daily.notPlayed'),
+      t('daily.best', { points: pointsText(daily.best) }),
+      t('daily.streak', { count: daily.streak })
+    ].join(' • ');
+  }
+  function startDaily(){
+    const day = dailyStore.today();
+    if(state.running || dailyStore.hasPlayed(day)){ renderDaily(); return; }
+    const round = RippleDaily.roundFor(day);
+    const settings = RippleEngine.resolveSettings(round.difficulty, round.settings);
+    // The engine plays the daily's difficulty and mode, then goes back to the player's
+    markModeButtons(round.mode);
+    beginRound(()=>{
+      engine.start({ seed: round.seed, difficulty: round.difficulty, mode: round.mode, settings, daily: day, size: round.size });
+      dailyStore.beginAttempt(day);
+      renderDaily();
+    }, 'controls.playing');
+  }
+  dailyBtn.addEventListener('click', startDaily);
+  engine.on('start', renderDaily);
+  engine.on('end', renderDaily);
+  // A new day can begin while the page is open
+  document.addEventListener('visibilitychange', ()=>{ if(!document.hidden) renderDaily(); });
+
+  // Hot-seat tournament (tournament.js): players take turns on this device with the
+  // settings picked when it started. Turns stay out of the profile, badges and daily;
+  // only the winner gets a claim code, for the coins they earned over the tournament.
+  const tournamentStore = RippleTournament.createTournamentStore();
+  const tournamentBtn = document.getElementById('tournamentBtn');
+  const tournamentPanel = document.getElementById('tournamentPanel');
+  const tournamentStatus = document.getElementById('tournamentStatus');
+  const tournamentSetup = document.getElementById('tournamentSetup');
+  const tournamentPlayers = document.getElementById('tournamentPlayers');
+  const tournamentFormat = document.getElementById('tournamentFormat');
+  const tournamentPlay = document.getElementById('tournamentPlay');
+  const tournamentPodium = document.getElementById('tournamentPodium');
+  const tournamentClaim = document.getElementById('tournamentClaim');
+  const tournamentNext = document.getElementById('tournamentNext');
+  const tournamentTable = document.getElementById('tournamentTable').querySelector('tbody');
+  const tournamentTurnBtn = document.getElementById('tournamentTurn');
+  const tournamentEnd = document.getElementById('tournamentEnd');
+  let tournament = tournamentStore.load();
+  let tournamentTurn = null;      // { match, slot, player, opponent } while a turn is being played
+  let tournamentStatusKey = null, tournamentStatusParams = null;
+  engine.on('reset', ()=>{ tournamentTurn = null; });
+
+  function setTournamentStatus(key, params){
+    tournamentStatusKey = key; tournamentStatusParams = params;
+    tournamentStatus.textContent = key ? t(key, params) : '';
+  }
+  function showTournament(show){
+    tournamentPanel.hidden = !show;
+    tournamentBtn.setAttribute('aria-expanded', String(show));
+    if(show) renderTournament();
+  }
+  function renderTournament(){
+    tournamentSetup.hidden = !!tournament;
+    tournamentPlay.hidden = !tournament;
+    if(!tournament){ setTournamentStatus(tournamentStatusKey, tournamentStatusParams); return; }
+    const name = (player) => tournament.players[player];
+    const progress = RippleTournament.progress(tournament);
+    tournamentStatus.textContent = t('tournament.progress', { played: progress.played, total: progress.total })
+      + ' • ' + t(tournament.format === 'bracket' ? 'tournament.bracket' : 'tournament.roundRobin');
+    const turn = RippleTournament.nextTurn(tournament);
+    tournamentTurnBtn.hidden = !turn;
+    tournamentTurnBtn.disabled = state.running;
+    if(turn){
+      tournamentNext.textContent = t('tournament.next', { player: name(turn.player), opponent: name(turn.opponent) });
+      tournamentTurnBtn.textContent = t('tournament.playTurn', { player: name(turn.player) });
+    } else {
+      tournamentNext.textContent = t('tournament.finished');
+    }
+    tournamentEnd.textContent = t(tournament.finished ? 'tournament.new' : 'tournament.end');
+
+    tournamentTable.textContent = '';
+    RippleTournament.standings(tournament).forEach((row, i) => {
+      const tr = document.createElement('tr');
+      [i + 1, row.name, row.played, `${row.wins}-${row.draws}-${row.losses}`, row.points, row.score].forEach(value => {
+        const td = document.createElement('td'); td.textContent = value; tr.appendChild(td);
+      });
+      tournamentTable.appendChild(tr);
+    });
+
+    const podium = RippleTournament.podium(tournament);
+    tournamentPodium.hidden = !podium.length;
+    tournamentPodium.textContent = '';
+    podium.forEach((row, i) => {
+      const item = document.createElement('li');
+      item.className = 'podium-place place-' + (i + 1);
+      item.textContent = `${['🥇', '🥈', '🥉'][i]} ${row.name} • ${pointsText(row.score)}`;
+      tournamentPodium.appendChild(item);
+    });
+    renderTournamentClaim(podium[0]);
+  }
+  function renderTournamentClaim(winner){
+    tournamentClaim.hidden = !winner;
+    if(!winner) return;
+    const config = window.RippleCampusConfig || {};
+    const claim = t('tournament.claim', { player: winner.name, coins: coinsText(winnerCoins(winner)) });
+    if(!winner.coins) tournamentClaim.textContent = t('tournament.noCoins', { player: winner.name });
+    else if(tournament.claimCode === false) tournamentClaim.textContent = claim + ' ' + t('claim.unavailable') + '. ' + t(config.claimEndpoint ? 'claim.failed' : 'claim.notSetUp');
+    else if(tournament.claimCode) tournamentClaim.textContent = claim + ' ' + tournament.claimCode + ' • ' + t('claim.valid', { count: config.claimValidDays || 14 });
+    else tournamentClaim.textContent = claim;
+  }
+  // A whole tournament can earn more than one code may carry; the kiosk refuses anything above claimMaxCoins
+  function winnerCoins(winner){
+    return Math.min(winner.coins, (window.RippleCampusConfig || {}).claimMaxCoins || RippleClaims.MAX_COINS);
+  }
+  // One code per tournament, kept with it so reopening the podium shows the same code.
+  // false records that it could not be issued (no claim server, or it could not be reached).
+  async function issueWinnerClaim(){
+    const winner = RippleTournament.podium(tournament)[0];
+    if(!winner || !winner.coins || tournament.claimCode !== null) return;
+    const current = tournament, coins = winnerCoins(winner);
+    try{
+      current.claimCode = await RippleClaims.requestClaimCode({ coins, endpoint: (window.RippleCampusConfig || {}).claimEndpoint });
+      analytics.track('claim_generated', { source: 'tournament', coins });
+      emitApi('claim', { source: 'tournament', coins, code: current.claimCode, player: winner.name });
+    } catch(e){
+      console.error('Could not create claim code:', e);
+      current.claimCode = false;
+    }
+    tournamentStore.save(current);
+    if(current === tournament) renderTournament();
+  }
+
+  function startTournament(){
+    const { names, error } = RippleTournament.parsePlayers(tournamentPlayers.value);
+    if(error){ setTournamentStatus('tournament.error.' + error, { min: RippleTournament.MIN_PLAYERS, max: RippleTournament.MAX_PLAYERS }); return; }
+    let settings = null, preset = null;
+    if(customActive){
+      settings = renderCustomPreview();
+      if(!settings){ showCustomEditor(true); setTournamentStatus('custom.fixErrors'); return; }
+      preset = currentPresetName();
+    }
+    tournament = RippleTournament.createTournament({
+      players: names, format: tournamentFormat.value, difficulty: state.difficulty, mode: state.mode, preset,
+      settings: RippleEngine.resolveSettings(state.difficulty, settings)
+    });
+    tournamentStore.save(tournament);
+    setTournamentStatus(null);
+    renderTournament();
+  }
+  function playTournamentTurn(){
+    const turn = tournament && RippleTournament.nextTurn(tournament);
+    if(!turn || state.running) return;
+    const match = tournament.matches[turn.match];
+    // The engine plays the tournament's difficulty and mode, then goes back to the player's
+    markModeButtons(tournament.mode);
+    showTournament(false);
+    beginRound(()=>{
+      tournamentTurn = turn;
+      engine.start({ seed: match.seed, difficulty: tournament.difficulty, mode: tournament.mode, settings: tournament.settings, preset: tournament.preset, tournament: true });
+    }, 'controls.playing');
+  }
+  // Called from endRound; the round's claim is hidden because the tournament pays the winner instead
+  function recordTournamentTurn(summary){
+    RippleTournament.recordTurn(tournament, summary);
+    tournamentStore.save(tournament);
+    if(tournament.finished){
+      const winner = RippleTournament.podium(tournament)[0];
+      if(spoken()) announce(t('tournament.winner', { player: winner.name }));
+      issueWinnerClaim();
+    }
+    showTournament(true);
+  }
+  function endTournament(){
+    if(state.running) return;
+    if(!tournament.finished && !confirm(t('tournament.confirmEnd'))) return;
+    tournamentPlayers.value = tournament.players.join('\n');
+    tournament = null; tournamentTurn = null;
+    tournamentStore.clear();
+    renderTournament();
+  }
+  function drawTournamentBanner(){
+    ctx.save();
+    ctx.fillStyle = 'rgba(255,211,0,0.9)';
+    ctx.font = 'bold 12px Inter, Arial'; ctx.textAlign = 'right'; ctx.textBaseline = 'middle';
+    const label = t('canvas.tournamentTurn', { player: tournament.players[tournamentTurn.player] });
+    const w = ctx.measureText(label).width + 20;
+    ctx.fillRect(canvas._w - w - 10, 10, w, 26);
+    ctx.fillStyle = '#07263a'; ctx.fillText(label, canvas._w - 20, 23);
+    ctx.restore();
+  }
+  tournamentBtn.addEventListener('click', ()=>{ if(!state.running) showTournament(tournamentPanel.hidden); });
+  document.getElementById('tournamentStart').addEventListener('click', startTournament);
+  tournamentTurnBtn.addEventListener('click', playTournamentTurn);
+  tournamentEnd.addEventListener('click', endTournament);
+  engine.on('start', renderTournament);
+  engine.on('end', renderTournament);
+  // A finished tournament reloaded before its code was issued gets one now
+  if(tournament && tournament.finished) issueWinnerClaim();
+
+  // Gameplay analytics (analytics.js). Events are only recorded once the player turns on
+  // the consent toggle, and never for replays. They always queue on the device; the
+  // campus config can add a console log and an HTTP endpoint.
+  const analyticsConfig = window.RippleCampusConfig || {};
+  const analytics = RippleAnalytics.createAnalytics();
+  analytics.addSink(RippleAnalytics.queueSink());
+  if(analyticsConfig.analyticsConsole) analytics.addSink(RippleAnalytics.consoleSink());
+  if(analyticsConfig.analyticsEndpoint) analytics.addSink(RippleAnalytics.httpSink({ endpoint: analyticsConfig.analyticsEndpoint }));
+  const analyticsConsent = document.getElementById('analyticsConsent');
+  let roundMisses = 0;
+  const trackPlay = (type, data)=>{ if(!state.replaying) analytics.track(type, Object.assign({ time: Math.round(state.time * 10) / 10 }, data)); };
+  // reason: 'well', 'lives' or 'time' when the engine ends the round; 'quit' (reset) or 'left' (page closed) otherwise
+  function roundEndData(reason){
+    const summary = engine.summary();
+    return {
+      reason, completed: reason !== 'quit' && reason !== 'left',
+      score: summary.score, water: Math.round(summary.waterPercent), lives: summary.lives, wellBuilt: summary.wellBuilt,
+      bestStreak: summary.bestStreak, misses: roundMisses, pollutedTaps: summary.pollutedTaps, time: Math.round(state.time * 10) / 10
+    };
+  }
+  function trackRoundEnd(reason){ if(!state.replaying) analytics.track('round_end', roundEndData(reason)); }
+  engine.on('start', ({ replay, resumed })=>{
+    roundMisses = 0;
+    // A resumed round was already counted when it first started
+    if(!replay && !resumed) analytics.track('round_start', {
+      difficulty: state.difficulty, mode: state.mode, level: state.level,
+      preset: !!state.preset, daily: !!state.daily, tournament: !!tournamentTurn
+    });
+  });
+  engine.on('collect', ({ drop: d, caught })=> trackPlay('drop_tapped', { drop: d.type, caught, streak: state.streak }));
+  engine.on('powerup', ({ drop: d, caught })=> trackPlay('drop_tapped', { drop: d.type, caught, streak: state.streak }));
+  engine.on('pollute', ({ drop: d, caught })=> trackPlay('polluted_hit', { drop: d.type, caught, lives: state.lives }));
+  engine.on('miss', ({ drop: d })=>{ roundMisses += 1; trackPlay('drop_missed', { drop: d.type, polluted: !!d.polluted }); });
+  engine.on('end', (summary)=>{ if(!summary.replay) trackRoundEnd(summary.wellBuilt ? 'well' : (summary.lives <= 0 ? 'lives' : 'time')); });
+  // Closing the tab mid-round is where players quit (see the pagehide listener under saved rounds)
+  document.addEventListener('visibilitychange', ()=>{ if(document.hidden) analytics.flush(); });
+  if(analyticsConsent){
+    analyticsConsent.checked = analytics.hasConsent();
+    analyticsConsent.addEventListener('change', ()=> analytics.setConsent(analyticsConsent.checked));
+  }
+
+  // Saved rounds (round-save.js). A round is saved to sessionStorage whenever the page is
+  // hidden, and dropped once it is back on screen, ends or is reset, so only a round the
+  // page lost (a reload, a discarded tab) is offered again.
+  const roundSaves = RippleRoundSave.createRoundSaveStore();
+  const resumePrompt = document.getElementById('resumePrompt');
+  const resumeDetails = document.getElementById('resumeDetails');
+  const resumeYes = document.getElementById('resumeYes');
+  let pendingResume = null;     // { round, savedAt } offered by the prompt
+  let resumeExpired = false;    // Resume was pressed but the save could no longer be used
+  // The save carries the round's 'left' round_end, sent only if the save is thrown away;
+  // a resumed round is counted once, when it really ends
+  function saveRound(){
+    const snapshot = engine.snapshot();
+    if(!snapshot) return false;
+    roundSaves.save({ engine: snapshot, badges: roundBadges.map(b => b.id), badgeCoins: roundBadgeCoins, misses: roundMisses, turn: tournamentTurn, left: roundEndData('left') });
+    return true;
+  }
+  function discardSavedRound(saved){
+    if(saved && saved.round && saved.round.left) analytics.track('round_end', saved.round.left);
+  }
+  document.addEventListener('visibilitychange', ()=>{
+    if(document.hidden) saveRound();
+    else if(state.running) roundSaves.clear();
+  });
+  // Send what is buffered while the page can still POST
+  window.addEventListener('pagehide', ()=>{
+    if(!saveRound() && state.running) trackRoundEnd('left');
+    analytics.flush();
+  });
+  engine.on('start', ({ resumed })=>{
+    if(resumed) return;
+    discardSavedRound(pendingResume);
+    roundSaves.clear(); showResumePrompt(null);
+  });
+  engine.on('end', ()=> roundSaves.clear());
+  engine.on('reset', ()=> roundSaves.clear());
+
+  function showResumePrompt(saved){
+    pendingResume = saved; resumeExpired = false;
+    renderResumePrompt();
+  }
+  function renderResumePrompt(){
+    if(!resumePrompt) return;
+    const open = !!pendingResume || resumeExpired;
+    resumePrompt.classList.toggle('show', open);
+    resumePrompt.setAttribute('aria-hidden', String(!open));
+    resumeYes.hidden = resumeExpired;
+    if(resumeExpired){ resumeDetails.textContent = t('resume.expired'); return; }
+    if(!pendingResume) return;
+    const saved = pendingResume.round.engine.state;
+    resumeDetails.textContent = t('resume.details', {
+      score: pointsText(saved.score), seconds: secondsText(Math.ceil(saved.timeLeft)), difficulty: t('difficulty.' + saved.difficulty)
+    });
+  }
+  function resumeSavedRound(){
+    const saved = roundSaves.take();
+    const round = saved && saved.round;
+    let usable = !!round && !state.running && !RippleEngine.validateSnapshot(round.engine);
+    // A tournament turn only counts while the tournament is still waiting for it
+    const turn = usable ? round.turn : null;
+    if(turn){
+      const next = tournament && RippleTournament.nextTurn(tournament);
+      usable = !!next && next.match === turn.match && next.slot === turn.slot;
+    }
+    if(!usable){ discardSavedRound(saved); pendingResume = null; resumeExpired = true; renderResumePrompt(); return; }
+    showResumePrompt(null);
+    // A round with its own difficulty and mode (daily, tournament) gives the player's back when it ends
+    if(round.engine.chosen) markModeButtons(round.engine.state.mode);
+    else {
+      selectMode(round.engine.state.mode);
+      if(!round.engine.state.overrides) setDifficultyByName(round.engine.state.difficulty);
+    }
+    beginRound(()=>{
+      tournamentTurn = turn;
+      engine.restore(round.engine);
+      roundBadges = (round.badges || []).map(RippleAchievements.getBadge).filter(Boolean);
+      roundBadgeCoins = round.badgeCoins || 0;
+      roundMisses = round.misses || 0;
+    }, 'controls.playing');
+  }
+  if(resumePrompt){
+    resumeYes.addEventListener('click', resumeSavedRound);
+    document.getElementById('resumeNo').addEventListener('click', ()=>{ discardSavedRound(pendingResume); roundSaves.clear(); showResumePrompt(null); });
+    showResumePrompt(roundSaves.load());
+  }
+
+  // Replays: watch the last round again, or save/load it as a small JSON file
+  let lastRecording = null;
+  replayBtn.addEventListener('click', ()=>{ if(lastRecording) startReplay(lastRecording); });
+  exportReplayBtn.addEventListener('click', ()=>{
+    if(!lastRecording) return;
+    const blob = new Blob([JSON.stringify(lastRecording)], { type: 'application/json' });
+    downloadFile(blob, 'ripple-replay-' + lastRecording.seed.toString(36) + '.json');
+  });
+  function downloadFile(blob, name){
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    document.body.appendChild(a); a.click(); document.body.removeChild(a);
+    setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+  }
+  loadReplayBtn.addEventListener('click', ()=>{ if(!state.running) importReplay.click(); });
+  importReplay.addEventListener('change', ()=>{
+    const file = importReplay.files && importReplay.files[0];
+    importReplay.value = '';
+    if(!file) return;
+    const reader = new FileReader();
+    reader.onload = ()=>{
+      let recording = null;
+      try{ recording = JSON.parse(reader.result); } catch(e){}
+      const error = recording ? RippleEngine.validateRecording(recording) : 'not valid JSON';
+      if(error){ alert(t('replay.loadError', { error })); return; }
+      lastRecording = recording;
+      startReplay(recording);
+    };
+    reader.readAsText(file);
+  });
+
+  // Scorecard: the round's result as a 1200×630 PNG, the size link previews use (og-image.png).
+  // It is drawn when the results show, because iOS only allows navigator.share() straight
+  // from the tap, with no waiting on toBlob() in between.
+  const SCORECARD = { width: 1200, height: 630, scale: 3.5 };
+  let scorecardFile = null, scorecardToken = 0;
+  function drawScorecard(c, card){
+    const w = SCORECARD.width, h = SCORECARD.height;
+    paintSky(c, w, h);
+    c.fillStyle = '#ffd300'; c.fillRect(0, 0, w, 16);
+    // The can at SCORECARD.scale times its size in the game, filled to the round's water level
+    const rect = { canW: RippleEngine.CAN.width, canH: RippleEngine.CAN.height, canX: 0, canY: 0 };
+    c.save();
+    c.translate(w - 80 - rect.canW * SCORECARD.scale, (h - rect.canH * SCORECARD.scale) / 2 + 40);
+    c.scale(SCORECARD.scale, SCORECARD.scale);
+    drawJerryCan(c, rect); drawWaterLevel(c, rect, card.waterPercent);
+    c.restore();
+    c.fillStyle = '#07263a'; c.textAlign = 'left'; c.textBaseline = 'alphabetic';
+    c.font = 'bold 40px Inter, Arial'; c.fillText(t('share.title'), 80, 110);
+    c.font = 'bold 88px Inter, Arial'; c.fillText(pointsText(card.score), 80, 230);
+    c.font = '34px Inter, Arial';
+    card.lines.forEach((line, i)=> c.fillText(line, 80, 310 + i * 52));
+    c.fillStyle = '#1ea7ea'; c.font = 'bold 30px Inter, Arial'; c.fillText('charity: water', 80, h - 56);
+  }
+  function prepareScorecard(){
+    const token = ++scorecardToken;
+    scorecardFile = null;
+    if(!lastResults || typeof File === 'undefined') return;
+    const { summary } = lastResults;
+    const lines = [
+      t('scorecard.difficulty', { difficulty: t('difficulty.' + summary.difficulty) }),
+      t('scorecard.water', { water: Math.round(summary.waterPercent) })
+    ];
+    // Replays and tournament turns pay no coins of their own
+    if(!claimBtn.hidden) lines.push(t('scorecard.coins', { coins: coinsText(canvas._lastCoins || 0) }));
+    const card = document.createElement('canvas');
+    card.width = SCORECARD.width; card.height = SCORECARD.height;
+    const c = card.getContext('2d');
+    if(!c || !card.toBlob) return;
+    try{ drawScorecard(c, { score: summary.score, waterPercent: summary.waterPercent, lines }); }
+    catch(e){ console.warn('Could not draw the scorecard:', e); return; }
+    card.toBlob((blob)=>{
+      if(blob && token === scorecardToken) scorecardFile = new File([blob], 'ripple-effect-score-' + summary.score + '.png', { type: 'image/png' });
+    }, 'image/png');
   }
 
   // results actions
   claimBtn.addEventListener('click', openModal);
   document.getElementById('shareBtn').addEventListener('click', ()=>{
-    const shareText = `I just scored ${score} points in Ripple Effect! 🌊 Playing games for clean water access. #RippleEffect #CharityWater`;
-    if (navigator.share) {
-      navigator.share({ title: 'Ripple Effect Game', text: shareText, url: window.location.href });
+    const score = lastResults ? lastResults.summary.score : state.score;
+    const shareText = t('share.text', { points: pointsText(score) });
+    const file = scorecardFile;
+    const canShareFile = !!file && !!navigator.canShare && navigator.canShare({ files: [file] });
+    // Share the card if the browser takes files, else the text and link; download the card only when neither works
+    const method = canShareFile ? 'file' : navigator.share ? 'share' : file ? 'download' : (navigator.clipboard ? 'clipboard' : 'text');
+    analytics.track('share_clicked', { method, score });
+    const fallback = (e)=>{ if(e.name !== 'AbortError' && file) downloadFile(file, file.name); };
+    if (canShareFile) {
+      navigator.share({ files: [file], title: t('share.title'), text: shareText + ' ' + window.location.href }).catch(fallback);
+    } else if (navigator.share) {
+      navigator.share({ title: t('share.title'), text: shareText, url: window.location.href }).catch(fallback);
+    } else if (file) {
+      downloadFile(file, file.name);
     } else if (navigator.clipboard) {
       navigator.clipboard.writeText(shareText + ' ' + window.location.href);
-      alert('Score shared to clipboard!');
+      alert(t('share.copied'));
     } else {
       alert(shareText);
     }
   });
   closeModal.addEventListener('click', ()=> closeModalFn());
   document.getElementById('closeClaim').addEventListener('click', ()=> closeModalFn());
-  confirmClaim.addEventListener('click', ()=>{
-    const code = 'RW-' + Math.random().toString(36).slice(2,7).toUpperCase() + '-25';
-    claimCode.textContent = code; claimCodeArea.style.display = 'block';
+  // Claim codes signed by the campus claim server (claim-codes.js); one code per round so it can't be reissued for the same coins
+  let roundClaimCode = null;
+  engine.on('start', ()=>{ roundClaimCode = null; });
+  confirmClaim.addEventListener('click', async ()=>{
+    const config = window.RippleCampusConfig || {};
+    const coins = canvas._lastCoins || 0;
+    confirmClaim.disabled = true;
+    try{
+      if(!roundClaimCode){
+        roundClaimCode = await RippleClaims.requestClaimCode({ coins, endpoint: config.claimEndpoint });
+        analytics.track('claim_generated', { source: 'round', coins });
+        emitApi('claim', { source: 'round', coins, code: roundClaimCode });
+      }
+      claimCode.textContent = roundClaimCode;
+      claimExpiry.textContent = t('claim.valid', { count: config.claimValidDays || 14 });
+    } catch(e){
+      console.error('Could not create claim code:', e);
+      claimCode.textContent = t('claim.unavailable');
+      claimExpiry.textContent = t(config.claimEndpoint ? 'claim.failed' : 'claim.notSetUp');
+    }
+    claimCodeArea.style.display = 'block';
+    confirmClaim.disabled = !coins;
   });
 
   // Modal focus management
@@ -620,6 +1594,7 @@
   function openModal(){
     lastFocusedEl = document.activeElement; modal.style.display = 'flex'; modal.setAttribute('aria-hidden','false');
     claimCodeArea.style.display = 'none'; claimCode.textContent = '';
+    confirmClaim.disabled = !canvas._lastCoins;
     modalKeyHandler = (e)=> trapFocus(e); modal.addEventListener('keydown', modalKeyHandler);
     confirmClaim.focus();
   }
@@ -715,53 +1690,410 @@
     ctx.shadowColor = 'rgba(7,38,58,0.2)'; ctx.shadowBlur = 4; ctx.shadowOffsetY = 2;
     ctx.fillText('charity: water', centerX, centerY);
     ctx.shadowBlur = 0; ctx.shadowOffsetY = 0;
-    ctx.fillStyle = '#1ea7ea'; ctx.font = '16px Inter, sans-serif'; ctx.fillText('Ripple Effect Game', centerX, centerY + 40);
+    ctx.fillStyle = '#1ea7ea'; ctx.font = '16px Inter, sans-serif'; ctx.fillText(t('welcome.subtitle'), centerX, centerY + 40);
     drawWaterDropIcon(centerX, centerY - 60);
-    ctx.fillStyle = '#6b7b85'; ctx.font = '14px Inter, sans-serif'; ctx.fillText('Click "Start Round" to begin playing', centerX, centerY + 80);
+    ctx.fillStyle = '#6b7b85'; ctx.font = '14px Inter, sans-serif'; ctx.fillText(t('welcome.start'), centerX, centerY + 80);
+    if(state.mode === 'catch') ctx.fillText(t('welcome.catch'), centerX, centerY + 102);
+    if(state.mode === 'lanes') ctx.fillText(t('welcome.lanes', { count: RippleEngine.LANES.count }), centerX, centerY + 102);
     drawMiniJerryCan();
     ctx.restore();
   }
 
-  function initializeGame(){
-    resetUI(); setupCanvas(); drawWelcomeScreen();
-    document.addEventListener('visibilitychange', ()=>{ if(document.hidden && running && !paused){ pauseGame(); } });
+  // Language switcher: re-translates the markup and everything drawn by game.js
+  function applyLocale(){
+    i18n.apply();
+    setStartLabel(startLabel);
+    if(pauseBtn) pauseBtn.textContent = t(state.paused ? 'controls.resume' : 'controls.pause');
+    updateFullscreenIcon(); renderSoundControls(); resetUI(); renderResults(); renderProfile(lastProfileEntry);
+    if(campaignStore) renderMap();
+    renderBadges(); renderDaily(); renderTournament(); renderResumePrompt();
+    renderPresetList(customPresets.value); renderCustomPreview(); setCustomStatus(customStatusKey, customStatusParams);
+    setClaimCoins(canvas._lastCoins || 0);
+    if(languageSelect) languageSelect.value = i18n.locale();
   }
-  
-  // Milestone checking
-  function checkMilestones(){
-    milestones.forEach(milestone => {
-      if (score >= milestone && !milestonesReached.includes(milestone)) {
-        milestonesReached.push(milestone);
-        showMilestoneNotification(`🎉 ${milestone} Points Milestone!`);
-  try{ sounds.milestone.currentTime = 0; sounds.milestone.play(); } catch(e){}
+  if(languageSelect){
+    i18n.available().forEach(locale => {
+      const option = document.createElement('option');
+      option.value = locale; option.textContent = RippleMessages[locale]['language.name'];
+      languageSelect.appendChild(option);
+    });
+    languageSelect.addEventListener('change', ()=> i18n.setLocale(languageSelect.value));
+  }
+  const displayPalette = document.getElementById('displayPalette');
+  const displayContrast = document.getElementById('displayContrast');
+  const displayPatterns = document.getElementById('displayPatterns');
+  const displayFps = document.getElementById('displayFps');
+  function renderDisplaySettings(){
+    const current = display.get();
+    if(displayPalette) displayPalette.value = current.palette;
+    if(displayContrast) displayContrast.value = current.contrast;
+    if(displayPatterns) displayPatterns.checked = current.patterns;
+    if(displayFps) displayFps.checked = current.fps;
+    document.body.classList.toggle('high-contrast', look.contrast);
+  }
+  if(displayPalette){
+    displayPalette.addEventListener('change', ()=> display.set({ palette: displayPalette.value }));
+    displayContrast.addEventListener('change', ()=> display.set({ contrast: displayContrast.value }));
+    displayPatterns.addEventListener('change', ()=> display.set({ patterns: displayPatterns.checked }));
+    displayFps.addEventListener('change', ()=> display.set({ fps: displayFps.checked }));
+  }
+  display.onChange((next)=>{ look = next; sprites.clear(); renderDisplaySettings(); });
+  renderDisplaySettings();
+
+  i18n.onChange(()=>{
+    applyLocale(); loadFactDeck();
+    if(!state.running && !results.classList.contains('show')) drawWelcomeScreen();
+  });
+
+  // Offline support (sw.js). A new deploy installs in the background and the player
+  // picks when to reload into it, so a round is never cut off.
+  const updatePrompt = document.getElementById('updatePrompt');
+  let updateRequested = false;
+  function showUpdatePrompt(worker){
+    if(!updatePrompt) return;
+    updatePrompt.hidden = false;
+    document.getElementById('updateReload').onclick = ()=>{ updateRequested = true; worker.postMessage({ type: 'SKIP_WAITING' }); };
+    document.getElementById('updateLater').onclick = ()=>{ updatePrompt.hidden = true; };
+  }
+  function registerServiceWorker(){
+    if(!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.addEventListener('controllerchange', ()=>{ if(updateRequested) location.reload(); });
+    navigator.serviceWorker.register('sw.js').then(reg => {
+      // Only an update if a worker already controls the page; the first install needs no prompt
+      if(reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+      reg.addEventListener('updatefound', ()=>{
+        const worker = reg.installing;
+        if(!worker) return;
+        worker.addEventListener('statechange', ()=>{ if(worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker); });
+      });
+      // Booth screens stay open for hours; look for a new build whenever the page is shown again
+      document.addEventListener('visibilitychange', ()=>{ if(!document.hidden) reg.update().catch(()=>{}); });
+    }).catch(e => console.warn('Service worker registration failed:', e));
+  }
+
+  // Music follows the round; the mute switch and volumes are saved by audio.js
+  engine.on('start', ()=>{ if(!demoPlaying) audio.startMusic(); });
+  engine.on('resume', ()=> audio.startMusic());
+  engine.on('pause', ()=> audio.stopMusic());
+  engine.on('reset', ()=> audio.stopMusic());
+  engine.on('end', (summary)=>{ audio.stopMusic(); if(!demoPlaying) audio.gameOver(summary.wellBuilt); });
+  const muteBtn = document.getElementById('muteBtn');
+  const volumeInputs = { master: 'volumeMaster', effects: 'volumeEffects', music: 'volumeMusic' };
+  function renderSoundControls(){
+    if(!muteBtn) return;
+    const muted = audio.isMuted();
+    muteBtn.textContent = muted ? '🔇' : '🔊';
+    muteBtn.setAttribute('aria-pressed', String(muted));
+    muteBtn.setAttribute('aria-label', t(muted ? 'audio.unmute' : 'audio.mute'));
+    muteBtn.title = t(muted ? 'audio.unmute' : 'audio.mute') + ' (M)';
+    Object.keys(volumeInputs).forEach(channel => {
+      const input = document.getElementById(volumeInputs[channel]);
+      if(input) input.value = Math.round(audio.volume(channel) * 100);
+    });
+  }
+  function toggleMute(){ audio.unlock(); audio.setMuted(!audio.isMuted()); renderSoundControls(); }
+  if(muteBtn){
+    muteBtn.addEventListener('click', toggleMute);
+    Object.keys(volumeInputs).forEach(channel => {
+      const input = document.getElementById(volumeInputs[channel]);
+      if(input) input.addEventListener('input', ()=> audio.setVolume(channel, input.value / 100));
+    });
+    document.addEventListener('keydown', (e)=>{
+      if((e.key === 'm' || e.key === 'M') && !(e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName))) toggleMute();
+    });
+  }
+
+  // Public API: window.RippleEffect lets a campus or club page drive the game and follow it.
+  // In an iframe the same API is reached over postMessage (embed.js).
+  const API_EVENTS = ['roundStart', 'roundEnd', 'pause', 'resume', 'milestone', 'claim'];
+  const apiListeners = {};
+  let claimCallbackOff = null;
+  function emitApi(name, data){
+    (apiListeners[name] || []).slice().forEach(fn => {
+      try{ fn(data); } catch(e){ console.error('RippleEffect "' + name + '" handler error:', e); }
+    });
+  }
+  engine.on('start', ({ replay, resumed })=>{
+    if(!replay) emitApi('roundStart', { difficulty: state.difficulty, mode: state.mode, level: state.level, daily: state.daily, preset: state.preset, tournament: !!tournamentTurn, resumed: !!resumed });
+  });
+  engine.on('end', (summary)=>{ if(!summary.replay) emitApi('roundEnd', Object.assign({}, summary)); });
+  engine.on('pause', ()=> emitApi('pause', {}));
+  engine.on('resume', ()=> emitApi('resume', {}));
+
+  // Theme colours map onto the stylesheet's custom properties; anything that isn't a colour is ignored
+  const THEME_VARS = { accent: '--cw-yellow', primary: '--cw-blue', text: '--cw-dark', background: '--bg' };
+  const isColor = (value)=> typeof value === 'string' && (window.CSS && CSS.supports ? CSS.supports('color', value) : /^#[0-9a-f]{3,8}$/i.test(value));
+  function applyTheme(theme){
+    const applied = [];
+    Object.keys(THEME_VARS).forEach(key => {
+      if(!theme || !isColor(theme[key])) return;
+      document.documentElement.style.setProperty(THEME_VARS[key], theme[key]);
+      applied.push(key);
+    });
+    return applied;
+  }
+  function setDifficultyByName(name){
+    const btn = RippleEngine.difficultySettings[name] && document.querySelector(`.btn-difficulty[data-difficulty="${name}"]`);
+    if(!btn) throw new Error('Unknown difficulty: ' + name);
+    selectDifficultyButton(btn);
+    showCustomEditor(false);
+    engine.setDifficulty(name);
+    return name;
+  }
+
+  const api = {
+    version: 1,
+    events: API_EVENTS.slice(),
+    // options: { difficulty, mode }. Returns false if a round is already running.
+    start(options = {}){
+      if(state.running) return false;
+      if(options.difficulty) setDifficultyByName(options.difficulty);
+      if(options.mode){
+        if(!RippleEngine.MODES.includes(options.mode)) throw new Error('Unknown mode: ' + options.mode);
+        selectMode(options.mode);
+      }
+      startRound();
+      return state.running;
+    },
+    pause(){ pauseGame(); return state.paused; },
+    resume(){ resumeGame(); return !state.paused; },
+    reset(){ resetGame(); return true; },
+    setDifficulty(name){ return setDifficultyByName(name); },
+    // options: { theme: { accent, primary, text, background }, difficulty, onClaim(claim) }
+    configure(options = {}){
+      const result = {};
+      if(options.theme) result.theme = applyTheme(options.theme);
+      if(options.difficulty) result.difficulty = setDifficultyByName(options.difficulty);
+      if(typeof options.onClaim === 'function'){
+        if(claimCallbackOff) claimCallbackOff();
+        claimCallbackOff = api.on('claim', options.onClaim);
       }
+      return result;
+    },
+    // Returns a function that removes the handler
+    on(name, fn){
+      if(!API_EVENTS.includes(name)) throw new Error('Unknown event: ' + name);
+      (apiListeners[name] = apiListeners[name] || []).push(fn);
+      return ()=> api.off(name, fn);
+    },
+    off(name, fn){
+      const list = apiListeners[name] || [];
+      const i = list.indexOf(fn);
+      if(i >= 0) list.splice(i, 1);
+    },
+    state: ()=> ({ running: state.running, paused: state.paused, score: state.score, difficulty: state.difficulty, mode: state.mode })
+  };
+  window.RippleEffect = Object.freeze(api);
+
+  // Embed mode (?embed=1): a compact layout without the site header and footer, answering
+  // allow-listed host pages over postMessage. ?difficulty= preselects a difficulty.
+  if(window.RippleEmbed && RippleEmbed.isEmbedRequest(location.search)){
+    document.body.classList.add('embedded');
+    const difficulty = new URLSearchParams(location.search).get('difficulty');
+    if(difficulty && RippleEngine.difficultySettings[difficulty]) setDifficultyByName(difficulty);
+    if(window.parent !== window){
+      RippleEmbed.createBridge({ api, origins: (window.RippleCampusConfig || {}).embedOrigins, host: window.parent, self: window });
+    }
+  }
+
+  // Kiosk mode (?kiosk=1, kiosk.js). Between players the screen runs an attract loop of
+  // demo rounds played by a bot; a screen left idle goes back to the welcome screen.
+  // Staff open the 🔒 panel with the PIN from campus-config.js to change the difficulty or leave.
+  const kioskAdmin = document.getElementById('kioskAdmin');
+  let kioskActivity = Date.now();
+  function drawDemoBanner(){
+    ctx.save();
+    ctx.fillStyle = 'rgba(7,38,58,0.75)';
+    ctx.fillRect(0, canvas._h / 2 - 22, canvas._w, 44);
+    ctx.fillStyle = '#ffd300'; ctx.font = 'bold 18px Inter, Arial'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    ctx.fillText(t('kiosk.demo'), canvas._w / 2, canvas._h / 2);
+    ctx.restore();
+  }
+  function startDemo(){
+    showBadges(false); showTournament(false);
+    const bot = RippleEngine.createEngine({ width: canvas._w, height: canvas._h, difficulty: state.difficulty, mode: state.mode });
+    let recording;
+    try{ recording = RippleKiosk.recordDemoRound(bot, { dt: RippleEngine.FIXED_DT }); }
+    catch(e){ console.error('Could not record a demo round:', e); return; }
+    demoPlaying = true;
+    startReplay(recording);
+  }
+  engine.on('reset', ()=>{ demoPlaying = false; });
+  // Anything a visitor does counts as activity and stops the demo. A tap on the game asks for
+  // fullscreen again, which browsers only allow from a gesture; the staff panel is left alone.
+  // A tap on the demo starts a real round.
+  function onKioskActivity(e){
+    kioskActivity = Date.now();
+    if(e.isTrusted && e.type === 'pointerdown' && e.target === canvas && kioskAdmin.hidden && !isFullscreen()) toggleFullscreen();
+    if(!demoPlaying) return;
+    resetGame();
+    // The round starts on this tap; it shouldn't also count as a tap in it
+    if(e.type === 'pointerdown' && e.target === canvas){ e.stopPropagation(); startRound(); }
+  }
+  function kioskTick(){
+    if(demoPlaying || (state.running && !state.paused)) return;   // rounds end by themselves
+    const idle = Date.now() - kioskActivity;
+    const config = window.RippleCampusConfig || {};
+    const welcome = !state.running && !results.classList.contains('show') && modal.getAttribute('aria-hidden') !== 'false' && kioskAdmin.hidden;
+    if(welcome){ if(idle >= (config.kioskAttractSeconds || 20) * 1000) startDemo(); return; }
+    if(idle < (config.kioskIdleSeconds || 60) * 1000) return;
+    // Left mid-way: the results, a paused round or an open dialog go back to the welcome screen
+    closeModalFn(); showKioskAdmin(false); showMap(false); showBadges(false); showTournament(false);
+    resetGame();
+    kioskActivity = Date.now();
+  }
+
+  // Staff panel
+  const kioskPin = document.getElementById('kioskPin');
+  const kioskStatus = document.getElementById('kioskStatus');
+  const kioskDifficulty = document.getElementById('kioskDifficulty');
+  const kioskStore = RippleKiosk.createKioskStore();
+  const pinGate = RippleKiosk.createPinGate({ pin: (window.RippleCampusConfig || {}).kioskPin });
+  function showKioskAdmin(show){
+    kioskAdmin.hidden = !show;
+    document.getElementById('kioskAdminBtn').setAttribute('aria-expanded', String(show));
+    document.getElementById('kioskLogin').hidden = false;
+    document.getElementById('kioskSettings').hidden = true;
+    kioskPin.value = ''; kioskStatus.textContent = '';
+    if(show) kioskPin.focus();
+  }
+  function unlockKiosk(){
+    const result = pinGate.check(kioskPin.value);
+    kioskPin.value = '';
+    if(result === 'locked'){ kioskStatus.textContent = t('kiosk.locked', { seconds: secondsText(Math.ceil(pinGate.lockedFor() / 1000)) }); return; }
+    if(result === 'wrong'){ kioskStatus.textContent = t('kiosk.wrongPin'); return; }
+    kioskStatus.textContent = '';
+    document.getElementById('kioskLogin').hidden = true;
+    document.getElementById('kioskSettings').hidden = false;
+    kioskDifficulty.value = state.difficulty;
+    kioskDifficulty.focus();
+  }
+  function exitKiosk(){
+    const url = new URL(location.href);
+    url.searchParams.delete(RippleKiosk.URL_PARAM);
+    location.replace(url.toString());
+  }
+  function setupKiosk(){
+    document.body.classList.add('kiosk-mode');
+    document.getElementById('kioskAdminBtn').hidden = false;
+    const saved = kioskStore.load().difficulty;
+    if(saved && RippleEngine.difficultySettings[saved]) setDifficultyByName(saved);
+    ['pointerdown', 'keydown', 'wheel'].forEach(type => document.addEventListener(type, onKioskActivity, true));
+    document.getElementById('kioskAdminBtn').addEventListener('click', ()=> showKioskAdmin(kioskAdmin.hidden));
+    document.getElementById('kioskUnlock').addEventListener('click', unlockKiosk);
+    kioskPin.addEventListener('keydown', (e)=>{ if(e.key === 'Enter'){ e.preventDefault(); unlockKiosk(); } });
+    kioskDifficulty.addEventListener('change', ()=>{
+      if(state.running) resetGame();
+      kioskStore.save({ difficulty: setDifficultyByName(kioskDifficulty.value) });
+      drawWelcomeScreen();
     });
+    document.getElementById('kioskExit').addEventListener('click', exitKiosk);
+    document.getElementById('kioskClose').addEventListener('click', ()=> showKioskAdmin(false));
+    setInterval(kioskTick, 1000);
   }
-  
-  function showMilestoneNotification(message){
-    const notification = document.getElementById('milestoneNotification');
-    if (!notification) return;
-    notification.textContent = message;
-    notification.classList.add('show');
-    setTimeout(() => notification.classList.remove('show'), 3000);
+  if(kioskMode) setupKiosk();
+
+  function initializeGame(){
+    applyLocale(); setupCanvas(); drawWelcomeScreen(); registerServiceWorker();
+    document.addEventListener('visibilitychange', ()=>{ if(document.hidden && state.running && !state.paused){ pauseGame(); } });
   }
   
+  // Catcher mode: hold the arrow keys (or A/D) to move the can
+  const steerKeys = { ArrowLeft: -1, a: -1, A: -1, ArrowRight: 1, d: 1, D: 1 };
+  document.addEventListener('keydown', (e)=>{
+    if(state.mode !== 'catch' || !state.running || !(e.key in steerKeys)) return;
+    if(e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+    e.preventDefault(); engine.steerCan(steerKeys[e.key]);
+  });
+  document.addEventListener('keyup', (e)=>{
+    if(!(e.key in steerKeys) || state.canSteer !== steerKeys[e.key]) return;
+    engine.steerCan(0);
+  });
+  window.addEventListener('blur', ()=> engine.steerCan(0));
+
+  // Lanes mode: number keys collect the lowest drop in their lane
+  document.addEventListener('keydown', (e)=>{
+    if(state.mode !== 'lanes' || !state.running || state.paused || e.repeat) return;
+    if(e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+    const lane = /^[1-9]$/.test(e.key) ? Number(e.key) - 1 : -1;
+    if(lane < 0 || lane >= RippleEngine.LANES.count) return;
+    e.preventDefault();
+    if(!engine.tapLane(lane)) announce(t('sr.laneEmpty', { lane: lane + 1 }));
+  });
+
+  // Screen-reader announcements. Drops, hits and misses are spoken in lanes mode, where
+  // they are how the round is played; start, pause and the final result are spoken in every mode.
+  const announcer = document.getElementById('announcer');
+  function announce(message){
+    if(!announcer) return;
+    const line = document.createElement('p'); line.textContent = message;
+    announcer.appendChild(line);
+    while(announcer.childNodes.length > 6) announcer.removeChild(announcer.firstChild);
+  }
+  const spoken = () => state.mode === 'lanes' && !state.replaying;
+  const dropName = (d) => dropText(RippleDropTypes.get(d.type), 'name');
+  let lastWarning = 0;
+  // The kiosk's demo rounds play to an empty room, so they are not announced
+  engine.on('start', ({ mode, replay })=>{
+    lastWarning = 0;
+    if(announcer) announcer.textContent = '';
+    if(demoPlaying) return;
+    if(replay) announce(t('sr.replayStarted'));
+    else if(mode === 'lanes') announce(t('sr.roundStartedLanes', { seconds: secondsText(Math.ceil(state.timeLeft)), count: RippleEngine.LANES.count }));
+    else announce(t('sr.roundStarted'));
+  });
+  engine.on('spawn', ({ drop: d })=>{ if(spoken()) announce(t('sr.spawn', { drop: dropName(d), lane: d.lane + 1 })); });
+  engine.on('collect', ()=>{ if(spoken()) announce(t('sr.collect', { score: state.score, water: Math.round(state.waterPercent) })); });
+  engine.on('pollute', ()=>{ if(spoken()) announce(t('sr.pollute', { lives: livesText(state.lives) })); });
+  engine.on('powerup', ({ type })=>{ if(spoken()) announce(dropText(type, 'label') || dropText(type, 'name')); });
+  engine.on('miss', ({ drop: d })=>{ if(spoken() && d.type === 'clean') announce(t('sr.miss', { lane: d.lane + 1 })); });
+  engine.on('change', ()=>{
+    if(!state.running || !spoken()) return;
+    const left = Math.ceil(state.timeLeft);
+    if((left === 10 || left === 5) && left !== lastWarning){ lastWarning = left; announce(t('sr.timeLeft', { seconds: secondsText(left) })); }
+  });
+  engine.on('pause', ()=>{ if(!demoPlaying) announce(t('sr.paused')); });
+  engine.on('resume', ()=>{ if(!demoPlaying) announce(t('sr.resumed')); });
+  engine.on('end', (summary)=>{
+    if(demoPlaying) return;
+    const outcome = t(summary.wellBuilt ? 'sr.wellBuilt' : 'sr.roundOver');
+    announce(t('sr.end', { outcome, score: summary.score, water: Math.round(summary.waterPercent), lives: livesText(summary.lives) }));
+    // Move keyboard players to the results so the next step is reachable without a pointer
+    if(summary.mode === 'lanes' && !summary.replay) resultsTitle.focus();
+  });
+
+  // Mode selector handlers
+  function selectMode(mode){
+    markModeButtons(mode);
+    engine.setMode(mode);
+  }
+  function markModeButtons(mode){
+    document.querySelectorAll('.btn-mode').forEach(b => {
+      const active = b.dataset.mode === mode;
+      b.classList.toggle('active', active); b.setAttribute('aria-pressed', String(active));
+    });
+  }
+  // A daily challenge plays its own mode; the buttons show the player's again once it is over
+  engine.on('change', ()=>{ if(!state.running) markModeButtons(state.mode); });
+  document.querySelectorAll('.btn-mode').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (state.running) return;
+      selectMode(btn.dataset.mode);
+      if (!results.classList.contains('show')) drawWelcomeScreen();
+    });
+  });
+
   // Difficulty selector handlers
   document.querySelectorAll('.btn-difficulty').forEach(btn => {
     btn.addEventListener('click', () => {
-      document.querySelectorAll('.btn-difficulty').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      currentDifficulty = btn.dataset.difficulty;
-      if (!running) {
-        const settings = difficultySettings[currentDifficulty];
-        lives = settings.lives;
-        resetUI();
-      }
+      selectDifficultyButton(btn);
+      showCustomEditor(customActive);
+      if(!customActive) engine.setDifficulty(btn.dataset.difficulty);
     });
   });
 
   // Accessibility & hints
-  canvas.addEventListener('keydown', (e)=>{ if(e.key === ' ' || e.key === 'Enter') startRound(); });
+  canvas.addEventListener('keydown', (e)=>{ if((e.key === ' ' || e.key === 'Enter') && !state.running){ e.preventDefault(); startRound(); } });
   (function firstHint(){ const btn = document.getElementById('startBtn'); btn.classList.add('pulse'); setTimeout(()=> btn.classList.remove('pulse'), 2500); })();
 
   // Close modal with Escape
@@ -0,0 +1,104 @@
+/* ------------------------------
+   Localization
+   Looks messages up in per-locale catalogs (messages.js), fills in
+   {placeholders} and picks plural forms with Intl.PluralRules.
+   The chosen language is saved in localStorage; otherwise it is
+   detected from the browser.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleI18n = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.locale';
+  const DEFAULT_LOCALE = 'en';
+
+  // First supported locale in the browser's preference list, matching 'es-MX' to 'es'
+  function detectLocale(preferred, available){
+    for(const tag of preferred || []){
+      const lower = String(tag).toLowerCase();
+      const exact = available.find(l => l.toLowerCase() === lower);
+      if(exact) return exact;
+      const base = available.find(l => l.toLowerCase() === lower.split('-')[0]);
+      if(base) return base;
+    }
+    return available.includes(DEFAULT_LOCALE) ? DEFAULT_LOCALE : available[0];
+  }
+
+  /*
+    Messages are strings with {name} placeholders, or plural objects keyed by
+    Intl.PluralRules category and selected by params.count:
+      'units.coins': { one: '{count} Ripple Coin', other: '{count} Ripple Coins' }
+    Numbers passed as params are formatted for the locale.
+  */
+  function createI18n(options = {}){
+    const catalogs = options.catalogs || {};
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    const available = Object.keys(catalogs);
+    const listeners = [];
+    let locale = pickInitial();
+    let plurals = pluralRules(locale);
+    let numbers = numberFormat(locale);
+
+    function pickInitial(){
+      let saved = null;
+      try{ saved = storage ? storage.getItem(key) : null; }
+      catch(e){ console.warn('Could not read saved language:', e); }
+      if(saved && catalogs[saved]) return saved;
+      const nav = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+      return detectLocale(options.languages || nav, available);
+    }
+    function pluralRules(l){
+      try{ return new Intl.PluralRules(l); } catch(e){ return { select: (n) => n === 1 ? 'one' : 'other' }; }
+    }
+    function numberFormat(l){
+      try{ return new Intl.NumberFormat(l); } catch(e){ return { format: String }; }
+    }
+
+    function lookup(id){
+      if(catalogs[locale] && catalogs[locale][id] !== undefined) return catalogs[locale][id];
+      if(catalogs[DEFAULT_LOCALE] && catalogs[DEFAULT_LOCALE][id] !== undefined) return catalogs[DEFAULT_LOCALE][id];
+      return undefined;
+    }
+    function has(id){ return lookup(id) !== undefined; }
+    function t(id, params = {}){
+      let message = lookup(id);
+      if(message === undefined){ console.warn('Missing message:', id); return id; }
+      if(typeof message === 'object') message = message[plurals.select(Number(params.count) || 0)] || message.other;
+      return message.replace(/\{(\w+)\}/g, (m, name) => {
+        const value = params[name];
+        if(value === undefined) return m;
+        return typeof value === 'number' ? numbers.format(value) : String(value);
+      });
+    }
+
+    function setLocale(next){
+      if(!catalogs[next] || next === locale) return locale;
+      locale = next; plurals = pluralRules(locale); numbers = numberFormat(locale);
+      try{ if(storage) storage.setItem(key, locale); }
+      catch(e){ console.warn('Could not save language:', e); }
+      listeners.forEach(fn => { try{ fn(locale); } catch(e){ console.error('Locale listener error:', e); } });
+      return locale;
+    }
+    function onChange(fn){ listeners.push(fn); }
+
+    // Translates static markup: data-i18n="key" sets the text,
+    // data-i18n-attr="title:key;aria-label:key" sets attributes.
+    function apply(rootEl){
+      const scope = rootEl || document;
+      scope.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+      scope.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(';').forEach(pair => {
+          const [attr, id] = pair.split(':').map(s => s.trim());
+          if(attr && id) el.setAttribute(attr, t(id));
+        });
+      });
+      if(!rootEl && document.documentElement) document.documentElement.lang = locale;
+    }
+
+    return { t, has, apply, setLocale, onChange, locale: () => locale, available: () => available.slice() };
+  }
+
+  return { createI18n, detectLocale, DEFAULT_LOCALE };
+});
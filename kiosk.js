@@ -0,0 +1,109 @@
+/* ------------------------------
+   Kiosk mode
+   For unattended booth screens (?kiosk=1): a bot that plays the demo
+   rounds of the attract loop, the staff PIN, and the difficulty staff
+   picked. game.js does the rest: idle resets, fullscreen, and hiding
+   what a visitor shouldn't reach.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleKiosk = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const URL_PARAM = 'kiosk';
+  const STORAGE_KEY = 'rippleEffect.kiosk';
+  const SCHEMA_VERSION = 1;
+  const MAX_PIN_TRIES = 3;
+  const LOCKOUT_MS = 30000;
+
+  function isKioskRequest(search){
+    return new URLSearchParams(search || '').get(URL_PARAM) === '1';
+  }
+
+  // The bot's next drop: the lowest one on screen that is safe to go for
+  function pickTarget(state){
+    let best = null;
+    for(const d of state.drops){
+      if(d.polluted || d.y < d.size || d.y > state.height - 40) continue;
+      // Keys mode collects the lowest drop in a lane, so a polluted drop below this one rules the lane out
+      if(d.lane !== null && d.lane !== undefined && state.drops.some(o => o.lane === d.lane && o.polluted && o.y > d.y && o.y + o.size > 0)) continue;
+      if(!best || d.y > best.y) best = d;
+    }
+    return best;
+  }
+
+  /*
+    Plays a whole round as a bot in engine, a fresh createEngine() nothing else listens to,
+    and returns its recording for game.js to play back. The bot waits a human-like moment
+    between taps and now and then taps a little off, so it plays well but not perfectly.
+    options: { seed, dt (the engine's FIXED_DT), random, reaction: [min, max] seconds, missChance }
+  */
+  function recordDemoRound(engine, options = {}){
+    const random = options.random || Math.random;
+    const dt = options.dt || 1 / 60;
+    const reaction = options.reaction || [0.45, 1.0];
+    const missChance = options.missChance !== undefined ? options.missChance : 0.12;
+    const state = engine.state;
+    engine.start({ seed: options.seed });
+    let nextMove = 0;
+    for(let guard = 0; state.running && guard < 60 * 600; guard++){
+      const target = pickTarget(state);
+      if(state.mode === 'catch'){
+        // Steer under the target; steerCan only records changes of direction
+        const dx = target ? target.x - state.canX : 0;
+        engine.steerCan(Math.abs(dx) > 12 ? Math.sign(dx) : 0);
+      } else if(target && state.time >= nextMove){
+        if(state.mode === 'lanes') engine.tapLane(target.lane);
+        else {
+          const off = random() < missChance ? target.size * 3 : target.size * 0.4;
+          engine.tap(target.x + (random() - 0.5) * off, target.y + (random() - 0.5) * off);
+        }
+        nextMove = state.time + reaction[0] + random() * (reaction[1] - reaction[0]);
+      }
+      engine.step(dt);
+    }
+    return engine.getRecording();
+  }
+
+  // Staff PIN. After MAX_PIN_TRIES wrong PINs in a row it stops checking for LOCKOUT_MS.
+  // check() returns 'ok', 'wrong' or 'locked'; an empty PIN never unlocks.
+  function createPinGate(options){
+    const pin = String(options.pin == null ? '' : options.pin);
+    const now = options.now || Date.now;
+    let wrong = 0, lockedUntil = 0;
+    function lockedFor(){ return Math.max(0, lockedUntil - now()); }
+    function check(input){
+      if(lockedFor() > 0) return 'locked';
+      if(pin && String(input) === pin){ wrong = 0; return 'ok'; }
+      wrong += 1;
+      if(wrong >= MAX_PIN_TRIES){ wrong = 0; lockedUntil = now() + LOCKOUT_MS; }
+      return 'wrong';
+    }
+    return { check, lockedFor };
+  }
+
+  // Settings staff change from the admin panel: { difficulty }, or null for the game's default
+  function createKioskStore(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    function load(){
+      const data = { version: SCHEMA_VERSION, difficulty: null };
+      if(!storage) return data;
+      try{
+        const saved = JSON.parse(storage.getItem(key) || 'null');
+        if(saved && typeof saved.difficulty === 'string') data.difficulty = saved.difficulty;
+      } catch(e){ console.warn('Could not read kiosk settings:', e); }
+      return data;
+    }
+    function save(patch){
+      const data = Object.assign(load(), patch);
+      if(!storage) return data;
+      try{ storage.setItem(key, JSON.stringify(data)); }
+      catch(e){ console.warn('Could not save kiosk settings:', e); }
+      return data;
+    }
+    return { load, save };
+  }
+
+  return { isKioskRequest, recordDemoRound, pickTarget, createPinGate, createKioskStore, URL_PARAM, MAX_PIN_TRIES, LOCKOUT_MS };
+});
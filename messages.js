@@ -0,0 +1,861 @@
+/* ------------------------------
+   Message catalogs for i18n.js
+   One object per locale; keys missing from a locale fall back to English.
+   Plural messages are keyed by Intl.PluralRules category (one, other, ...).
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleMessages = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const en = {
+    'language.name': 'English',
+    'language.label': 'Language',
+
+    'header.tagline': 'Play to make a difference',
+    'header.mission': 'At charity: water, we believe everyone deserves access to clean, safe drinking water. Every project we fund brings health, opportunity, and hope to communities in developing countries.',
+
+    'hud.multiplierTitle': 'Streak multiplier: clean taps in a row raise it, polluted taps and missed drops reset it',
+    'hud.streak': '{count} in a row',
+    'hud.seconds': '{count}s',
+    'hud.fullscreen': 'Toggle fullscreen mode',
+    'hud.fullscreenTitle': 'Fullscreen (F)',
+    'hud.exitFullscreen': 'Exit fullscreen mode',
+    'hud.exitFullscreenTitle': 'Exit Fullscreen (F)',
+    'canvas.label': 'Ripple Effect game canvas',
+    'pause.hint': 'Press P to resume',
+    'kiosk.demo': 'Demo – tap to play!',
+    'kiosk.admin': 'Staff settings',
+    'kiosk.pin': 'Staff PIN',
+    'kiosk.unlock': 'Unlock',
+    'kiosk.wrongPin': 'Wrong PIN.',
+    'kiosk.locked': 'Too many tries. Try again in {seconds}.',
+    'kiosk.difficulty': 'Difficulty',
+    'kiosk.exit': 'Exit kiosk mode',
+    'kiosk.close': 'Close',
+    'resume.title': 'Resume your round?',
+    'resume.details': '{score} · {seconds} left · {difficulty}',
+    'resume.resume': 'Resume',
+    'resume.dismiss': 'No thanks',
+    'resume.expired': 'That round can no longer be resumed.',
+
+    'controls.difficulty': 'Difficulty:',
+    'controls.mode': 'Mode:',
+    'controls.start': 'Start',
+    'controls.startRound': 'Start Round',
+    'controls.playing': 'Playing...',
+    'controls.replaying': 'Replaying...',
+    'controls.pause': 'Pause',
+    'controls.resume': 'Resume',
+    'controls.reset': 'Reset',
+    'controls.villages': 'Villages',
+    'controls.loadReplay': 'Load Replay',
+    'controls.loadReplayTitle': 'Play back a saved round',
+    'difficulty.easy': 'Easy',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Hard',
+    'mode.tap': 'Tap',
+    'mode.tapTitle': 'Tap the falling drops',
+    'mode.catch': 'Catch',
+    'mode.catchTitle': 'Drag or use the arrow keys to catch drops in the jerry can',
+    'mode.lanes': 'Keys',
+    'mode.lanesTitle': "Keyboard and screen-reader mode: drops fall in numbered lanes, press the lane's number to collect",
+
+    'units.points': { one: '{count} point', other: '{count} points' },
+    'units.coins': { one: '{count} Ripple Coin', other: '{count} Ripple Coins' },
+    'units.rounds': { one: '{count} round', other: '{count} rounds' },
+    'units.lives': { one: '{count} life', other: '{count} lives' },
+    'units.seconds': { one: '{count} second', other: '{count} seconds' },
+
+    'welcome.subtitle': 'Ripple Effect Game',
+    'welcome.start': 'Click "Start Round" to begin playing',
+    'welcome.catch': 'Catch mode: drag or use ← → to catch drops in the can',
+    'welcome.lanes': 'Keys mode: press 1–{count} to collect the lowest drop in that lane',
+    'canvas.replay': '▶ REPLAY #{id}',
+    'canvas.slowMotion': 'Slow motion {seconds}s',
+    'canvas.villageBanner': '{village} • fill {target}%',
+
+    'drops.clean.name': 'Clean drop',
+    'drops.polluted.name': 'Polluted drop',
+    'drops.filter.name': 'Filter drop',
+    'drops.filter.label': 'Filter! Water cleaned',
+    'drops.golden.name': 'Golden drop',
+    'drops.golden.label': '+1 Ripple Coin',
+    'drops.slow.name': 'Slow-motion drop',
+    'drops.slow.label': 'Slow motion!',
+    'drops.heart.name': 'Heart drop',
+    'drops.heart.label': '+1 Life',
+
+    'map.title': 'Village Map',
+    'map.progress': '{count} of {total} wells built',
+    'map.builtBest': 'Well built • best {points}',
+    'map.goal': 'Goal: fill {target}% • {difficulty}',
+    'map.locked': '🔒 Locked',
+    'map.playAgain': 'Play again',
+    'map.build': 'Build well',
+    'villages.riverbend': 'A gentle start: slow drops, little pollution, still air.',
+    'villages.dry-creek': 'The creek runs dry in summer. Fill the can before the heat wins.',
+    'villages.hilltop': 'Gusts on the ridge push drops sideways.',
+    'villages.sandy-ford': 'Runoff from the fields muddies more of the water.',
+    'villages.dust-valley': 'Fast rain and swirling wind. Every clean drop counts.',
+    'villages.highland': 'The last village on the map. Build a full well.',
+
+    'results.replayFinished': 'Replay Finished',
+    'results.wellBuilt': 'Well Built!',
+    'results.roundComplete': 'Round Complete',
+    'results.wellBuiltIn': 'Well Built in {village}!',
+    'results.notYet': '{village}: not yet',
+    'results.stats': 'Score: {score} • Water: {water}% • Lives: {lives} • Longest streak: {streak}',
+    'results.statsTarget': 'Score: {score} • Water: {water}% of {target}% • Lives: {lives} • Longest streak: {streak}',
+    'results.unlocked': '{village} unlocked!',
+    'results.newBest': 'New best!',
+    'daily.play': 'Daily challenge',
+    'daily.played': 'Today’s challenge played',
+    'daily.title': 'The same round for everyone today. One scored attempt a day.',
+    'daily.notPlayed': 'Today: not played yet',
+    'daily.today': 'Today: {points}',
+    'daily.best': 'Daily best: {points}',
+    'daily.streak': { one: '{count}-day streak', other: '{count}-day streak' },
+    'results.daily': 'Daily challenge, {day}',
+    'results.dailyBest': 'New daily best!',
+    'controls.tournament': 'Tournament',
+    'tournament.title': 'Tournament',
+    'tournament.players': 'Players, one name per line',
+    'tournament.format': 'Format',
+    'tournament.roundRobin': 'Round-robin',
+    'tournament.bracket': 'Knockout bracket',
+    'tournament.rules': 'Everyone plays the difficulty and mode picked above. Both players in a match get the same drops; the higher score wins.',
+    'tournament.start': 'Start tournament',
+    'tournament.standings': 'Standings',
+    'tournament.played': 'Played',
+    'tournament.record': 'W-D-L',
+    'tournament.points': 'Points',
+    'tournament.end': 'End tournament',
+    'tournament.new': 'New tournament',
+    'tournament.progress': 'Matches played: {played}/{total}',
+    'tournament.next': 'Up next: {player}, against {opponent}. Pass the device!',
+    'tournament.playTurn': 'Start {player}’s round',
+    'tournament.finished': 'The tournament is over!',
+    'tournament.winner': '{player} wins the tournament!',
+    'tournament.claim': '{player} wins {coins}! Winner’s code:',
+    'tournament.noCoins': '{player} wins! No coins to claim this time.',
+    'tournament.confirmEnd': 'End the tournament? The results so far will be lost.',
+    'tournament.error.tooFew': 'Enter at least {min} players.',
+    'tournament.error.tooMany': 'No more than {max} players.',
+    'tournament.error.duplicate': 'Every player needs a different name.',
+    'canvas.tournamentTurn': '🏆 {player}’s turn',
+    'results.tournament': 'Tournament round for {player}',
+    'analytics.consent': 'Share anonymous play data (no names or codes) to help improve the game',
+    'controls.badges': 'Badges',
+    'badges.title': 'Badges',
+    'badges.progress': '{count} of {total} unlocked',
+    'badges.dayStreak': { one: '{count} day in a row', other: '{count} days in a row' },
+    'badges.unlockedOn': 'Unlocked {date}',
+    'badges.locked': '🔒 Locked',
+    'badges.lockedReward': '🔒 Locked • reward {coins}',
+    'canvas.badgeUnlocked': 'Badge unlocked!',
+    'canvas.badgeReward': 'Badge unlocked! +{coins}',
+    'results.badges': 'New badges: {names}',
+    'sr.badge': 'Badge unlocked: {name}',
+    'badges.score-50.name': 'Making ripples',
+    'badges.score-50.description': 'Score 50 points in one round.',
+    'badges.score-100.name': 'Rising tide',
+    'badges.score-100.description': 'Score 100 points in one round.',
+    'badges.score-150.name': 'Downpour',
+    'badges.score-150.description': 'Score 150 points in one round.',
+    'badges.streak-20.name': 'On a roll',
+    'badges.streak-20.description': 'Collect 20 clean drops in a row.',
+    'badges.first-well.name': 'First well',
+    'badges.first-well.description': 'Build a well.',
+    'badges.hard-well.name': 'Against the odds',
+    'badges.hard-well.description': 'Build a well on Hard.',
+    'badges.clean-hands.name': 'Clean hands',
+    'badges.clean-hands.description': 'Finish a round with 50 points or more without touching a polluted drop.',
+    'badges.catch-well.name': 'Steady hands',
+    'badges.catch-well.description': 'Build a well in Catch mode.',
+    'badges.keys-round.name': 'By ear',
+    'badges.keys-round.description': 'Score 50 points in Keys mode.',
+    'badges.all-villages.name': 'Map maker',
+    'badges.all-villages.description': 'Build the well in every village.',
+    'badges.rounds-25.name': 'Regular',
+    'badges.rounds-25.description': 'Play 25 rounds.',
+    'badges.week-streak.name': 'Every day counts',
+    'badges.week-streak.description': 'Play 7 days in a row.',
+    'results.claim': 'Claim Reward',
+    'results.map': 'Village Map',
+    'results.share': 'Share',
+    'results.watchReplay': 'Watch Replay',
+    'results.saveReplay': 'Save Replay',
+
+    'profile.summary': '{name} • {coins} • {rounds} • Best on {difficulty}: {best}',
+    'profile.nickname': 'Nickname',
+    'profile.table': 'Top 10 scores on this device',
+    'profile.player': 'Player',
+    'profile.score': 'Score',
+    'profile.difficulty': 'Difficulty',
+
+    'facts.source': 'Source: {name}',
+    'quiz.heading': 'Quick quiz: +{coins} for each correct answer',
+    'quiz.correct': 'Correct! +{coins}',
+    'quiz.wrong': 'Not quite: the answer is "{answer}".',
+    'quiz.tooLate': 'Correct! Your reward code was already issued, so no bonus this time.',
+
+    'claim.title': 'Claim Campus Reward',
+    'claim.close': 'close',
+    'claim.earned': 'You earned {coins}. Show this screen at the campus kiosk to redeem cafeteria discount.',
+    'claim.getCode': 'Get Code',
+    'claim.cancel': 'Cancel',
+    'claim.yourCode': 'Your code:',
+    'claim.present': 'Present this code at the student center to redeem.',
+    'claim.valid': { one: 'Valid for {count} day.', other: 'Valid for {count} days.' },
+    'claim.unavailable': 'Unavailable',
+    'claim.notSetUp': 'Rewards aren’t set up on this campus yet. Ask a booth volunteer for help.',
+    'claim.failed': 'Could not reach the reward server. Check your connection and try again.',
+
+    'share.title': 'Ripple Effect Game',
+    'share.text': 'I just scored {points} in Ripple Effect! 🌊 Playing games for clean water access. #RippleEffect #CharityWater',
+    'share.copied': 'Score shared to clipboard!',
+    'scorecard.difficulty': 'Difficulty: {difficulty}',
+    'scorecard.water': 'Water collected: {water}%',
+    'scorecard.coins': 'Earned: {coins}',
+    'replay.loadError': 'Could not load replay: {error}',
+    'update.available': 'A new version of the game is available.',
+    'update.reload': 'Reload',
+    'update.later': 'Later',
+    'audio.mute': 'Mute sound',
+    'audio.unmute': 'Unmute sound',
+    'audio.settings': 'Sound settings',
+    'audio.master': 'Master',
+    'audio.effects': 'Effects',
+    'audio.music': 'Music',
+    'display.settings': 'Display settings',
+    'display.palette': 'Colours',
+    'display.paletteStandard': 'Standard',
+    'display.paletteColorblind': 'Colour-blind safe',
+    'display.contrast': 'High contrast',
+    'display.contrastAuto': 'Match system',
+    'display.on': 'On',
+    'display.off': 'Off',
+    'display.patterns': 'Patterns on polluted drops',
+    'display.fps': 'Show frame rate',
+    'difficulty.custom': 'Custom',
+    'custom.title': 'Custom difficulty',
+    'custom.field.spawnInterval': 'Time between drops at start (ms)',
+    'custom.field.spawnMin': 'Shortest time between drops (ms)',
+    'custom.field.spawnAccel': 'Speed-up (ms less per second)',
+    'custom.field.dropSpeed': 'Drop speed',
+    'custom.field.roundTime': 'Round length (s)',
+    'custom.field.lives': 'Lives',
+    'custom.field.pollutedBase': 'Polluted chance at start (%)',
+    'custom.field.pollutedRamp': 'Polluted chance growth (% per second)',
+    'custom.field.pollutedMax': 'Highest polluted chance (%)',
+    'custom.error.number': 'Enter a number',
+    'custom.error.integer': 'Whole numbers only',
+    'custom.error.range': 'Between {min} and {max}',
+    'custom.error.order.spawnMin': 'Can’t be more than the time at start',
+    'custom.error.order.pollutedMax': 'Can’t be less than the chance at start',
+    'custom.fixErrors': 'Fix the highlighted settings first.',
+    'custom.summary': '{seconds} • {lives} • {rateFrom} → {rateTo} drops per second • polluted {pollutedFrom}% → {pollutedTo}%',
+    'custom.legendRate': 'Drops per second',
+    'custom.legendPolluted': 'Polluted chance',
+    'custom.presets': 'Presets',
+    'custom.builtIn': 'Built in',
+    'custom.saved': 'Saved',
+    'custom.name': 'Name',
+    'custom.save': 'Save preset',
+    'custom.delete': 'Delete',
+    'custom.copyLink': 'Copy link',
+    'custom.nameRequired': 'Give the preset a name to save it.',
+    'custom.savedAs': 'Saved “{name}”.',
+    'custom.deleted': 'Deleted “{name}”.',
+    'custom.linkCopied': 'Link copied. Everyone who opens it plays these settings.',
+    'custom.linkReady': 'Copy the link below to share these settings.',
+    'custom.fromLink': 'Playing “{name}” from a shared link.',
+    'custom.badLink': 'The preset link is damaged or out of date, so the settings weren’t loaded.',
+    'custom.unnamed': 'Custom',
+    'results.preset': 'Preset: {name}',
+
+    'sr.roundStarted': 'Round started',
+    'sr.roundStartedLanes': 'Round started. {seconds}. Press 1 to {count} to collect the lowest drop in a lane.',
+    'sr.replayStarted': 'Replay started',
+    'sr.spawn': '{drop}, lane {lane}',
+    'sr.collect': 'Collected. Score {score}, water {water}%',
+    'sr.pollute': 'Polluted! {lives} left',
+    'sr.miss': 'Missed lane {lane}',
+    'sr.laneEmpty': 'Lane {lane} is empty',
+    'sr.timeLeft': '{seconds} left',
+    'sr.paused': 'Paused. Press P to resume',
+    'sr.resumed': 'Resumed',
+    'sr.wellBuilt': 'Well built!',
+    'sr.roundOver': 'Round over.',
+    'sr.end': '{outcome} Score {score}, water {water}%, {lives} left.'
+  };
+
+  const es = {
+    'language.name': 'Español',
+    'language.label': 'Idioma',
+
+    'header.tagline': 'Juega para marcar la diferencia',
+    'header.mission': 'En charity: water creemos que todas las personas merecen acceso a agua potable limpia y segura. Cada proyecto que financiamos lleva salud, oportunidades y esperanza a comunidades de países en desarrollo.',
+
+    'hud.multiplierTitle': 'Multiplicador de racha: tocar gotas limpias seguidas lo aumenta; tocar gotas contaminadas o dejar caer gotas lo reinicia',
+    'hud.streak': '{count} seguidas',
+    'hud.seconds': '{count} s',
+    'hud.fullscreen': 'Activar o desactivar pantalla completa',
+    'hud.fullscreenTitle': 'Pantalla completa (F)',
+    'hud.exitFullscreen': 'Salir de pantalla completa',
+    'hud.exitFullscreenTitle': 'Salir de pantalla completa (F)',
+    'canvas.label': 'Área de juego de Ripple Effect',
+    'pause.hint': 'Pulsa P para continuar',
+    'kiosk.demo': 'Demo – ¡toca para jugar!',
+    'kiosk.admin': 'Ajustes del personal',
+    'kiosk.pin': 'PIN del personal',
+    'kiosk.unlock': 'Desbloquear',
+    'kiosk.wrongPin': 'PIN incorrecto.',
+    'kiosk.locked': 'Demasiados intentos. Vuelve a intentarlo en {seconds}.',
+    'kiosk.difficulty': 'Dificultad',
+    'kiosk.exit': 'Salir del modo quiosco',
+    'kiosk.close': 'Cerrar',
+    'resume.title': '¿Continuar tu ronda?',
+    'resume.details': '{score} · quedan {seconds} · {difficulty}',
+    'resume.resume': 'Continuar',
+    'resume.dismiss': 'No, gracias',
+    'resume.expired': 'Esa ronda ya no se puede continuar.',
+
+    'controls.difficulty': 'Dificultad:',
+    'controls.mode': 'Modo:',
+    'controls.start': 'Empezar',
+    'controls.startRound': 'Empezar ronda',
+    'controls.playing': 'Jugando...',
+    'controls.replaying': 'Reproduciendo...',
+    'controls.pause': 'Pausa',
+    'controls.resume': 'Continuar',
+    'controls.reset': 'Reiniciar',
+    'controls.villages': 'Aldeas',
+    'controls.loadReplay': 'Cargar repetición',
+    'controls.loadReplayTitle': 'Ver una ronda guardada',
+    'difficulty.easy': 'Fácil',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Difícil',
+    'mode.tap': 'Tocar',
+    'mode.tapTitle': 'Toca las gotas que caen',
+    'mode.catch': 'Atrapar',
+    'mode.catchTitle': 'Arrastra o usa las flechas para atrapar gotas con el bidón',
+    'mode.lanes': 'Teclas',
+    'mode.lanesTitle': 'Modo de teclado y lector de pantalla: las gotas caen en carriles numerados; pulsa el número del carril para recogerlas',
+
+    'units.points': { one: '{count} punto', other: '{count} puntos' },
+    'units.coins': { one: '{count} Ripple Coin', other: '{count} Ripple Coins' },
+    'units.rounds': { one: '{count} ronda', other: '{count} rondas' },
+    'units.lives': { one: '{count} vida', other: '{count} vidas' },
+    'units.seconds': { one: '{count} segundo', other: '{count} segundos' },
+
+    'welcome.subtitle': 'Juego Ripple Effect',
+    'welcome.start': 'Haz clic en «Empezar ronda» para jugar',
+    'welcome.catch': 'Modo atrapar: arrastra o usa ← → para atrapar gotas con el bidón',
+    'welcome.lanes': 'Modo teclas: pulsa 1–{count} para recoger la gota más baja de ese carril',
+    'canvas.replay': '▶ REPETICIÓN #{id}',
+    'canvas.slowMotion': 'Cámara lenta {seconds} s',
+    'canvas.villageBanner': '{village} • llenar {target} %',
+
+    'drops.clean.name': 'Gota limpia',
+    'drops.polluted.name': 'Gota contaminada',
+    'drops.filter.name': 'Gota filtro',
+    'drops.filter.label': '¡Filtro! Agua limpia',
+    'drops.golden.name': 'Gota dorada',
+    'drops.golden.label': '+1 Ripple Coin',
+    'drops.slow.name': 'Gota de cámara lenta',
+    'drops.slow.label': '¡Cámara lenta!',
+    'drops.heart.name': 'Gota corazón',
+    'drops.heart.label': '+1 vida',
+
+    'map.title': 'Mapa de aldeas',
+    'map.progress': '{count} de {total} pozos construidos',
+    'map.builtBest': 'Pozo construido • mejor: {points}',
+    'map.goal': 'Meta: llenar {target} % • {difficulty}',
+    'map.locked': '🔒 Bloqueada',
+    'map.playAgain': 'Jugar de nuevo',
+    'map.build': 'Construir pozo',
+    'villages.riverbend': 'Un comienzo tranquilo: gotas lentas, poca contaminación y nada de viento.',
+    'villages.dry-creek': 'El arroyo se seca en verano. Llena el bidón antes de que gane el calor.',
+    'villages.hilltop': 'Las ráfagas de la cresta empujan las gotas de lado.',
+    'villages.sandy-ford': 'La escorrentía de los campos enturbia más el agua.',
+    'villages.dust-valley': 'Lluvia rápida y viento arremolinado. Cada gota limpia cuenta.',
+    'villages.highland': 'La última aldea del mapa. Construye un pozo lleno.',
+
+    'results.replayFinished': 'Repetición terminada',
+    'results.wellBuilt': '¡Pozo construido!',
+    'results.roundComplete': 'Ronda completada',
+    'results.wellBuiltIn': '¡Pozo construido en {village}!',
+    'results.notYet': '{village}: todavía no',
+    'results.stats': 'Puntos: {score} • Agua: {water} % • Vidas: {lives} • Racha más larga: {streak}',
+    'results.statsTarget': 'Puntos: {score} • Agua: {water} % de {target} % • Vidas: {lives} • Racha más larga: {streak}',
+    'results.unlocked': '¡{village} desbloqueada!',
+    'results.newBest': '¡Nuevo récord!',
+    'daily.play': 'Reto diario',
+    'daily.played': 'Reto de hoy jugado',
+    'daily.title': 'La misma ronda para todos hoy. Un intento con puntuación al día.',
+    'daily.notPlayed': 'Hoy: sin jugar',
+    'daily.today': 'Hoy: {points}',
+    'daily.best': 'Mejor reto diario: {points}',
+    'daily.streak': { one: 'Racha de {count} día', other: 'Racha de {count} días' },
+    'results.daily': 'Reto diario, {day}',
+    'results.dailyBest': '¡Nuevo récord del reto diario!',
+    'controls.tournament': 'Torneo',
+    'tournament.title': 'Torneo',
+    'tournament.players': 'Jugadores, un nombre por línea',
+    'tournament.format': 'Formato',
+    'tournament.roundRobin': 'Todos contra todos',
+    'tournament.bracket': 'Eliminatoria',
+    'tournament.rules': 'Todos juegan con la dificultad y el modo elegidos arriba. Los dos jugadores de un duelo reciben las mismas gotas; gana la puntuación más alta.',
+    'tournament.start': 'Empezar torneo',
+    'tournament.standings': 'Clasificación',
+    'tournament.played': 'Jugados',
+    'tournament.record': 'G-E-P',
+    'tournament.points': 'Puntos',
+    'tournament.end': 'Terminar torneo',
+    'tournament.new': 'Nuevo torneo',
+    'tournament.progress': 'Duelos jugados: {played}/{total}',
+    'tournament.next': 'Siguiente: {player}, contra {opponent}. ¡Pasa el dispositivo!',
+    'tournament.playTurn': 'Empezar la ronda de {player}',
+    'tournament.finished': '¡El torneo ha terminado!',
+    'tournament.winner': '¡{player} gana el torneo!',
+    'tournament.claim': '¡{player} gana {coins}! Código del ganador:',
+    'tournament.noCoins': '¡{player} gana! Esta vez no hay monedas que canjear.',
+    'tournament.confirmEnd': '¿Terminar el torneo? Se perderán los resultados.',
+    'tournament.error.tooFew': 'Escribe al menos {min} jugadores.',
+    'tournament.error.tooMany': 'No más de {max} jugadores.',
+    'tournament.error.duplicate': 'Cada jugador necesita un nombre distinto.',
+    'canvas.tournamentTurn': '🏆 Turno de {player}',
+    'results.tournament': 'Ronda de torneo de {player}',
+    'analytics.consent': 'Compartir datos de juego anónimos (sin nombres ni códigos) para mejorar el juego',
+    'controls.badges': 'Insignias',
+    'badges.title': 'Insignias',
+    'badges.progress': '{count} de {total} desbloqueadas',
+    'badges.dayStreak': { one: '{count} día seguido', other: '{count} días seguidos' },
+    'badges.unlockedOn': 'Desbloqueada el {date}',
+    'badges.locked': '🔒 Bloqueada',
+    'badges.lockedReward': '🔒 Bloqueada • premio: {coins}',
+    'canvas.badgeUnlocked': '¡Insignia desbloqueada!',
+    'canvas.badgeReward': '¡Insignia desbloqueada! +{coins}',
+    'results.badges': 'Nuevas insignias: {names}',
+    'sr.badge': 'Insignia desbloqueada: {name}',
+    'badges.score-50.name': 'Primeras ondas',
+    'badges.score-50.description': 'Consigue 50 puntos en una ronda.',
+    'badges.score-100.name': 'Marea alta',
+    'badges.score-100.description': 'Consigue 100 puntos en una ronda.',
+    'badges.score-150.name': 'Aguacero',
+    'badges.score-150.description': 'Consigue 150 puntos en una ronda.',
+    'badges.streak-20.name': 'Racha imparable',
+    'badges.streak-20.description': 'Recoge 20 gotas limpias seguidas.',
+    'badges.first-well.name': 'Primer pozo',
+    'badges.first-well.description': 'Construye un pozo.',
+    'badges.hard-well.name': 'Contra viento y marea',
+    'badges.hard-well.description': 'Construye un pozo en Difícil.',
+    'badges.clean-hands.name': 'Manos limpias',
+    'badges.clean-hands.description': 'Termina una ronda con 50 puntos o más sin tocar ninguna gota contaminada.',
+    'badges.catch-well.name': 'Pulso firme',
+    'badges.catch-well.description': 'Construye un pozo en el modo Atrapar.',
+    'badges.keys-round.name': 'De oído',
+    'badges.keys-round.description': 'Consigue 50 puntos en el modo Teclas.',
+    'badges.all-villages.name': 'Cartógrafo',
+    'badges.all-villages.description': 'Construye el pozo de todas las aldeas.',
+    'badges.rounds-25.name': 'Habitual',
+    'badges.rounds-25.description': 'Juega 25 rondas.',
+    'badges.week-streak.name': 'Cada día cuenta',
+    'badges.week-streak.description': 'Juega 7 días seguidos.',
+    'results.claim': 'Reclamar premio',
+    'results.map': 'Mapa de aldeas',
+    'results.share': 'Compartir',
+    'results.watchReplay': 'Ver repetición',
+    'results.saveReplay': 'Guardar repetición',
+
+    'profile.summary': '{name} • {coins} • {rounds} • Récord en {difficulty}: {best}',
+    'profile.nickname': 'Apodo',
+    'profile.table': 'Las 10 mejores puntuaciones en este dispositivo',
+    'profile.player': 'Jugador',
+    'profile.score': 'Puntos',
+    'profile.difficulty': 'Dificultad',
+
+    'facts.source': 'Fuente: {name}',
+    'quiz.heading': 'Mini prueba: +{coins} por cada respuesta correcta',
+    'quiz.correct': '¡Correcto! +{coins}',
+    'quiz.wrong': 'Casi: la respuesta es «{answer}».',
+    'quiz.tooLate': '¡Correcto! Tu código de premio ya se emitió, así que esta vez no hay bonificación.',
+
+    'claim.title': 'Reclamar premio del campus',
+    'claim.close': 'cerrar',
+    'claim.earned': 'Ganaste {coins}. Muestra esta pantalla en el quiosco del campus para canjear un descuento en la cafetería.',
+    'claim.getCode': 'Obtener código',
+    'claim.cancel': 'Cancelar',
+    'claim.yourCode': 'Tu código:',
+    'claim.present': 'Presenta este código en el centro estudiantil para canjearlo.',
+    'claim.valid': { one: 'Válido durante {count} día.', other: 'Válido durante {count} días.' },
+    'claim.unavailable': 'No disponible',
+    'claim.notSetUp': 'Los premios aún no están configurados en este campus. Pide ayuda a un voluntario del puesto.',
+    'claim.failed': 'No se pudo contactar con el servidor de premios. Revisa tu conexión e inténtalo de nuevo.',
+
+    'share.title': 'Juego Ripple Effect',
+    'share.text': '¡Acabo de conseguir {points} en Ripple Effect! 🌊 Jugando por el acceso al agua limpia. #RippleEffect #CharityWater',
+    'share.copied': '¡Puntuación copiada al portapapeles!',
+    'scorecard.difficulty': 'Dificultad: {difficulty}',
+    'scorecard.water': 'Agua recogida: {water} %',
+    'scorecard.coins': 'Ganado: {coins}',
+    'replay.loadError': 'No se pudo cargar la repetición: {error}',
+    'update.available': 'Hay una nueva versión del juego.',
+    'update.reload': 'Recargar',
+    'update.later': 'Más tarde',
+    'audio.mute': 'Silenciar',
+    'audio.unmute': 'Activar sonido',
+    'audio.settings': 'Ajustes de sonido',
+    'audio.master': 'General',
+    'audio.effects': 'Efectos',
+    'audio.music': 'Música',
+    'display.settings': 'Ajustes de pantalla',
+    'display.palette': 'Colores',
+    'display.paletteStandard': 'Estándar',
+    'display.paletteColorblind': 'Apto para daltonismo',
+    'display.contrast': 'Alto contraste',
+    'display.contrastAuto': 'Según el sistema',
+    'display.on': 'Sí',
+    'display.off': 'No',
+    'display.patterns': 'Tramas en las gotas contaminadas',
+    'display.fps': 'Mostrar fotogramas por segundo',
+    'difficulty.custom': 'Personalizada',
+    'custom.title': 'Dificultad personalizada',
+    'custom.field.spawnInterval': 'Tiempo entre gotas al inicio (ms)',
+    'custom.field.spawnMin': 'Tiempo mínimo entre gotas (ms)',
+    'custom.field.spawnAccel': 'Aceleración (ms menos por segundo)',
+    'custom.field.dropSpeed': 'Velocidad de las gotas',
+    'custom.field.roundTime': 'Duración de la ronda (s)',
+    'custom.field.lives': 'Vidas',
+    'custom.field.pollutedBase': 'Probabilidad de contaminación al inicio (%)',
+    'custom.field.pollutedRamp': 'Aumento de la contaminación (% por segundo)',
+    'custom.field.pollutedMax': 'Probabilidad máxima de contaminación (%)',
+    'custom.error.number': 'Introduce un número',
+    'custom.error.integer': 'Solo números enteros',
+    'custom.error.range': 'Entre {min} y {max}',
+    'custom.error.order.spawnMin': 'No puede ser mayor que el tiempo al inicio',
+    'custom.error.order.pollutedMax': 'No puede ser menor que la probabilidad al inicio',
+    'custom.fixErrors': 'Corrige primero los ajustes marcados.',
+    'custom.summary': '{seconds} • {lives} • {rateFrom} → {rateTo} gotas por segundo • contaminación {pollutedFrom} % → {pollutedTo} %',
+    'custom.legendRate': 'Gotas por segundo',
+    'custom.legendPolluted': 'Probabilidad de contaminación',
+    'custom.presets': 'Preajustes',
+    'custom.builtIn': 'Predefinidos',
+    'custom.saved': 'Guardados',
+    'custom.name': 'Nombre',
+    'custom.save': 'Guardar ajustes',
+    'custom.delete': 'Eliminar',
+    'custom.copyLink': 'Copiar enlace',
+    'custom.nameRequired': 'Ponle un nombre para guardarlo.',
+    'custom.savedAs': 'Guardado «{name}».',
+    'custom.deleted': 'Eliminado «{name}».',
+    'custom.linkCopied': 'Enlace copiado. Quien lo abra jugará con estos ajustes.',
+    'custom.linkReady': 'Copia el enlace de abajo para compartir estos ajustes.',
+    'custom.fromLink': 'Jugando «{name}» desde un enlace compartido.',
+    'custom.badLink': 'El enlace está dañado o desactualizado; no se cargaron los ajustes.',
+    'custom.unnamed': 'Personalizada',
+    'results.preset': 'Ajustes: {name}',
+
+    'sr.roundStarted': 'Ronda iniciada',
+    'sr.roundStartedLanes': 'Ronda iniciada. {seconds}. Pulsa del 1 al {count} para recoger la gota más baja de un carril.',
+    'sr.replayStarted': 'Repetición iniciada',
+    'sr.spawn': '{drop}, carril {lane}',
+    'sr.collect': 'Recogida. Puntos {score}, agua {water} %',
+    'sr.pollute': '¡Contaminada! Quedan {lives}',
+    'sr.miss': 'Gota perdida en el carril {lane}',
+    'sr.laneEmpty': 'El carril {lane} está vacío',
+    'sr.timeLeft': 'Quedan {seconds}',
+    'sr.paused': 'En pausa. Pulsa P para continuar',
+    'sr.resumed': 'Continuando',
+    'sr.wellBuilt': '¡Pozo construido!',
+    'sr.roundOver': 'Fin de la ronda.',
+    'sr.end': '{outcome} Puntos {score}, agua {water} %, quedan {lives}.'
+  };
+
+  const fr = {
+    'language.name': 'Français',
+    'language.label': 'Langue',
+
+    'header.tagline': 'Jouez pour faire la différence',
+    'header.mission': 'Chez charity: water, nous pensons que chacun mérite d’avoir accès à une eau potable propre et sûre. Chaque projet que nous finançons apporte santé, opportunités et espoir aux communautés des pays en développement.',
+
+    'hud.multiplierTitle': 'Multiplicateur de série : les gouttes propres touchées à la suite l’augmentent, les gouttes polluées touchées et les gouttes manquées le remettent à zéro',
+    'hud.streak': '{count} à la suite',
+    'hud.seconds': '{count} s',
+    'hud.fullscreen': 'Activer ou quitter le plein écran',
+    'hud.fullscreenTitle': 'Plein écran (F)',
+    'hud.exitFullscreen': 'Quitter le plein écran',
+    'hud.exitFullscreenTitle': 'Quitter le plein écran (F)',
+    'canvas.label': 'Zone de jeu Ripple Effect',
+    'pause.hint': 'Appuyez sur P pour reprendre',
+    'kiosk.demo': 'Démo – touchez pour jouer !',
+    'kiosk.admin': 'Réglages du personnel',
+    'kiosk.pin': 'Code du personnel',
+    'kiosk.unlock': 'Déverrouiller',
+    'kiosk.wrongPin': 'Code incorrect.',
+    'kiosk.locked': 'Trop d’essais. Réessayez dans {seconds}.',
+    'kiosk.difficulty': 'Difficulté',
+    'kiosk.exit': 'Quitter le mode borne',
+    'kiosk.close': 'Fermer',
+    'resume.title': 'Reprendre votre manche ?',
+    'resume.details': '{score} · il reste {seconds} · {difficulty}',
+    'resume.resume': 'Reprendre',
+    'resume.dismiss': 'Non merci',
+    'resume.expired': 'Cette manche ne peut plus être reprise.',
+
+    'controls.difficulty': 'Difficulté :',
+    'controls.mode': 'Mode :',
+    'controls.start': 'Jouer',
+    'controls.startRound': 'Lancer la manche',
+    'controls.playing': 'En jeu...',
+    'controls.replaying': 'Rediffusion...',
+    'controls.pause': 'Pause',
+    'controls.resume': 'Reprendre',
+    'controls.reset': 'Réinitialiser',
+    'controls.villages': 'Villages',
+    'controls.loadReplay': 'Charger un replay',
+    'controls.loadReplayTitle': 'Revoir une manche enregistrée',
+    'difficulty.easy': 'Facile',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Difficile',
+    'mode.tap': 'Toucher',
+    'mode.tapTitle': 'Touchez les gouttes qui tombent',
+    'mode.catch': 'Attraper',
+    'mode.catchTitle': 'Faites glisser ou utilisez les flèches pour attraper les gouttes dans le jerrican',
+    'mode.lanes': 'Clavier',
+    'mode.lanesTitle': 'Mode clavier et lecteur d’écran : les gouttes tombent dans des couloirs numérotés, appuyez sur le numéro du couloir pour les récupérer',
+
+    'units.points': { one: '{count} point', other: '{count} points' },
+    'units.coins': { one: '{count} Ripple Coin', other: '{count} Ripple Coins' },
+    'units.rounds': { one: '{count} manche', other: '{count} manches' },
+    'units.lives': { one: '{count} vie', other: '{count} vies' },
+    'units.seconds': { one: '{count} seconde', other: '{count} secondes' },
+
+    'welcome.subtitle': 'Le jeu Ripple Effect',
+    'welcome.start': 'Cliquez sur « Lancer la manche » pour commencer',
+    'welcome.catch': 'Mode attraper : faites glisser ou utilisez ← → pour attraper les gouttes',
+    'welcome.lanes': 'Mode clavier : appuyez sur 1–{count} pour récupérer la goutte la plus basse du couloir',
+    'canvas.replay': '▶ REPLAY #{id}',
+    'canvas.slowMotion': 'Ralenti {seconds} s',
+    'canvas.villageBanner': '{village} • remplir {target} %',
+
+    'drops.clean.name': 'Goutte propre',
+    'drops.polluted.name': 'Goutte polluée',
+    'drops.filter.name': 'Goutte filtre',
+    'drops.filter.label': 'Filtre ! Eau purifiée',
+    'drops.golden.name': 'Goutte dorée',
+    'drops.golden.label': '+1 Ripple Coin',
+    'drops.slow.name': 'Goutte ralenti',
+    'drops.slow.label': 'Ralenti !',
+    'drops.heart.name': 'Goutte cœur',
+    'drops.heart.label': '+1 vie',
+
+    'map.title': 'Carte des villages',
+    'map.progress': { one: '{count} puits construit sur {total}', other: '{count} puits construits sur {total}' },
+    'map.builtBest': 'Puits construit • record : {points}',
+    'map.goal': 'Objectif : remplir {target} % • {difficulty}',
+    'map.locked': '🔒 Verrouillé',
+    'map.playAgain': 'Rejouer',
+    'map.build': 'Construire le puits',
+    'villages.riverbend': 'Un début en douceur : gouttes lentes, peu de pollution, pas de vent.',
+    'villages.dry-creek': 'Le ruisseau s’assèche en été. Remplissez le jerrican avant que la chaleur ne gagne.',
+    'villages.hilltop': 'Les rafales sur la crête poussent les gouttes de côté.',
+    'villages.sandy-ford': 'Le ruissellement des champs trouble davantage l’eau.',
+    'villages.dust-valley': 'Pluie rapide et vent tourbillonnant. Chaque goutte propre compte.',
+    'villages.highland': 'Le dernier village de la carte. Construisez un puits plein.',
+
+    'results.replayFinished': 'Replay terminé',
+    'results.wellBuilt': 'Puits construit !',
+    'results.roundComplete': 'Manche terminée',
+    'results.wellBuiltIn': 'Puits construit à {village} !',
+    'results.notYet': '{village} : pas encore',
+    'results.stats': 'Score : {score} • Eau : {water} % • Vies : {lives} • Meilleure série : {streak}',
+    'results.statsTarget': 'Score : {score} • Eau : {water} % sur {target} % • Vies : {lives} • Meilleure série : {streak}',
+    'results.unlocked': '{village} débloqué !',
+    'results.newBest': 'Nouveau record !',
+    'daily.play': 'Défi du jour',
+    'daily.played': 'Défi du jour joué',
+    'daily.title': 'La même manche pour tout le monde aujourd’hui. Une tentative notée par jour.',
+    'daily.notPlayed': 'Aujourd’hui : pas encore joué',
+    'daily.today': 'Aujourd’hui : {points}',
+    'daily.best': 'Meilleur défi : {points}',
+    'daily.streak': { one: 'Série de {count} jour', other: 'Série de {count} jours' },
+    'results.daily': 'Défi du jour, {day}',
+    'results.dailyBest': 'Nouveau record du défi !',
+    'controls.tournament': 'Tournoi',
+    'tournament.title': 'Tournoi',
+    'tournament.players': 'Joueurs, un nom par ligne',
+    'tournament.format': 'Format',
+    'tournament.roundRobin': 'Championnat',
+    'tournament.bracket': 'Élimination directe',
+    'tournament.rules': 'Tout le monde joue avec la difficulté et le mode choisis plus haut. Les deux joueurs d’un match reçoivent les mêmes gouttes ; le meilleur score gagne.',
+    'tournament.start': 'Lancer le tournoi',
+    'tournament.standings': 'Classement',
+    'tournament.played': 'Joués',
+    'tournament.record': 'V-N-D',
+    'tournament.points': 'Points',
+    'tournament.end': 'Terminer le tournoi',
+    'tournament.new': 'Nouveau tournoi',
+    'tournament.progress': 'Matchs joués : {played}/{total}',
+    'tournament.next': 'À suivre : {player}, contre {opponent}. Passez l’appareil !',
+    'tournament.playTurn': 'Lancer la manche de {player}',
+    'tournament.finished': 'Le tournoi est terminé !',
+    'tournament.winner': '{player} remporte le tournoi !',
+    'tournament.claim': '{player} gagne {coins} ! Code du gagnant :',
+    'tournament.noCoins': '{player} gagne ! Pas de pièces à réclamer cette fois.',
+    'tournament.confirmEnd': 'Terminer le tournoi ? Les résultats seront perdus.',
+    'tournament.error.tooFew': 'Saisissez au moins {min} joueurs.',
+    'tournament.error.tooMany': 'Pas plus de {max} joueurs.',
+    'tournament.error.duplicate': 'Chaque joueur doit avoir un nom différent.',
+    'canvas.tournamentTurn': '🏆 Au tour de {player}',
+    'results.tournament': 'Manche de tournoi de {player}',
+    'analytics.consent': 'Partager des données de jeu anonymes (sans noms ni codes) pour améliorer le jeu',
+    'controls.badges': 'Badges',
+    'badges.title': 'Badges',
+    'badges.progress': '{count} sur {total} débloqués',
+    'badges.dayStreak': { one: '{count} jour d’affilée', other: '{count} jours d’affilée' },
+    'badges.unlockedOn': 'Débloqué le {date}',
+    'badges.locked': '🔒 Verrouillé',
+    'badges.lockedReward': '🔒 Verrouillé • récompense : {coins}',
+    'canvas.badgeUnlocked': 'Badge débloqué !',
+    'canvas.badgeReward': 'Badge débloqué ! +{coins}',
+    'results.badges': 'Nouveaux badges : {names}',
+    'sr.badge': 'Badge débloqué : {name}',
+    'badges.score-50.name': 'Premiers remous',
+    'badges.score-50.description': 'Marquez 50 points en une manche.',
+    'badges.score-100.name': 'Marée montante',
+    'badges.score-100.description': 'Marquez 100 points en une manche.',
+    'badges.score-150.name': 'Averse',
+    'badges.score-150.description': 'Marquez 150 points en une manche.',
+    'badges.streak-20.name': 'Sur la lancée',
+    'badges.streak-20.description': 'Récoltez 20 gouttes propres d’affilée.',
+    'badges.first-well.name': 'Premier puits',
+    'badges.first-well.description': 'Construisez un puits.',
+    'badges.hard-well.name': 'Contre vents et marées',
+    'badges.hard-well.description': 'Construisez un puits en Difficile.',
+    'badges.clean-hands.name': 'Mains propres',
+    'badges.clean-hands.description': 'Terminez une manche avec 50 points ou plus sans toucher de goutte polluée.',
+    'badges.catch-well.name': 'Main sûre',
+    'badges.catch-well.description': 'Construisez un puits en mode Attraper.',
+    'badges.keys-round.name': 'À l’oreille',
+    'badges.keys-round.description': 'Marquez 50 points en mode Clavier.',
+    'badges.all-villages.name': 'Cartographe',
+    'badges.all-villages.description': 'Construisez le puits de chaque village.',
+    'badges.rounds-25.name': 'Habitué',
+    'badges.rounds-25.description': 'Jouez 25 manches.',
+    'badges.week-streak.name': 'Chaque jour compte',
+    'badges.week-streak.description': 'Jouez 7 jours d’affilée.',
+    'results.claim': 'Réclamer la récompense',
+    'results.map': 'Carte des villages',
+    'results.share': 'Partager',
+    'results.watchReplay': 'Voir le replay',
+    'results.saveReplay': 'Enregistrer le replay',
+
+    'profile.summary': '{name} • {coins} • {rounds} • Record en {difficulty} : {best}',
+    'profile.nickname': 'Pseudo',
+    'profile.table': 'Les 10 meilleurs scores sur cet appareil',
+    'profile.player': 'Joueur',
+    'profile.score': 'Score',
+    'profile.difficulty': 'Difficulté',
+
+    'facts.source': 'Source : {name}',
+    'quiz.heading': 'Petit quiz : +{coins} par bonne réponse',
+    'quiz.correct': 'Bonne réponse ! +{coins}',
+    'quiz.wrong': 'Pas tout à fait : la réponse est « {answer} ».',
+    'quiz.tooLate': 'Bonne réponse ! Votre code de récompense a déjà été émis, pas de bonus cette fois.',
+
+    'claim.title': 'Réclamer la récompense du campus',
+    'claim.close': 'fermer',
+    'claim.earned': 'Vous avez gagné {coins}. Montrez cet écran à la borne du campus pour obtenir une réduction à la cafétéria.',
+    'claim.getCode': 'Obtenir le code',
+    'claim.cancel': 'Annuler',
+    'claim.yourCode': 'Votre code :',
+    'claim.present': 'Présentez ce code au centre étudiant pour l’utiliser.',
+    'claim.valid': { one: 'Valable {count} jour.', other: 'Valable {count} jours.' },
+    'claim.unavailable': 'Indisponible',
+    'claim.notSetUp': 'Les récompenses ne sont pas encore configurées sur ce campus. Demandez de l’aide à un bénévole du stand.',
+    'claim.failed': 'Impossible de joindre le serveur de récompenses. Vérifiez votre connexion et réessayez.',
+
+    'share.title': 'Le jeu Ripple Effect',
+    'share.text': 'Je viens de marquer {points} à Ripple Effect ! 🌊 Je joue pour l’accès à l’eau potable. #RippleEffect #CharityWater',
+    'share.copied': 'Score copié dans le presse-papiers !',
+    'scorecard.difficulty': 'Difficulté : {difficulty}',
+    'scorecard.water': 'Eau recueillie : {water} %',
+    'scorecard.coins': 'Gagné : {coins}',
+    'replay.loadError': 'Impossible de charger le replay : {error}',
+    'update.available': 'Une nouvelle version du jeu est disponible.',
+    'update.reload': 'Recharger',
+    'update.later': 'Plus tard',
+    'audio.mute': 'Couper le son',
+    'audio.unmute': 'Activer le son',
+    'audio.settings': 'Réglages du son',
+    'audio.master': 'Général',
+    'audio.effects': 'Effets',
+    'audio.music': 'Musique',
+    'display.settings': 'Réglages d’affichage',
+    'display.palette': 'Couleurs',
+    'display.paletteStandard': 'Standard',
+    'display.paletteColorblind': 'Adapté au daltonisme',
+    'display.contrast': 'Contraste élevé',
+    'display.contrastAuto': 'Comme le système',
+    'display.on': 'Activé',
+    'display.off': 'Désactivé',
+    'display.patterns': 'Motifs sur les gouttes polluées',
+    'display.fps': 'Afficher les images par seconde',
+    'difficulty.custom': 'Personnalisé',
+    'custom.title': 'Difficulté personnalisée',
+    'custom.field.spawnInterval': 'Temps entre les gouttes au départ (ms)',
+    'custom.field.spawnMin': 'Temps minimum entre les gouttes (ms)',
+    'custom.field.spawnAccel': 'Accélération (ms de moins par seconde)',
+    'custom.field.dropSpeed': 'Vitesse des gouttes',
+    'custom.field.roundTime': 'Durée de la manche (s)',
+    'custom.field.lives': 'Vies',
+    'custom.field.pollutedBase': 'Risque de pollution au départ (%)',
+    'custom.field.pollutedRamp': 'Hausse de la pollution (% par seconde)',
+    'custom.field.pollutedMax': 'Risque de pollution maximal (%)',
+    'custom.error.number': 'Saisissez un nombre',
+    'custom.error.integer': 'Nombres entiers uniquement',
+    'custom.error.range': 'Entre {min} et {max}',
+    'custom.error.order.spawnMin': 'Ne peut pas dépasser le temps au départ',
+    'custom.error.order.pollutedMax': 'Ne peut pas être inférieur au risque au départ',
+    'custom.fixErrors': 'Corrigez d’abord les réglages signalés.',
+    'custom.summary': '{seconds} • {lives} • {rateFrom} → {rateTo} gouttes par seconde • pollution {pollutedFrom} % → {pollutedTo} %',
+    'custom.legendRate': 'Gouttes par seconde',
+    'custom.legendPolluted': 'Risque de pollution',
+    'custom.presets': 'Préréglages',
+    'custom.builtIn': 'Intégrés',
+    'custom.saved': 'Enregistrés',
+    'custom.name': 'Nom',
+    'custom.save': 'Enregistrer',
+    'custom.delete': 'Supprimer',
+    'custom.copyLink': 'Copier le lien',
+    'custom.nameRequired': 'Donnez un nom au préréglage pour l’enregistrer.',
+    'custom.savedAs': '« {name} » enregistré.',
+    'custom.deleted': '« {name} » supprimé.',
+    'custom.linkCopied': 'Lien copié. Tous ceux qui l’ouvrent jouent avec ces réglages.',
+    'custom.linkReady': 'Copiez le lien ci-dessous pour partager ces réglages.',
+    'custom.fromLink': 'Vous jouez « {name} » depuis un lien partagé.',
+    'custom.badLink': 'Le lien est endommagé ou périmé : les réglages n’ont pas été chargés.',
+    'custom.unnamed': 'Personnalisé',
+    'results.preset': 'Préréglage : {name}',
+
+    'sr.roundStarted': 'Manche lancée',
+    'sr.roundStartedLanes': 'Manche lancée. {seconds}. Appuyez de 1 à {count} pour récupérer la goutte la plus basse d’un couloir.',
+    'sr.replayStarted': 'Replay lancé',
+    'sr.spawn': '{drop}, couloir {lane}',
+    'sr.collect': 'Récupérée. Score {score}, eau {water} %',
+    'sr.pollute': 'Polluée ! Il reste {lives}',
+    'sr.miss': 'Goutte manquée, couloir {lane}',
+    'sr.laneEmpty': 'Le couloir {lane} est vide',
+    'sr.timeLeft': 'Il reste {seconds}',
+    'sr.paused': 'En pause. Appuyez sur P pour reprendre',
+    'sr.resumed': 'Reprise',
+    'sr.wellBuilt': 'Puits construit !',
+    'sr.roundOver': 'Manche terminée.',
+    'sr.end': '{outcome} Score {score}, eau {water} %, il reste {lives}.'
+  };
+
+  return { en, es, fr };
+});
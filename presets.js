@@ -0,0 +1,138 @@
+/* ------------------------------
+   Custom difficulty presets
+   Organizer-tuned round settings: validation, named presets saved in
+   localStorage, and a compact code for the ?preset= URL parameter so
+   every device at an event plays the same settings.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RipplePresets = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.presets';
+  const SCHEMA_VERSION = 1;
+  const CODE_VERSION = 1;
+  const URL_PARAM = 'preset';
+  const NAME_MAX = 30;
+  const PRESET_LIMIT = 20;
+
+  // Editable settings, in code order (see engine.js for what each one does).
+  // Changing the order breaks links that were already shared; append instead.
+  const FIELDS = [
+    { key: 'spawnInterval', min: 150, max: 2000, step: 10 },
+    { key: 'spawnMin',      min: 100, max: 2000, step: 10 },
+    { key: 'spawnAccel',    min: 0,   max: 50,   step: 1 },
+    { key: 'dropSpeed',     min: 0.5, max: 4,    step: 0.1 },
+    { key: 'roundTime',     min: 10,  max: 120,  step: 5, integer: true },
+    { key: 'lives',         min: 1,   max: 10,   step: 1, integer: true },
+    { key: 'pollutedBase',  min: 0,   max: 0.9,  step: 0.01 },
+    { key: 'pollutedRamp',  min: 0,   max: 0.05, step: 0.001 },
+    { key: 'pollutedMax',   min: 0,   max: 0.9,  step: 0.01 }
+  ];
+
+  const cleanName = (name) => String(name == null ? '' : name).replace(/\s+/g, ' ').trim().slice(0, NAME_MAX);
+
+  // Returns { settings, errors } where errors is a list of { key, code, min, max }.
+  // code: 'number' (missing or not a number), 'integer', 'range', 'order' (minimum above starting value)
+  function validate(input){
+    const settings = {};
+    const errors = [];
+    const source = input && typeof input === 'object' ? input : {};
+    for(const field of FIELDS){
+      const raw = source[field.key];
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if(typeof value !== 'number' || !Number.isFinite(value)){ errors.push({ key: field.key, code: 'number' }); continue; }
+      if(field.integer && !Number.isInteger(value)){ errors.push({ key: field.key, code: 'integer' }); continue; }
+      if(value < field.min || value > field.max){ errors.push({ key: field.key, code: 'range', min: field.min, max: field.max }); continue; }
+      settings[field.key] = value;
+    }
+    if(settings.spawnMin > settings.spawnInterval) errors.push({ key: 'spawnMin', code: 'order' });
+    if(settings.pollutedBase > settings.pollutedMax) errors.push({ key: 'pollutedMax', code: 'order' });
+    return { settings, errors };
+  }
+
+  // Polluted chance and spawns per second at time t (seconds), following the engine's curves
+  function curveAt(settings, t){
+    const polluted = Math.max(0, Math.min(settings.pollutedMax, settings.pollutedBase + t * settings.pollutedRamp));
+    const interval = Math.max(settings.spawnMin, settings.spawnInterval - settings.spawnAccel * t);
+    return { polluted, spawnsPerSecond: 1000 / interval };
+  }
+
+  // URL-safe base64 of [version, name, ...values]; unicode names survive the round trip
+  function toBase64Url(text){
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  function fromBase64Url(code){
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  }
+  function encode(preset){
+    return toBase64Url(JSON.stringify([CODE_VERSION, cleanName(preset.name)].concat(FIELDS.map(f => preset.settings[f.key]))));
+  }
+  // Returns { name, settings } or null if the code is damaged or out of range
+  function decode(code){
+    if(typeof code !== 'string' || !/^[A-Za-z0-9_-]+$/.test(code)) return null;
+    try{
+      const data = JSON.parse(fromBase64Url(code));
+      if(!Array.isArray(data) || data[0] !== CODE_VERSION || data.length !== FIELDS.length + 2) return null;
+      const input = {};
+      FIELDS.forEach((f, i) => { input[f.key] = data[i + 2]; });
+      const { settings, errors } = validate(input);
+      return errors.length ? null : { name: cleanName(data[1]), settings };
+    } catch(e){
+      return null;
+    }
+  }
+
+  function createPresetStore(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    let presets = load();
+
+    function load(){
+      if(!storage) return [];
+      try{
+        const data = JSON.parse(storage.getItem(key) || 'null');
+        if(!data || !Array.isArray(data.presets)) return [];
+        return data.presets
+          .map(p => p && { name: cleanName(p.name), settings: validate(p.settings) })
+          .filter(p => p && p.name && !p.settings.errors.length)
+          .map(p => ({ name: p.name, settings: p.settings.settings }));
+      } catch(e){
+        console.warn('Could not read difficulty presets:', e);
+        return [];
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify({ version: SCHEMA_VERSION, presets })); }
+      catch(e){ console.warn('Could not save difficulty presets:', e); }
+    }
+
+    function list(){ return presets.map(p => ({ name: p.name, settings: Object.assign({}, p.settings) })); }
+    function get(name){ return list().find(p => p.name === cleanName(name)) || null; }
+    // Saving under an existing name replaces it. Returns the saved preset, or null if invalid.
+    function put(name, settings){
+      const clean = cleanName(name);
+      const result = validate(settings);
+      if(!clean || result.errors.length) return null;
+      presets = presets.filter(p => p.name !== clean);
+      presets.unshift({ name: clean, settings: result.settings });
+      presets = presets.slice(0, PRESET_LIMIT);
+      save();
+      return { name: clean, settings: Object.assign({}, result.settings) };
+    }
+    function remove(name){
+      const clean = cleanName(name);
+      presets = presets.filter(p => p.name !== clean);
+      save();
+    }
+
+    return { list, get, put, remove };
+  }
+
+  return { FIELDS, URL_PARAM, NAME_MAX, validate, curveAt, encode, decode, cleanName, createPresetStore };
+});
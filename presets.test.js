@@ -0,0 +1,64 @@
+/* Custom preset tests: node --test */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RipplePresets = require('./presets.js');
+
+function memoryStorage(data = {}){
+  return { data, getItem: k => k in data ? data[k] : null, setItem: (k, v)=>{ data[k] = String(v); } };
+}
+const settings = {
+  spawnInterval: 800, spawnMin: 400, spawnAccel: 12, dropSpeed: 1.5, roundTime: 40, lives: 4,
+  pollutedBase: 0.1, pollutedRamp: 0.005, pollutedMax: 0.3
+};
+
+test('valid settings pass and form fields are read as numbers', ()=>{
+  const form = Object.fromEntries(Object.entries(settings).map(([k, v]) => [k, String(v)]));
+  assert.deepEqual(RipplePresets.validate(form), { settings, errors: [] });
+});
+
+test('validate names each bad field', ()=>{
+  const { errors } = RipplePresets.validate(Object.assign({}, settings, { spawnAccel: 'fast', roundTime: 12.5, lives: 99, spawnMin: 900, pollutedBase: 0.5 }));
+  assert.deepEqual(errors, [
+    { key: 'spawnAccel', code: 'number' },
+    { key: 'roundTime', code: 'integer' },
+    { key: 'lives', code: 'range', min: 1, max: 10 },
+    { key: 'spawnMin', code: 'order' },
+    { key: 'pollutedMax', code: 'order' }
+  ]);
+  assert.equal(RipplePresets.validate(null).errors.length, RipplePresets.FIELDS.length);
+});
+
+test('curveAt follows the spawn and pollution ramps to their limits', ()=>{
+  assert.deepEqual(RipplePresets.curveAt(settings, 0), { polluted: 0.1, spawnsPerSecond: 1000 / 800 });
+  const late = RipplePresets.curveAt(settings, 100);
+  assert.equal(late.polluted, 0.3);
+  assert.equal(late.spawnsPerSecond, 1000 / 400);
+});
+
+test('a preset survives the ?preset= code, unicode name included', ()=>{
+  const code = RipplePresets.encode({ name: '  Café   night ☕ ', settings });
+  assert.match(code, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(RipplePresets.decode(code), { name: 'Café night ☕', settings });
+});
+
+test('damaged or out-of-range codes decode to null', ()=>{
+  const code = RipplePresets.encode({ name: 'x', settings });
+  assert.equal(RipplePresets.decode(code.slice(0, -4)), null);
+  assert.equal(RipplePresets.decode('not a code!'), null);
+  assert.equal(RipplePresets.decode(RipplePresets.encode({ name: 'x', settings: Object.assign({}, settings, { lives: 50 }) })), null);
+  assert.equal(RipplePresets.decode(Buffer.from(JSON.stringify([99, 'x'])).toString('base64url')), null);
+});
+
+test('the store saves presets by name, newest first, and skips bad saves', ()=>{
+  const storage = memoryStorage();
+  const store = RipplePresets.createPresetStore({ storage });
+  assert.equal(store.put('Bad', Object.assign({}, settings, { lives: 0 })), null);
+  store.put('Easy night', settings);
+  store.put('Finals', Object.assign({}, settings, { lives: 2 }));
+  store.put('Easy night', Object.assign({}, settings, { lives: 6 }));
+  const reloaded = RipplePresets.createPresetStore({ storage });
+  assert.deepEqual(reloaded.list().map(p => [p.name, p.settings.lives]), [['Easy night', 6], ['Finals', 2]]);
+  assert.equal(reloaded.get(' Finals ').settings.lives, 2);
+  reloaded.remove('Finals');
+  assert.equal(RipplePresets.createPresetStore({ storage }).get('Finals'), null);
+});
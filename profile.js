@@ -0,0 +1,122 @@
+/* ------------------------------
+   Player profile
+   Nickname, Ripple Coin wallet, rounds played, best score per
+   difficulty and a local top-10 table, saved in localStorage.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleProfile = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.profile';
+  const SCHEMA_VERSION = 1;
+  const HIGH_SCORE_LIMIT = 10;
+  const NICKNAME_MAX = 16;
+
+  function defaultProfile(){
+    return {
+      version: SCHEMA_VERSION,
+      nickname: 'Player',
+      coins: 0,
+      roundsPlayed: 0,
+      bestScores: { easy: 0, normal: 0, hard: 0 },
+      highScores: []   // { name, score, difficulty, at }
+    };
+  }
+
+  // One entry per schema bump: migrations[n] turns a version n save into version n + 1.
+  // Fields that are simply new don't need one; missing fields are filled from defaultProfile().
+  const migrations = {
+    // Saves from before versioning existed
+    0: (data) => data
+  };
+
+  function migrate(data){
+    let version = Number.isInteger(data.version) ? data.version : 0;
+    while(version < SCHEMA_VERSION){
+      if(migrations[version]) data = migrations[version](data) || data;
+      version += 1;
+    }
+    return Object.assign(fillDefaults(data, defaultProfile()), { version: SCHEMA_VERSION });
+  }
+  function fillDefaults(data, defaults){
+    const out = Object.assign({}, data);
+    for(const key of Object.keys(defaults)){
+      const def = defaults[key];
+      if(out[key] === undefined || out[key] === null || typeof out[key] !== typeof def || Array.isArray(def) !== Array.isArray(out[key])){
+        out[key] = def;
+      } else if(def && typeof def === 'object' && !Array.isArray(def)){
+        out[key] = fillDefaults(out[key], def);
+      }
+    }
+    return out;
+  }
+
+  function cleanNickname(name){
+    const trimmed = String(name || '').replace(/\s+/g, ' ').trim().slice(0, NICKNAME_MAX);
+    return trimmed || 'Player';
+  }
+
+  function createProfileStore(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    const now = options.now || Date.now;
+    let profile = load();
+
+    function load(){
+      if(!storage) return defaultProfile();
+      try{
+        const raw = storage.getItem(key);
+        if(!raw) return defaultProfile();
+        const data = JSON.parse(raw);
+        if(!data || typeof data !== 'object') return defaultProfile();
+        return migrate(data);
+      } catch(e){
+        console.warn('Could not read saved profile, starting fresh:', e);
+        return defaultProfile();
+      }
+    }
+    function save(){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify(profile)); }
+      catch(e){ console.warn('Could not save profile:', e); }
+    }
+
+    function get(){ return profile; }
+    function setNickname(name){
+      profile.nickname = cleanNickname(name);
+      save();
+      return profile.nickname;
+    }
+
+    // Adds a finished round to the profile. Returns { rank, newBest } where rank is the
+    // 1-based position in the top-10 table, or 0 if the score didn't make it.
+    // Campaign, custom-preset and daily-challenge rounds (summary.level, .preset, .daily) count
+    // toward coins and rounds only, since their settings aren't comparable with the difficulty presets.
+    function recordRound(summary){
+      profile.roundsPlayed += 1;
+      profile.coins += Math.max(0, summary.coins || 0);
+      if(summary.level || summary.preset || summary.daily){ save(); return { rank: 0, newBest: false, entry: null }; }
+      const difficulty = summary.difficulty;
+      const newBest = summary.score > (profile.bestScores[difficulty] || 0);
+      if(newBest) profile.bestScores[difficulty] = summary.score;
+      const entry = { name: profile.nickname, score: summary.score, difficulty, at: now() };
+      const table = profile.highScores.concat(entry).sort((a,b)=> b.score - a.score || a.at - b.at);
+      profile.highScores = table.slice(0, HIGH_SCORE_LIMIT);
+      const rank = profile.highScores.indexOf(entry) + 1;
+      save();
+      return { rank, newBest, entry };
+    }
+
+    // Coins earned outside a round's score, e.g. quiz bonuses
+    function addCoins(amount){
+      profile.coins += Math.max(0, Math.floor(amount || 0));
+      save();
+      return profile.coins;
+    }
+
+    return { save, get, setNickname, recordRound, addCoins };
+  }
+
+  return { createProfileStore, defaultProfile, migrate, SCHEMA_VERSION, HIGH_SCORE_LIMIT };
+});
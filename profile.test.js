@@ -0,0 +1,59 @@
+/* Profile tests: node --test */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RippleProfile = require('./profile.js');
+
+function memoryStorage(data = {}){
+  return { data, getItem: k => k in data ? data[k] : null, setItem: (k, v)=>{ data[k] = String(v); } };
+}
+const KEY = 'rippleEffect.profile';
+
+test('a save from before versioning is migrated and filled in', ()=>{
+  const profile = RippleProfile.migrate({ nickname: 'Ana', coins: 12, bestScores: { hard: 80 } });
+  assert.equal(profile.version, RippleProfile.SCHEMA_VERSION);
+  assert.equal(profile.nickname, 'Ana');
+  assert.equal(profile.coins, 12);
+  assert.deepEqual(profile.bestScores, Object.assign(RippleProfile.defaultProfile().bestScores, { hard: 80 }));
+  assert.deepEqual(profile.highScores, []);
+});
+
+test('fields of the wrong type fall back to their defaults', ()=>{
+  const profile = RippleProfile.migrate({ version: RippleProfile.SCHEMA_VERSION, coins: 'lots', highScores: {}, bestScores: [] });
+  const defaults = RippleProfile.defaultProfile();
+  assert.equal(profile.coins, defaults.coins);
+  assert.deepEqual(profile.highScores, defaults.highScores);
+  assert.deepEqual(profile.bestScores, defaults.bestScores);
+});
+
+test('an unreadable save starts a fresh profile', ()=>{
+  const warn = console.warn;
+  console.warn = () => {};
+  try{
+    const store = RippleProfile.createProfileStore({ storage: memoryStorage({ [KEY]: '{oops' }) });
+    assert.deepEqual(store.get(), RippleProfile.defaultProfile());
+  } finally{ console.warn = warn; }
+});
+
+test('rounds add coins, bests and a place in the top table', ()=>{
+  const storage = memoryStorage();
+  let now = 1;
+  const store = RippleProfile.createProfileStore({ storage, now: () => now++ });
+  assert.equal(store.setNickname('  Bo   Lee  '), 'Bo Lee');
+  assert.equal(store.recordRound({ score: 50, coins: 1, difficulty: 'easy' }).rank, 1);
+  const second = store.recordRound({ score: 120, coins: 2, difficulty: 'easy' });
+  assert.equal(second.rank, 1);
+  assert.equal(second.newBest, true);
+  // Saved, so a reload sees the same profile
+  const reloaded = RippleProfile.createProfileStore({ storage }).get();
+  assert.equal(reloaded.coins, 3);
+  assert.equal(reloaded.roundsPlayed, 2);
+  assert.equal(reloaded.bestScores.easy, 120);
+  assert.deepEqual(reloaded.highScores.map(e => [e.name, e.score]), [['Bo Lee', 120], ['Bo Lee', 50]]);
+});
+
+test('the top table keeps HIGH_SCORE_LIMIT entries', ()=>{
+  const store = RippleProfile.createProfileStore({ storage: memoryStorage() });
+  for(let i = 0; i < RippleProfile.HIGH_SCORE_LIMIT; i++) store.recordRound({ score: 100 + i, difficulty: 'normal' });
+  assert.equal(store.recordRound({ score: 1, difficulty: 'normal' }).rank, 0);
+  assert.equal(store.get().highScores.length, RippleProfile.HIGH_SCORE_LIMIT);
+});
@@ -0,0 +1,78 @@
+/* ------------------------------
+   Saved rounds
+   When the page is hidden mid-round the round is written to sessionStorage,
+   so a reload or the phone discarding the tab doesn't lose it. A save can
+   be resumed once, within MAX_AGE_MS; after that it is gone, so a round
+   can't be played again from the same point for more coins.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleRoundSave = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.savedRound';
+  const TOKEN_KEY = 'rippleEffect.savedRoundToken';
+  const SCHEMA_VERSION = 1;
+  const MAX_AGE_MS = 10 * 60 * 1000;
+
+  // options: { storage (sessionStorage), ledger (localStorage), key, tokenKey, now, maxAge }
+  function createRoundSaveStore(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof sessionStorage !== 'undefined' ? sessionStorage : null);
+    // A duplicated tab gets a copy of sessionStorage. The save's token is also kept in
+    // localStorage, which all tabs share, and resuming uses it up, so only one copy resumes.
+    const ledger = options.ledger !== undefined ? options.ledger : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    const tokenKey = options.tokenKey || TOKEN_KEY;
+    const now = options.now || Date.now;
+    const maxAge = options.maxAge || MAX_AGE_MS;
+
+    function read(){
+      if(!storage) return null;
+      try{
+        const data = JSON.parse(storage.getItem(key) || 'null');
+        return data && data.version === SCHEMA_VERSION && data.round && typeof data.token === 'string' ? data : null;
+      } catch(e){
+        console.warn('Could not read the saved round:', e);
+        return null;
+      }
+    }
+    function save(round){
+      if(!storage) return;
+      const token = Math.random().toString(36).slice(2, 10);
+      try{
+        storage.setItem(key, JSON.stringify({ version: SCHEMA_VERSION, savedAt: now(), token, round }));
+        if(ledger) ledger.setItem(tokenKey, token);
+      } catch(e){ console.warn('Could not save the round:', e); }
+    }
+    // { round, savedAt } while the save can still be resumed; an expired or used-up save is removed
+    function load(){
+      const data = read();
+      if(!data) return null;
+      const age = now() - data.savedAt;
+      let current = true;
+      if(ledger){
+        try{ current = ledger.getItem(tokenKey) === data.token; }
+        catch(e){ console.warn('Could not check the saved round:', e); }
+      }
+      if(!(age >= 0 && age <= maxAge) || !current){ clear(); return null; }
+      return { round: data.round, savedAt: data.savedAt };
+    }
+    // Like load(), but the save can't be resumed again afterwards
+    function take(){
+      const saved = load();
+      clear();
+      return saved;
+    }
+    function clear(){
+      const data = read();
+      try{
+        if(storage) storage.removeItem(key);
+        // Another tab's newer save keeps its token
+        if(ledger && data && ledger.getItem(tokenKey) === data.token) ledger.removeItem(tokenKey);
+      } catch(e){ console.warn('Could not clear the saved round:', e); }
+    }
+    return { save, load, take, clear };
+  }
+
+  return { createRoundSaveStore, MAX_AGE_MS };
+});
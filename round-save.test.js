@@ -0,0 +1,62 @@
+/* Saved round tests: node --test */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RippleRoundSave = require('./round-save.js');
+
+function memoryStorage(data = {}){
+  return {
+    data,
+    getItem: k => k in data ? data[k] : null,
+    setItem: (k, v)=>{ data[k] = String(v); },
+    removeItem: (k)=>{ delete data[k]; }
+  };
+}
+const round = { seed: 3, state: { score: 40 } };
+
+test('a save resumes once', ()=>{
+  let now = 1000;
+  const store = RippleRoundSave.createRoundSaveStore({ storage: memoryStorage(), ledger: memoryStorage(), now: () => now });
+  store.save(round);
+  now += 5000;
+  assert.deepEqual(store.load(), { round, savedAt: 1000 });
+  assert.deepEqual(store.take(), { round, savedAt: 1000 });
+  assert.equal(store.load(), null);
+});
+
+test('a save older than MAX_AGE_MS is dropped', ()=>{
+  let now = 1000;
+  const storage = memoryStorage();
+  const store = RippleRoundSave.createRoundSaveStore({ storage, ledger: memoryStorage(), now: () => now });
+  store.save(round);
+  now += RippleRoundSave.MAX_AGE_MS + 1;
+  assert.equal(store.load(), null);
+  assert.deepEqual(storage.data, {});
+});
+
+test('only one copy of a duplicated tab can resume', ()=>{
+  const ledger = memoryStorage();
+  const first = memoryStorage();
+  RippleRoundSave.createRoundSaveStore({ storage: first, ledger }).save(round);
+  // Duplicating a tab copies its sessionStorage; localStorage is shared
+  const copy = memoryStorage(Object.assign({}, first.data));
+  assert.ok(RippleRoundSave.createRoundSaveStore({ storage: copy, ledger }).take());
+  assert.equal(RippleRoundSave.createRoundSaveStore({ storage: first, ledger }).take(), null);
+});
+
+test('clearing an old save keeps another tab\'s newer one', ()=>{
+  const ledger = memoryStorage();
+  const older = RippleRoundSave.createRoundSaveStore({ storage: memoryStorage(), ledger });
+  const newer = RippleRoundSave.createRoundSaveStore({ storage: memoryStorage(), ledger });
+  older.save(round);
+  newer.save(round);
+  older.clear();
+  assert.deepEqual(newer.load().round, round);
+});
+
+test('unreadable saves are ignored', ()=>{
+  const storage = memoryStorage({ 'rippleEffect.savedRound': '{oops' });
+  const warn = console.warn;
+  console.warn = () => {};
+  try{ assert.equal(RippleRoundSave.createRoundSaveStore({ storage, ledger: null }).load(), null); }
+  finally{ console.warn = warn; }
+});
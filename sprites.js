@@ -0,0 +1,88 @@
+/* ------------------------------
+   Drop sprites
+   Drawing a drop builds gradients and shadows, which is slow on
+   low-end phones with many drops on screen. Each drop type that
+   declares a sprite is drawn once per radius, animation frame and
+   display look into an offscreen canvas, then stamped with drawImage.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleSprites = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const RADIUS_STEP = 2;      // radii are cached in 2px steps and scaled the rest of the way
+  const PADDING = 1.6;        // room around the radius for glows and outlines, in radii
+  const MAX_SPRITES = 240;    // least recently used sprites are dropped past this
+
+  function defaultCanvas(width, height){
+    if(typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    if(typeof document === 'undefined') return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = width; canvas.height = height;
+    return canvas;
+  }
+
+  const lookKey = (look) => look ? look.palette + (look.contrast ? '|c' : '') + (look.patterns ? '|p' : '') : '';
+
+  // Which of the type's frames shows at this age; sprite.period is in seconds
+  function frameAt(sprite, age){
+    if(!(sprite.frames > 1)) return 0;
+    const phase = ((age % sprite.period) + sprite.period) % sprite.period;
+    return Math.floor(phase / sprite.period * sprite.frames) % sprite.frames;
+  }
+
+  // options: { scale (device pixel ratio), createCanvas(width, height), max }
+  function createSpriteCache(options = {}){
+    const scale = options.scale || 1;
+    const createCanvas = options.createCanvas || defaultCanvas;
+    const max = options.max || MAX_SPRITES;
+    const cache = new Map();    // insertion order doubles as least-recently-used order
+    let available = true;       // false once an offscreen canvas could not be made
+    let hits = 0, misses = 0;
+
+    function render(type, r, frame, look, drop){
+      const pad = Math.ceil(r * PADDING);
+      const size = Math.ceil(pad * 2 * scale);
+      const canvas = createCanvas(size, size);
+      const ctx = canvas && canvas.getContext('2d');
+      if(!ctx) return null;
+      ctx.scale(scale, scale);
+      const age = type.sprite.frames > 1 ? (frame + 0.5) / type.sprite.frames * type.sprite.period : 0;
+      type.draw(ctx, pad, pad, r, age, drop, look);
+      return { canvas, pad };
+    }
+
+    function direct(ctx, type, x, y, r, age, drop, look){
+      ctx.save(); type.draw(ctx, x, y, r, age, drop, look); ctx.restore();
+    }
+    // Same arguments as a drop type's draw(); types without a sprite are drawn directly
+    function draw(ctx, type, x, y, r, age, drop, look){
+      if(!type.sprite || !available){ direct(ctx, type, x, y, r, age, drop, look); return; }
+      const radius = Math.max(RADIUS_STEP, Math.round(r / RADIUS_STEP) * RADIUS_STEP);
+      const key = type.id + '|' + radius + '|' + frameAt(type.sprite, age) + '|' + lookKey(look);
+      let sprite = cache.get(key);
+      if(sprite){
+        hits++;
+        cache.delete(key); cache.set(key, sprite);
+      } else {
+        misses++;
+        try{ sprite = render(type, radius, frameAt(type.sprite, age), look, drop); }
+        catch(e){ console.warn('Could not pre-render drop sprites, drawing directly:', e); sprite = null; }
+        if(!sprite){ available = false; direct(ctx, type, x, y, r, age, drop, look); return; }
+        cache.set(key, sprite);
+        if(cache.size > max) cache.delete(cache.keys().next().value);
+      }
+      const pad = sprite.pad * (r / radius);
+      ctx.drawImage(sprite.canvas, x - pad, y - pad, pad * 2, pad * 2);
+    }
+
+    return {
+      draw,
+      // Call when the look changes so the old sprites don't linger
+      clear(){ cache.clear(); },
+      stats: () => ({ sprites: cache.size, hits, misses })
+    };
+  }
+
+  return { createSpriteCache, frameAt, RADIUS_STEP };
+});
@@ -0,0 +1,88 @@
+/* ------------------------------
+   Service worker
+   Precaches the game so it works offline after the first visit.
+   deploy.sh stamps CACHE_VERSION with the build id, so each deploy
+   installs as a new worker; it waits until the page asks it to take
+   over (the "update available" prompt in game.js).
+   -------------------------------*/
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'ripple-effect-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// Keep in step with deploy.sh, which checks that every entry ships
+const PRECACHE = [
+  './',
+  'index.html',
+  'styles.css',
+  'campus-config.js',
+  'analytics.js',
+  'embed.js',
+  'i18n.js',
+  'messages.js',
+  'audio.js',
+  'display.js',
+  'drop-types.js',
+  'sprites.js',
+  'engine.js',
+  'profile.js',
+  'claim-codes.js',
+  'campaign.js',
+  'presets.js',
+  'achievements.js',
+  'daily.js',
+  'tournament.js',
+  'round-save.js',
+  'kiosk.js',
+  'fact-deck.js',
+  'facts.json',
+  'facts.es.json',
+  'facts.fr.json',
+  'game.js',
+  'verify.html',
+  'verify.js',
+  'manifest.webmanifest',
+  'charity-water-logo.png',
+  'jerrycan-logo.png',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png'
+];
+
+// The same paths as full URLs, to tell what may be stored in the cache
+const PRECACHE_URLS = new Set(PRECACHE.map(path => new URL(path, self.location).href));
+
+self.addEventListener('install', (event)=>{
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+// Drop caches from older builds once this one is in charge
+self.addEventListener('activate', (event)=>{
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map(k => caches.delete(k))))
+      .then(()=> self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event)=>{
+  if(event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Cache first for our own files. Only PRECACHE paths are stored, so links such as
+// ?preset= or ?embed don't each add an entry: pages are matched and stored without
+// their query string, and fall back to index.html offline.
+self.addEventListener('fetch', (event)=>{
+  const req = event.request;
+  const url = new URL(req.url);
+  if(req.method !== 'GET' || url.origin !== self.location.origin) return;
+  const page = req.mode === 'navigate';
+  if(page) url.search = '';
+  event.respondWith(caches.open(CACHE_NAME).then(cache =>
+    cache.match(req, { ignoreSearch: page }).then(hit => hit || fetch(req)
+      .then(res => {
+        if(res.ok && res.type === 'basic' && PRECACHE_URLS.has(url.href)) cache.put(url.href, res.clone());
+        return res;
+      })
+      .catch(() => page ? cache.match('index.html') : Response.error()))
+  ));
+});
@@ -0,0 +1,211 @@
+/* ------------------------------
+   Hot-seat tournament
+   Players take turns on one device. Every match is two players playing
+   the same seeded round one after the other; the higher score wins.
+   Formats: round-robin (everyone meets everyone) or a single-elimination
+   bracket with byes. The tournament is plain data so it can be saved
+   and picked up again after a reload.
+   -------------------------------*/
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RippleTournament = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const STORAGE_KEY = 'rippleEffect.tournament';
+  const SCHEMA_VERSION = 1;
+  const FORMATS = ['round-robin', 'bracket'];
+  const MIN_PLAYERS = 2;
+  const MAX_PLAYERS = 12;
+  const NAME_MAX = 20;
+  const WIN_POINTS = 3, DRAW_POINTS = 1;
+
+  const cleanName = (name) => String(name == null ? '' : name).replace(/\s+/g, ' ').trim().slice(0, NAME_MAX);
+
+  // Returns { names, error } where error is null, 'tooFew', 'tooMany' or 'duplicate'
+  function parsePlayers(text){
+    const names = String(text || '').split(/[\n,]/).map(cleanName).filter(Boolean);
+    if(names.length < MIN_PLAYERS) return { names, error: 'tooFew' };
+    if(names.length > MAX_PLAYERS) return { names, error: 'tooMany' };
+    const seen = new Set();
+    for(const n of names){
+      const k = n.toLowerCase();
+      if(seen.has(k)) return { names, error: 'duplicate' };
+      seen.add(k);
+    }
+    return { names, error: null };
+  }
+
+  const randomSeed = (random) => Math.floor(random() * 4294967296) >>> 0;
+  function newMatch(t, round, a, b){
+    const match = { id: t.matches.length, round, players: [a, b], scores: [null, null], coins: [0, 0], water: [0, 0], winner: null, seed: randomSeed(t.random) };
+    // A bye: the lone player goes through without playing
+    if(b === null) match.winner = a;
+    t.matches.push(match);
+    return match;
+  }
+
+  // Circle method: every player meets every other once, spread over n-1 rounds
+  function roundRobin(t){
+    const ids = t.players.map((_, i) => i);
+    if(ids.length % 2) ids.push(null);
+    const n = ids.length;
+    for(let round = 0; round < n - 1; round++){
+      for(let i = 0; i < n / 2; i++){
+        const a = ids[i], b = ids[n - 1 - i];
+        if(a !== null && b !== null) newMatch(t, round, a, b);
+      }
+      ids.splice(1, 0, ids.pop());
+    }
+  }
+  // First bracket round: top seeds meet the lowest, and get the byes when the field isn't a power of two
+  function bracketRound(t, entrants, round){
+    let size = 1;
+    while(size < entrants.length) size *= 2;
+    for(let i = 0; i < size / 2; i++){
+      const a = entrants[i], b = size - 1 - i < entrants.length ? entrants[size - 1 - i] : null;
+      newMatch(t, round, a, b);
+    }
+  }
+
+  // options: { players: [names], format, settings, difficulty, mode, preset, random }.
+  // settings are the resolved round settings every turn uses (see engine.js); preset names them for display,
+  // and difficulty is the preset they came from, for summaries and analytics.
+  function createTournament(options){
+    const random = options.random || Math.random;
+    const format = FORMATS.includes(options.format) ? options.format : 'round-robin';
+    const t = {
+      version: SCHEMA_VERSION, format, players: options.players.map(cleanName),
+      difficulty: options.difficulty || 'normal', mode: options.mode || 'tap', settings: Object.assign({}, options.settings), preset: options.preset || null,
+      matches: [], finished: false, claimCode: null,   // the winner's claim code, issued once
+      random
+    };
+    if(format === 'bracket') bracketRound(t, t.players.map((_, i) => i), 0);
+    else roundRobin(t);
+    advanceBracket(t);
+    delete t.random;
+    return t;
+  }
+
+  // The next turn to play: { match, slot, player }, or null once everything is played
+  function nextTurn(t){
+    for(const match of t.matches){
+      if(match.winner !== null || match.draw) continue;
+      const slot = match.scores[0] === null ? 0 : 1;
+      return { match: match.id, slot, player: match.players[slot], opponent: match.players[1 - slot] };
+    }
+    return null;
+  }
+
+  // Higher score wins; then more water; round-robin allows a draw, a bracket falls back to the higher seed
+  function decide(t, match){
+    const [a, b] = match.scores;
+    let winner = a > b ? 0 : (b > a ? 1 : (match.water[0] > match.water[1] ? 0 : (match.water[1] > match.water[0] ? 1 : -1)));
+    if(winner === -1){
+      if(t.format === 'round-robin'){ match.draw = true; return; }
+      winner = 0;
+    }
+    match.winner = match.players[winner];
+  }
+
+  // When every match in the latest bracket round is decided, pair up the winners
+  function advanceBracket(t){
+    if(t.format !== 'bracket') return;
+    for(;;){
+      const round = Math.max.apply(null, t.matches.map(m => m.round));
+      const current = t.matches.filter(m => m.round === round);
+      if(current.some(m => m.winner === null)) return;
+      if(current.length === 1){ t.finished = true; return; }
+      const winners = current.map(m => m.winner);
+      for(let i = 0; i < winners.length; i += 2) newMatch(t, round + 1, winners[i], winners[i + 1]);
+    }
+  }
+
+  // Store a finished round for the current turn; random only seeds new bracket matches
+  function recordTurn(t, summary, random = Math.random){
+    const turn = nextTurn(t);
+    if(!turn) return t;
+    const match = t.matches[turn.match];
+    match.scores[turn.slot] = summary.score;
+    match.water[turn.slot] = Math.round(summary.waterPercent || 0);
+    match.coins[turn.slot] = summary.coins || 0;
+    if(match.scores[1 - turn.slot] !== null) decide(t, match);
+    if(t.format === 'bracket'){ t.random = random; advanceBracket(t); delete t.random; }
+    else if(!nextTurn(t)) t.finished = true;
+    return t;
+  }
+
+  // Table rows: { player, name, played, wins, draws, losses, points, score, coins, knockedOut }, best first.
+  // knockedOut is the bracket round a player lost in, or null; a bracket ranks by how far players got.
+  function standings(t){
+    const rows = t.players.map((name, player) => ({ player, name, played: 0, wins: 0, draws: 0, losses: 0, points: 0, score: 0, coins: 0, knockedOut: null }));
+    t.matches.forEach(m => {
+      m.players.forEach((p, slot) => {
+        if(p === null) return;
+        const row = rows[p];
+        if(m.scores[slot] === null) return;
+        row.played += 1; row.score += m.scores[slot]; row.coins += m.coins[slot];
+      });
+      if(m.players[1] === null) return;
+      if(m.draw){ m.players.forEach(p => { rows[p].draws += 1; rows[p].points += DRAW_POINTS; }); return; }
+      if(m.winner === null) return;
+      rows[m.winner].wins += 1; rows[m.winner].points += WIN_POINTS;
+      const loser = rows[m.players[0] === m.winner ? m.players[1] : m.players[0]];
+      loser.losses += 1;
+      if(t.format === 'bracket') loser.knockedOut = m.round;
+    });
+    const stage = (r) => r.knockedOut === null ? t.matches.length : r.knockedOut;
+    const bracket = t.format === 'bracket';
+    return rows.sort((a, b) => (bracket ? stage(b) - stage(a) : b.points - a.points) || b.score - a.score || a.player - b.player);
+  }
+
+  // Up to three rows from standings(), best first. In a bracket the final decides first and second
+  // and the better semi-final loser (by score in that match) is third.
+  function podium(t){
+    if(!t.finished) return [];
+    const table = standings(t);
+    if(t.format !== 'bracket') return table.slice(0, 3);
+    const byPlayer = (p) => table.find(r => r.player === p);
+    const finalRound = Math.max.apply(null, t.matches.map(m => m.round));
+    const final = t.matches.find(m => m.round === finalRound);
+    const result = [byPlayer(final.winner)];
+    if(final.players[1] !== null) result.push(byPlayer(final.players[0] === final.winner ? final.players[1] : final.players[0]));
+    const semis = t.matches.filter(m => m.round === finalRound - 1 && m.players[1] !== null)
+      .map(m => { const slot = m.players[0] === m.winner ? 1 : 0; return { player: m.players[slot], score: m.scores[slot] }; })
+      .sort((a, b) => b.score - a.score);
+    if(semis.length) result.push(byPlayer(semis[0].player));
+    return result;
+  }
+
+  function progress(t){
+    const playable = t.matches.filter(m => m.players[1] !== null);
+    return { played: playable.filter(m => m.winner !== null || m.draw).length, total: t.format === 'bracket' ? t.players.length - 1 : playable.length };
+  }
+
+  function createTournamentStore(options = {}){
+    const storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    const key = options.key || STORAGE_KEY;
+    function load(){
+      if(!storage) return null;
+      try{
+        const data = JSON.parse(storage.getItem(key) || 'null');
+        if(!data || data.version !== SCHEMA_VERSION || !Array.isArray(data.players) || !Array.isArray(data.matches)) return null;
+        return data;
+      } catch(e){
+        console.warn('Could not read the saved tournament:', e);
+        return null;
+      }
+    }
+    function save(t){
+      if(!storage) return;
+      try{ storage.setItem(key, JSON.stringify(t)); }
+      catch(e){ console.warn('Could not save the tournament:', e); }
+    }
+    function clear(){
+      if(!storage) return;
+      try{ storage.removeItem(key); } catch(e){ console.warn('Could not clear the tournament:', e); }
+    }
+    return { load, save, clear };
+  }
+
+  return { createTournament, createTournamentStore, parsePlayers, nextTurn, recordTurn, standings, podium, progress, FORMATS, MIN_PLAYERS, MAX_PLAYERS };
+});
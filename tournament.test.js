@@ -0,0 +1,85 @@
+/* Tournament tests: node --test */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RippleTournament = require('./tournament.js');
+const { createRng } = require('./engine.js');
+
+function memoryStorage(){
+  const data = {};
+  return { getItem: k => k in data ? data[k] : null, setItem: (k, v)=>{ data[k] = String(v); }, removeItem: (k)=>{ delete data[k]; } };
+}
+function create(players, format){
+  return RippleTournament.createTournament({ players, format, difficulty: 'hard', mode: 'lanes', settings: { roundTime: 30 }, random: createRng(5) });
+}
+// Plays every turn, scoring each player with scoreOf(playerIndex)
+function playAll(t, scoreOf, water = () => 50){
+  for(let turn = RippleTournament.nextTurn(t); turn; turn = RippleTournament.nextTurn(t)){
+    RippleTournament.recordTurn(t, { score: scoreOf(turn.player), waterPercent: water(turn.player), coins: 1 }, createRng(turn.match));
+  }
+  return t;
+}
+
+test('parsePlayers trims names and rejects bad lists', ()=>{
+  assert.deepEqual(RippleTournament.parsePlayers(' Ana ,\n  Bo   Lee\n\n'), { names: ['Ana', 'Bo Lee'], error: null });
+  assert.equal(RippleTournament.parsePlayers('Ana').error, 'tooFew');
+  assert.equal(RippleTournament.parsePlayers('Ana, ana').error, 'duplicate');
+  assert.equal(RippleTournament.parsePlayers(Array.from({ length: RippleTournament.MAX_PLAYERS + 1 }, (_, i) => 'P' + i).join(',')).error, 'tooMany');
+});
+
+test('a tournament keeps the difficulty and mode it was started with', ()=>{
+  const t = create(['A', 'B'], 'round-robin');
+  assert.equal(t.difficulty, 'hard');
+  assert.equal(t.mode, 'lanes');
+  assert.equal(RippleTournament.createTournament({ players: ['A', 'B'] }).difficulty, 'normal');
+});
+
+test('round-robin pairs everyone once and scores wins and draws', ()=>{
+  const t = create(['A', 'B', 'C', 'D', 'E'], 'round-robin');
+  assert.deepEqual(RippleTournament.progress(t), { played: 0, total: 10 });
+  const seen = new Set(t.matches.map(m => m.players.slice().sort().join('-')));
+  assert.equal(seen.size, 10);
+  // A beats everyone; the rest tie on score and water
+  playAll(t, p => p === 0 ? 100 : 40);
+  assert.equal(t.finished, true);
+  const table = RippleTournament.standings(t);
+  assert.equal(table[0].name, 'A');
+  assert.equal(table[0].points, 12);
+  assert.deepEqual(table.slice(1).map(r => [r.draws, r.losses, r.points]), [[3, 1, 3], [3, 1, 3], [3, 1, 3], [3, 1, 3]]);
+  assert.deepEqual(RippleTournament.podium(t).map(r => r.name), ['A', 'B', 'C']);
+});
+
+test('a round-robin tie on score goes to more water', ()=>{
+  const t = playAll(create(['A', 'B'], 'round-robin'), () => 60, p => p === 1 ? 70 : 20);
+  assert.equal(t.matches[0].winner, 1);
+});
+
+test('a bracket gives top seeds the byes and plays down to one winner', ()=>{
+  const t = create(['A', 'B', 'C', 'D', 'E'], 'bracket');
+  assert.equal(t.matches.filter(m => m.players[1] === null).length, 3);
+  assert.deepEqual(RippleTournament.progress(t), { played: 0, total: 4 });
+  // Lower seeds score more, so E comes through from the first round and C (30) beats A (10) to third
+  playAll(t, p => 10 * (p + 1));
+  assert.equal(t.finished, true);
+  assert.deepEqual(RippleTournament.progress(t), { played: 4, total: 4 });
+  const table = RippleTournament.standings(t);
+  assert.equal(table[0].name, 'E');
+  assert.equal(table[0].knockedOut, null);
+  assert.deepEqual(RippleTournament.podium(t).map(r => r.name), ['E', 'B', 'C']);
+});
+
+test('a bracket tie goes to the higher seed', ()=>{
+  const t = playAll(create(['A', 'B'], 'bracket'), () => 60);
+  assert.equal(t.finished, true);
+  assert.equal(t.matches[0].winner, 0);
+});
+
+test('the store keeps a tournament across reloads', ()=>{
+  const storage = memoryStorage();
+  const store = RippleTournament.createTournamentStore({ storage });
+  const t = create(['A', 'B', 'C'], 'round-robin');
+  RippleTournament.recordTurn(t, { score: 10, waterPercent: 5, coins: 0 });
+  store.save(t);
+  assert.deepEqual(RippleTournament.createTournamentStore({ storage }).load(), JSON.parse(JSON.stringify(t)));
+  store.clear();
+  assert.equal(store.load(), null);
+});
@@ -0,0 +1,137 @@
+/* ------------------------------
+   Reward kiosk
+   Checks claim codes against the campus secret and keeps a ledger
+   so each code can only be redeemed once on this kiosk. Staff enter
+   the secret once; it stays in this browser, never in the game files.
+   -------------------------------*/
+(function(){
+  const config = window.RippleCampusConfig || {};
+  if (!window.RippleClaims) {
+    console.error('RippleClaims not loaded!');
+    return;
+  }
+  const ledger = RippleClaims.createLedger();
+  const SECRET_KEY = 'rippleEffect.claimSecret';
+
+  // DOM refs
+  const form = document.getElementById('verifyForm');
+  const codeInput = document.getElementById('codeInput');
+  const checkBtn = document.getElementById('checkBtn');
+  const redeemBtn = document.getElementById('redeemBtn');
+  const resultEl = document.getElementById('kioskResult');
+  const ledgerBody = document.querySelector('#ledgerTable tbody');
+  const ledgerEmpty = document.getElementById('ledgerEmpty');
+  const exportLedgerBtn = document.getElementById('exportLedgerBtn');
+  const secretForm = document.getElementById('secretForm');
+  const secretInput = document.getElementById('secretInput');
+  if (config.campus) document.getElementById('kioskCampus').textContent = config.campus + ' • Ripple Effect';
+
+  const reasons = {
+    'malformed': 'That is not a Ripple Effect code. Check for typos.',
+    'unsupported': 'This code was made by a newer version of the game.',
+    'bad-signature': 'This code was not issued by the game on this campus.',
+    'too-many-coins': 'This code carries more coins than the game can award.',
+    'future': 'This code is dated in the future. Check the kiosk clock.',
+    'expired': 'This code has expired.'
+  };
+  // Issue and expiry dates are whole UTC days
+  const formatDate = (d) => new Date(d).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+  function loadSecret(){
+    try{ return localStorage.getItem(SECRET_KEY) || ''; }
+    catch(e){ console.warn('Could not read the claim secret:', e); return ''; }
+  }
+  function saveSecret(value){
+    try{ localStorage.setItem(SECRET_KEY, value); }
+    catch(e){ console.warn('Could not save the claim secret:', e); }
+  }
+  let secret = loadSecret();
+  // Codes can't be checked until staff have entered the secret
+  function showSetup(show){
+    secretForm.hidden = !show; form.hidden = show;
+    resultEl.textContent = ''; secretInput.value = '';
+    (show ? secretInput : codeInput).focus();
+  }
+
+  let checked = null;
+  function showResult(kind, title, detail){
+    resultEl.className = 'kiosk-result ' + kind;
+    resultEl.textContent = '';
+    const strong = document.createElement('strong'); strong.textContent = title;
+    resultEl.appendChild(strong);
+    if (detail) { const div = document.createElement('div'); div.textContent = detail; resultEl.appendChild(div); }
+  }
+
+  async function check(){
+    checked = null; redeemBtn.disabled = true;
+    const code = codeInput.value.trim();
+    if (!code) return;
+    checkBtn.disabled = true;
+    try {
+      const claim = await RippleClaims.verifyClaimCode(code, { secret, validDays: config.claimValidDays, maxCoins: config.claimMaxCoins });
+      if (!claim.ok) {
+        const detail = claim.reason === 'expired' ? `Expired on ${formatDate(claim.expires)}.` : '';
+        showResult('bad', reasons[claim.reason] || 'Invalid code.', detail);
+        return;
+      }
+      const previous = ledger.find(claim.id);
+      if (previous) {
+        showResult('bad', 'Already redeemed.', `${claim.coins} coins, redeemed ${new Date(previous.redeemedAt).toLocaleString()}.`);
+        return;
+      }
+      checked = claim; redeemBtn.disabled = false;
+      showResult('ok', `Valid: ${claim.coins} Ripple Coins`, `Issued ${formatDate(claim.issued)} • good until ${formatDate(claim.expires)}.`);
+    } catch(e) {
+      console.error('Verify error:', e);
+      showResult('bad', 'Could not check this code.', e.message);
+    } finally {
+      checkBtn.disabled = false;
+    }
+  }
+
+  function redeem(){
+    if (!checked) return;
+    const { ok, entry } = ledger.redeem(checked);
+    redeemBtn.disabled = true;
+    if (ok) showResult('ok', `Redeemed ${entry.coins} Ripple Coins.`, entry.code);
+    else showResult('bad', 'Already redeemed.', `Redeemed ${new Date(entry.redeemedAt).toLocaleString()}.`);
+    checked = null; codeInput.value = ''; codeInput.focus();
+    renderLedger();
+  }
+
+  function renderLedger(){
+    const entries = ledger.entries().reverse();
+    ledgerBody.textContent = '';
+    entries.forEach(e => {
+      const row = document.createElement('tr');
+      [e.code, e.coins, e.issued, new Date(e.redeemedAt).toLocaleString()].forEach(value => {
+        const cell = document.createElement('td'); cell.textContent = value; row.appendChild(cell);
+      });
+      ledgerBody.appendChild(row);
+    });
+    ledgerEmpty.hidden = entries.length > 0;
+  }
+
+  form.addEventListener('submit', (e)=>{ e.preventDefault(); check(); });
+  secretForm.addEventListener('submit', (e)=>{
+    e.preventDefault();
+    secret = secretInput.value.trim();
+    if (!secret) return;
+    saveSecret(secret);
+    showSetup(false);
+  });
+  document.getElementById('changeSecretBtn').addEventListener('click', ()=> showSetup(true));
+  codeInput.addEventListener('input', ()=>{ checked = null; redeemBtn.disabled = true; });
+  redeemBtn.addEventListener('click', redeem);
+  exportLedgerBtn.addEventListener('click', ()=>{
+    const blob = new Blob([ledger.toCSV()], { type: 'text/csv' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'ripple-redemptions-' + new Date().toISOString().slice(0, 10) + '.csv';
+    document.body.appendChild(a); a.click(); document.body.removeChild(a);
+    setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+  });
+
+  renderLedger();
+  showSetup(!secret);
+})();